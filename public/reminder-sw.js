@@ -0,0 +1,110 @@
+/**
+ * Service worker for appointment reminders.
+ *
+ * The page (src/lib/reminders.js) keeps the reminder schedule in IndexedDB
+ * and posts a check message when it changes or a reminder falls due; the
+ * worker also checks on activation and on periodic background sync. Due
+ * reminders are shown once, then marked delivered. Keep the database and
+ * message names in step with src/lib/reminders.js.
+ */
+
+const DB_NAME = 'barber-agent-reminders';
+const DB_VERSION = 1;
+const STORE_NAME = 'reminders';
+const PERIODIC_SYNC_TAG = 'appointment-reminders';
+
+const MESSAGES = {
+  CHECK: 'reminders:check',
+  ACTION: 'reminders:action',
+};
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      store.createIndex('fireAt', 'fireAt');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function withStore(db, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+async function checkDue() {
+  const db = await openDatabase();
+  const reminders = await withStore(db, 'readonly', (store) => store.getAll());
+  const now = Date.now();
+
+  for (const reminder of reminders) {
+    if (reminder.delivered || reminder.fireAt > now) continue;
+
+    // Late checks (e.g. the browser was closed) skip appointments that have started
+    if (reminder.startAt > now) {
+      await self.registration.showNotification(reminder.title, {
+        body: reminder.body,
+        tag: reminder.id,
+        data: { appointmentId: reminder.appointmentId },
+        actions: [
+          { action: 'reschedule', title: 'Reschedule' },
+          { action: 'open', title: 'Open chat' },
+        ],
+      });
+    }
+    await withStore(db, 'readwrite', (store) => store.put({ ...reminder, delivered: true }));
+  }
+
+  db.close();
+}
+
+async function openChat(action, appointmentId) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  if (windows.length > 0) {
+    const client = windows[0];
+    await client.focus();
+    client.postMessage({ type: MESSAGES.ACTION, action, appointmentId });
+    return;
+  }
+
+  const url = new URL('/', self.location.origin);
+  if (action === 'reschedule' && appointmentId) {
+    url.searchParams.set('reschedule', appointmentId);
+  }
+  await self.clients.openWindow(url.href);
+}
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim().then(checkDue));
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === MESSAGES.CHECK) {
+    event.waitUntil(checkDue());
+  }
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === PERIODIC_SYNC_TAG) {
+    event.waitUntil(checkDue());
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const { appointmentId } = event.notification.data || {};
+  // A click on the notification body opens the chat without a request
+  event.waitUntil(openChat(event.action || 'open', appointmentId));
+});
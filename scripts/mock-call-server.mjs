@@ -0,0 +1,254 @@
+/**
+ * Mock WebSocket server for the live call transport (src/lib/callSocket.js).
+ *
+ * Speaks the same protocol as the real /voice/ws endpoint using the scripted
+ * booking agent from the mock backend. Since it cannot recognise speech, each
+ * utterance is answered with the next line of a scripted booking call.
+ *
+ *   npm run mock:call
+ *   NEXT_PUBLIC_USE_MOCK_API=true NEXT_PUBLIC_CALL_TRANSPORT=websocket npm run dev
+ *
+ * Environment: MOCK_WS_PORT (default 8001), MOCK_LATENCY_MS (default 400),
+ * MOCK_TOKEN_DELAY_MS (default 40).
+ */
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { getMockReply, nextScriptedTranscript } from '../src/lib/mock/mockAgent.js';
+
+const PORT = Number(process.env.MOCK_WS_PORT) || 8001;
+const LATENCY = Number(process.env.MOCK_LATENCY_MS ?? 400);
+const TOKEN_DELAY = Number(process.env.MOCK_TOKEN_DELAY_MS ?? 40);
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MIN_AUDIO_BYTES = 1000;
+
+const OPCODES = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa,
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Pull complete frames off the front of a buffer
+ * @returns {{frames: Array, rest: Buffer}}
+ */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const first = buffer[offset];
+    const second = buffer[offset + 1];
+    let length = second & 0x7f;
+    let cursor = offset + 2;
+
+    if (length === 126) {
+      if (buffer.length - cursor < 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length - cursor < 8) break;
+      length = Number(buffer.readBigUInt64BE(cursor));
+      cursor += 8;
+    }
+
+    const masked = (second & 0x80) !== 0;
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length - cursor < maskLength + length) break;
+
+    const mask = masked ? buffer.subarray(cursor, cursor + 4) : null;
+    cursor += maskLength;
+    const payload = Buffer.from(buffer.subarray(cursor, cursor + length));
+    if (mask) {
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+      }
+    }
+
+    frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0f, payload });
+    offset = cursor + length;
+  }
+
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+function handleConnection(socket) {
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  let fragmentOpcode = null;
+  let history = [];
+  let audioBytes = 0;
+  let busy = false;
+  let closed = false;
+
+  const send = (message) => {
+    if (!closed) {
+      socket.write(encodeFrame(OPCODES.TEXT, Buffer.from(JSON.stringify(message))));
+    }
+  };
+
+  // Answer an utterance, or typed text when given
+  const respond = async (text = null) => {
+    if (text === null && audioBytes < MIN_AUDIO_BYTES) {
+      send({ type: 'error', detail: 'Could not understand audio' });
+      audioBytes = 0;
+      return;
+    }
+    audioBytes = 0;
+    busy = true;
+
+    const transcript = text ?? nextScriptedTranscript(history);
+    if (text === null) {
+      const words = transcript.split(' ');
+      for (let i = 1; i <= words.length; i++) {
+        send({ type: 'partial_transcript', text: words.slice(0, i).join(' ') });
+        await delay(TOKEN_DELAY);
+      }
+    }
+    send({ type: 'transcript', text: transcript });
+
+    await delay(LATENCY);
+    const { reply, toolCalls, cards } = getMockReply(transcript, history);
+    toolCalls.forEach(send);
+    for (const token of reply.match(/\s*\S+/g) || []) {
+      send({ type: 'token', token });
+      await delay(TOKEN_DELAY);
+    }
+    cards.forEach(send);
+    send({ type: 'complete', message: reply });
+
+    history = [...history, { role: 'user', content: transcript }, { role: 'assistant', content: reply }];
+    busy = false;
+  };
+
+  const handleMessage = (opcode, payload) => {
+    if (opcode === OPCODES.BINARY) {
+      audioBytes += payload.length;
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(payload.toString('utf8'));
+    } catch (e) {
+      send({ type: 'error', detail: 'Invalid JSON' });
+      return;
+    }
+
+    switch (message.type) {
+      case 'start':
+        history = Array.isArray(message.history) ? message.history : [];
+        console.log(`Call started (session ${message.session_id || '-'}, conversation ${message.conversation_id || '-'})`);
+        send({ type: 'ready' });
+        break;
+      case 'ping':
+        send({ type: 'pong', ts: message.ts });
+        break;
+      case 'end_of_utterance':
+      case 'text':
+        if (busy) {
+          send({ type: 'error', detail: 'Still answering the previous utterance' });
+        } else {
+          respond(message.type === 'text' ? String(message.text || '') : null);
+        }
+        break;
+      case 'stop':
+        break;
+      default:
+        send({ type: 'error', detail: `Unknown message type: ${message.type}` });
+    }
+  };
+
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    const { frames, rest } = decodeFrames(buffer);
+    buffer = rest;
+
+    for (const frame of frames) {
+      switch (frame.opcode) {
+        case OPCODES.CLOSE:
+          socket.end(encodeFrame(OPCODES.CLOSE, frame.payload.subarray(0, 2)));
+          closed = true;
+          return;
+        case OPCODES.PING:
+          socket.write(encodeFrame(OPCODES.PONG, frame.payload));
+          break;
+        case OPCODES.PONG:
+          break;
+        case OPCODES.CONTINUATION:
+          fragments.push(frame.payload);
+          if (frame.fin) {
+            handleMessage(fragmentOpcode, Buffer.concat(fragments));
+            fragments = [];
+          }
+          break;
+        default:
+          if (frame.fin) {
+            handleMessage(frame.opcode, frame.payload);
+          } else {
+            fragmentOpcode = frame.opcode;
+            fragments = [frame.payload];
+          }
+      }
+    }
+  });
+
+  socket.on('close', () => {
+    closed = true;
+    console.log('Call socket disconnected');
+  });
+  socket.on('error', () => {
+    closed = true;
+  });
+}
+
+const server = createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('WebSocket endpoint: /voice/ws');
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (new URL(req.url, 'http://localhost').pathname !== '/voice/ws' || !key) {
+    socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+    return;
+  }
+
+  const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n'
+      + 'Upgrade: websocket\r\n'
+      + 'Connection: Upgrade\r\n'
+      + `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  console.log('Call socket connected');
+  handleConnection(socket);
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock call server listening on ws://127.0.0.1:${PORT}/voice/ws`);
+});
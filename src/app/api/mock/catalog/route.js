@@ -0,0 +1,6 @@
+import { jsonResponse, withMock } from '@/lib/mock/mockServer';
+import catalog from '@/lib/mock/catalog.json';
+
+export const dynamic = 'force-dynamic';
+
+export const GET = withMock(async () => jsonResponse(catalog));
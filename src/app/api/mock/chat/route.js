@@ -0,0 +1,12 @@
+import { getMockReply } from '@/lib/mock/mockAgent';
+import { dedupeReply, jsonResponse, readChatBody, withMock } from '@/lib/mock/mockServer';
+
+export const dynamic = 'force-dynamic';
+
+export const POST = withMock(async (request) => {
+  const body = await readChatBody(request);
+  if (body.error) return body.error;
+
+  const { reply, toolCalls, cards } = dedupeReply(body.clientMessageId, () => getMockReply(body.message, body.history));
+  return jsonResponse({ reply, events: [...toolCalls, ...cards] });
+});
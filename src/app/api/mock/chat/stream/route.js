@@ -0,0 +1,12 @@
+import { getMockReply } from '@/lib/mock/mockAgent';
+import { dedupeReply, readChatBody, streamResponse, toReplyEvents, withMock } from '@/lib/mock/mockServer';
+
+export const dynamic = 'force-dynamic';
+
+export const POST = withMock(async (request, config) => {
+  const body = await readChatBody(request);
+  if (body.error) return body.error;
+
+  const result = dedupeReply(body.clientMessageId, () => getMockReply(body.message, body.history));
+  return streamResponse(toReplyEvents(result), config);
+});
@@ -0,0 +1,12 @@
+import { getMockSummary } from '@/lib/mock/mockAgent';
+import { jsonResponse, validationErrorResponse, withMock } from '@/lib/mock/mockServer';
+
+export const dynamic = 'force-dynamic';
+
+export const POST = withMock(async (request) => {
+  const body = await request.json().catch(() => null);
+  if (!body || !Array.isArray(body.history)) {
+    return validationErrorResponse(['body', 'history'], 'field required');
+  }
+  return jsonResponse({ summary: getMockSummary(body.history) });
+});
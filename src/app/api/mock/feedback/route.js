@@ -0,0 +1,14 @@
+import { jsonResponse, validationErrorResponse, withMock } from '@/lib/mock/mockServer';
+
+export const dynamic = 'force-dynamic';
+
+const RATINGS = ['up', 'down'];
+
+export const POST = withMock(async (request) => {
+  const body = await request.json().catch(() => null);
+  if (!body || !RATINGS.includes(body.rating)) {
+    return validationErrorResponse(['body', 'rating'], 'must be "up" or "down"');
+  }
+  // Nothing is kept; the mock only checks the shape
+  return jsonResponse({ status: 'received', feedback_id: body.feedback_id ?? null });
+});
@@ -0,0 +1,5 @@
+import { jsonResponse, withMock } from '@/lib/mock/mockServer';
+
+export const dynamic = 'force-dynamic';
+
+export const GET = withMock(async () => jsonResponse({ status: 'ok' }));
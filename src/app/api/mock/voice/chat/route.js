@@ -0,0 +1,15 @@
+import { getMockReply, nextScriptedTranscript } from '@/lib/mock/mockAgent';
+import { jsonResponse, readVoiceUpload, withMock } from '@/lib/mock/mockServer';
+
+export const dynamic = 'force-dynamic';
+
+export const POST = withMock(async (request) => {
+  const upload = await readVoiceUpload(request);
+  if (upload.error) return upload.error;
+
+  // The mock cannot recognise speech, so it plays the customer's side of a scripted call
+  const transcript = nextScriptedTranscript(upload.history);
+  const { reply, toolCalls, cards } = getMockReply(transcript, upload.history);
+
+  return jsonResponse({ transcript, reply, events: [...toolCalls, ...cards] });
+});
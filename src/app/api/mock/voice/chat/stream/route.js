@@ -0,0 +1,14 @@
+import { getMockReply, nextScriptedTranscript } from '@/lib/mock/mockAgent';
+import { readVoiceUpload, streamResponse, toReplyEvents, withMock } from '@/lib/mock/mockServer';
+
+export const dynamic = 'force-dynamic';
+
+export const POST = withMock(async (request, config) => {
+  const upload = await readVoiceUpload(request);
+  if (upload.error) return upload.error;
+
+  const transcript = nextScriptedTranscript(upload.history);
+  const result = getMockReply(transcript, upload.history);
+
+  return streamResponse([{ type: 'transcript', transcript }, ...toReplyEvents(result)], config);
+});
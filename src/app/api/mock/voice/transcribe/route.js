@@ -0,0 +1,11 @@
+import { nextScriptedTranscript } from '@/lib/mock/mockAgent';
+import { jsonResponse, readVoiceUpload, withMock } from '@/lib/mock/mockServer';
+
+export const dynamic = 'force-dynamic';
+
+export const POST = withMock(async (request) => {
+  const upload = await readVoiceUpload(request);
+  if (upload.error) return upload.error;
+
+  return jsonResponse({ transcript: nextScriptedTranscript() });
+});
@@ -1,11 +1,82 @@
 'use client';
 
-import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
-import { streamChatMessage, voiceChat } from '@/lib/api';
+import { useState, useRef, useEffect, useCallback, useMemo, useSyncExternalStore } from 'react';
+import { checkHealth, streamChatMessage, streamVoiceChat } from '@/lib/api';
+import { createBookingIntent, describeBookingIntent, loadCatalog } from '@/lib/catalog';
+import { isAbortError, describeError, describeRetry } from '@/lib/errors';
+import { CONNECTION_RETRY_POLICY, isTransientError } from '@/lib/retry';
+import { CALL_TRANSPORT, CALL_TRANSPORTS, SOCKET_STATUS, createCallSocket } from '@/lib/callSocket';
+import { applyChatEvent, hasVisibleContent } from '@/lib/chatEvents';
+import { createOutbox } from '@/lib/outbox';
+import { createConversationStore } from '@/lib/conversationStore';
+import { createSearchIndex } from '@/lib/searchIndex';
+import { createHistoryBudget } from '@/lib/historyBudget';
+import { parseTranscript } from '@/utils/transcript';
+import {
+  collectAppointments,
+  getAppointments,
+  getServerAppointments,
+  removeAppointment,
+  subscribeToAppointments,
+} from '@/lib/appointments';
+import {
+  clearReviewedFeedback,
+  getFeedback,
+  getServerFeedback,
+  markFeedbackReviewed,
+  removeFeedback,
+  subscribeToFeedback,
+  uploadFeedback,
+} from '@/lib/feedback';
+import {
+  REMINDER_STATUS,
+  createReminderScheduler,
+  disableReminders,
+  enableReminders,
+  getReminderStatus,
+  getServerReminderStatus,
+  subscribeToReminderActions,
+  subscribeToReminderStatus,
+} from '@/lib/reminders';
+import {
+  CHANNELS,
+  generateId,
+  getContextModes,
+  getConversationId,
+  getServerContextModes,
+  resumeConversation,
+  startNewConversation,
+  subscribeToContextModes,
+  subscribeToConversation,
+} from '@/lib/session';
 import TextChat from '@/components/TextChat';
 import VoiceChat from '@/components/VoiceChat';
 import CallPreview from '@/components/CallPreview';
-import { cleanMarkdownForSpeech, formatForSpeech } from '@/utils/textProcessor';
+import ConversationBar from '@/components/ConversationBar';
+import AppointmentsPanel from '@/components/AppointmentsPanel';
+import CatalogPanel from '@/components/CatalogPanel';
+import ThreadSidebar from '@/components/ThreadSidebar';
+import SearchPanel from '@/components/SearchPanel';
+import FeedbackPanel from '@/components/FeedbackPanel';
+import { createSentenceBuffer } from '@/utils/textProcessor';
+import { createSpeechQueue } from '@/utils/speechQueue';
+import { describeBookingRequest, describeSlotChoice } from '@/utils/bookingFormat';
+import { branchAt, switchBranch } from '@/utils/branches';
+import {
+  MESSAGE_STATUS,
+  contextFor,
+  createMessage,
+  finishMessage,
+  historyBefore,
+  removeReply,
+  setStatusById,
+  updateMessageStatus,
+  withTiming,
+  upsertReply,
+} from '@/utils/messageList';
+
+// How often to probe the backend while messages wait in the outbox
+const OUTBOX_PROBE_INTERVAL = 10000;
 
 export default function Home() {
   const [textMessages, setTextMessages] = useState([]);
@@ -16,28 +87,98 @@ export default function Home() {
   const [isRecording, setIsRecording] = useState(false);
   const [isSpeaking, setIsSpeaking] = useState(false);
   const [error, setError] = useState(null);
+  const [retryNotice, setRetryNotice] = useState(null);
   const [callMessages, setCallMessages] = useState([]);
   const [isCallRecording, setIsCallRecording] = useState(false);
   const [isCallProcessing, setIsCallProcessing] = useState(false);
   const [isCallSpeaking, setIsCallSpeaking] = useState(false);
   const [conversationalMode, setConversationalMode] = useState(false);
+  const [callPartialTranscript, setCallPartialTranscript] = useState('');
+  const [callConnection, setCallConnection] = useState(SOCKET_STATUS.IDLE);
+  const [isCatalogOpen, setIsCatalogOpen] = useState(false);
+  const [catalog, setCatalog] = useState(null);
+  const [isCatalogLoading, setIsCatalogLoading] = useState(false);
+  const [catalogError, setCatalogError] = useState(null);
+  const [isThreadsOpen, setIsThreadsOpen] = useState(false);
+  const [threads, setThreads] = useState([]);
+  const [isThreadsLoading, setIsThreadsLoading] = useState(false);
+  const [threadsError, setThreadsError] = useState(null);
+  const [isSearchOpen, setIsSearchOpen] = useState(false);
+  const [isFeedbackOpen, setIsFeedbackOpen] = useState(false);
+  const [searchIndex, setSearchIndex] = useState(null);
+  const [searchError, setSearchError] = useState(null);
+  // Trims the history sent with each request (see lib/historyBudget)
+  const [historyBudget] = useState(() => createHistoryBudget());
+  // Message to scroll to and highlight, `{ channel, index }`
+  const [messageFocus, setMessageFocus] = useState(null);
+  // Conversation whose saved messages are loaded; panels are saved only while it is current
+  const [restoredConversationId, setRestoredConversationId] = useState(null);
 
   const mediaRecorderRef = useRef(null);
   const audioChunksRef = useRef([]);
   const callMediaRecorderRef = useRef(null);
   const callAudioChunksRef = useRef([]);
   const callStreamRef = useRef(null);
-  const speechSynthesisRef = useRef(null);
-
-  // Cleanup speech synthesis on unmount
+  const voiceSpeechRef = useRef(null);
+  const callSpeechRef = useRef(null);
+  const callSentencesRef = useRef(null);
+  const textAbortRef = useRef(null);
+  // Kept apart from textAbortRef so a flush never cancels a live reply
+  const outboxAbortRef = useRef(null);
+  const voiceAbortRef = useRef(null);
+  const callAbortRef = useRef(null);
+  const callSocketRef = useRef(null);
+  const callReplyRef = useRef(null);
+  const outboxRef = useRef(null);
+  const historyStoreRef = useRef(null);
+  const textMessagesRef = useRef(textMessages);
+  const panelsRef = useRef(null);
+  const textInputRef = useRef(null);
+  const reminderSchedulerRef = useRef(null);
+  const isIndexingRef = useRef(false);
+  const messageFocusTimerRef = useRef(null);
+
+  // Conversation shared by every panel; null while rendering on the server
+  const conversationId = useSyncExternalStore(subscribeToConversation, getConversationId, () => null);
+  const appointments = useSyncExternalStore(subscribeToAppointments, getAppointments, getServerAppointments);
+  const reminderStatus = useSyncExternalStore(subscribeToReminderStatus, getReminderStatus, getServerReminderStatus);
+  const contextModes = useSyncExternalStore(subscribeToContextModes, getContextModes, getServerContextModes);
+  const feedback = useSyncExternalStore(subscribeToFeedback, getFeedback, getServerFeedback);
+  const feedbackQueueSize = useMemo(() => feedback.filter(entry => !entry.reviewed).length, [feedback]);
+
+  // Abort in-flight requests on unmount
   useEffect(() => {
     return () => {
-      if (speechSynthesisRef.current) {
-        window.speechSynthesis.cancel();
-      }
+      [textAbortRef, outboxAbortRef, voiceAbortRef, callAbortRef].forEach((ref) => ref.current?.abort());
+      callSocketRef.current?.close();
     };
   }, []);
 
+  // Replace the controller held in a ref, aborting whatever it was tracking
+  const beginRequest = useCallback((abortRef) => {
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    return controller;
+  }, []);
+
+  const endRequest = useCallback((abortRef, controller) => {
+    if (abortRef.current === controller) {
+      abortRef.current = null;
+    }
+    setRetryNotice(null);
+  }, []);
+
+  // Request options shared by every backend call: cancellation, the channel
+  // for session correlation, plus retry of connection failures, surfaced to
+  // the user while we wait
+  const requestOptions = useCallback((controller, channel) => ({
+    signal: controller.signal,
+    channel,
+    retry: CONNECTION_RETRY_POLICY,
+    onRetry: (retry) => setRetryNotice(describeRetry(retry)),
+  }), []);
+
   // Convert audio blob to WAV format
   const convertToWav = useCallback(async (audioBlob) => {
     try {
@@ -112,66 +253,37 @@ export default function Home() {
     return bufferArray;
   };
 
+  // Speech queues for the voice panel and the live call; each reports its
+  // own speaking state so the two panels stay independent
+  useEffect(() => {
+    voiceSpeechRef.current = createSpeechQueue({
+      onStart: () => setIsSpeaking(true),
+      onEnd: () => setIsSpeaking(false),
+    });
+    callSpeechRef.current = createSpeechQueue({
+      onStart: () => setIsCallSpeaking(true),
+      onEnd: () => setIsCallSpeaking(false),
+    });
+
+    return () => {
+      voiceSpeechRef.current?.cancel();
+      callSpeechRef.current?.cancel();
+    };
+  }, []);
+
   // Text-to-speech function
   const speakText = useCallback((text) => {
-    // Cancel any ongoing speech
-    if (speechSynthesisRef.current) {
-      window.speechSynthesis.cancel();
-    }
-
-    if (!text || !('speechSynthesis' in window)) {
+    if (!text || !voiceSpeechRef.current) {
       console.warn('Speech synthesis not supported');
       return;
     }
-
-    setIsSpeaking(true);
-    
-    // Clean markdown syntax and format for natural speech
-    const cleanedText = cleanMarkdownForSpeech(text);
-    const speechFormattedText = formatForSpeech(cleanedText);
-    
-    // Use the cleaned text for speech synthesis
-    const finalText = speechFormattedText || cleanedText || text;
-    
-    const utterance = new SpeechSynthesisUtterance(finalText);
-    
-    // Configure voice settings
-    utterance.rate = 1.0;
-    utterance.pitch = 1.0;
-    utterance.volume = 1.0;
-    
-    // Try to use a natural-sounding voice
-    const voices = window.speechSynthesis.getVoices();
-    const preferredVoice = voices.find(voice => 
-      voice.lang.includes('en') && (voice.name.includes('Natural') || voice.name.includes('Neural'))
-    ) || voices.find(voice => voice.lang.includes('en')) || voices[0];
-    
-    if (preferredVoice) {
-      utterance.voice = preferredVoice;
-    }
-
-    utterance.onend = () => {
-      setIsSpeaking(false);
-      speechSynthesisRef.current = null;
-    };
-
-    utterance.onerror = (event) => {
-      console.error('Speech synthesis error:', event);
-      setIsSpeaking(false);
-      speechSynthesisRef.current = null;
-    };
-
-    speechSynthesisRef.current = utterance;
-    window.speechSynthesis.speak(utterance);
+    voiceSpeechRef.current.speak(text);
   }, []);
 
   // Stop speaking
   const stopSpeaking = useCallback(() => {
-    if (speechSynthesisRef.current) {
-      window.speechSynthesis.cancel();
-      setIsSpeaking(false);
-      speechSynthesisRef.current = null;
-    }
+    voiceSpeechRef.current?.cancel();
+    setIsSpeaking(false);
   }, []);
 
   // Load voices when available
@@ -193,40 +305,491 @@ export default function Home() {
     }
   }, []);
 
-  // Text chat handlers
+  // Latest text messages, for outbox flushes that run outside render
+  useEffect(() => {
+    textMessagesRef.current = textMessages;
+  }, [textMessages]);
+
+  // Every panel's messages by channel; each panel reads its context from these
+  const panels = useMemo(() => ({
+    [CHANNELS.TEXT]: textMessages,
+    [CHANNELS.VOICE]: voiceMessages,
+    [CHANNELS.CALL]: callMessages,
+  }), [textMessages, voiceMessages, callMessages]);
+
+  useEffect(() => {
+    panelsRef.current = panels;
+  }, [panels]);
+
+  // History a panel sends with its next message: the shared timeline, or
+  // only its own messages when isolated (see contextFor in utils/messageList).
+  // `messages` stands in for the panel's own list, e.g. one cut for an edit.
+  const getContext = useCallback((channel, messages = panelsRef.current[channel]) => (
+    contextFor(channel, { ...panelsRef.current, [channel]: messages }, getContextModes())
+  ), []);
+
+  // Stream the reply to a user message into the text panel, right after that
+  // message. The message counts as delivered once the reply starts.
+  const streamTextReply = useCallback(async (userMessage, history, controller) => {
+    const { clientMessageId } = userMessage;
+    let reply = createMessage('assistant', '', CHANNELS.TEXT, {
+      replyTo: clientMessageId,
+      status: MESSAGE_STATUS.STREAMING,
+      timings: { requestStart: Date.now() },
+    });
+
+    const showReply = (message) => {
+      setTextMessages(prev => upsertReply(
+        updateMessageStatus(prev, clientMessageId, MESSAGE_STATUS.DONE),
+        clientMessageId,
+        message
+      ));
+    };
+
+    try {
+      // Use streaming for better UX; booking events attach to the reply as cards
+      const request = requestOptions(controller, CHANNELS.TEXT);
+      const budgeted = await historyBudget.prepare(history, request);
+      const options = { ...request, clientMessageId, intent: userMessage.intent };
+      for await (const data of streamChatMessage(userMessage.content, budgeted, options)) {
+        reply = applyChatEvent(reply, data);
+        if (hasVisibleContent(reply)) {
+          if (!reply.timings.firstToken) {
+            reply = withTiming(reply, 'firstToken');
+          }
+          showReply(reply);
+        }
+      }
+    } catch (err) {
+      if (isAbortError(err) && hasVisibleContent(reply)) {
+        // Keep whatever was generated before the user stopped it
+        showReply(finishMessage(reply, MESSAGE_STATUS.TRUNCATED));
+      } else if (!isAbortError(err)) {
+        setTextMessages(prev => removeReply(prev, clientMessageId));
+      }
+      throw err;
+    }
+
+    if (hasVisibleContent(reply)) {
+      showReply(finishMessage(reply));
+    } else {
+      setTextMessages(prev => updateMessageStatus(prev, clientMessageId, MESSAGE_STATUS.DONE));
+    }
+  }, [requestOptions, historyBudget]);
+
+  // Park a message in the outbox until the backend is reachable
+  const queueTextMessage = useCallback(async (userMessage, history) => {
+    setTextMessages(prev => updateMessageStatus(prev, userMessage.clientMessageId, MESSAGE_STATUS.PENDING));
+    try {
+      await outboxRef.current?.add({
+        clientMessageId: userMessage.clientMessageId,
+        content: userMessage.content,
+        intent: userMessage.intent,
+        history: history.map(({ role, content, modality }) => ({ role, content, modality })),
+      });
+    } catch (err) {
+      console.error('Failed to queue message:', err);
+    }
+  }, []);
+
+  // Send queued messages in order; replies appear under their messages
+  const flushOutbox = useCallback(async () => {
+    const outbox = outboxRef.current;
+    // A reply is streaming; the next probe flushes once it is done
+    if (!outbox || textAbortRef.current) return;
+
+    const setStatus = (entry, status) => {
+      setTextMessages(prev => updateMessageStatus(prev, entry.clientMessageId, status));
+    };
+
+    try {
+      await outbox.flush(async (entry) => {
+        const controller = beginRequest(outboxAbortRef);
+        setIsTextLoading(true);
+        try {
+          const messages = textMessagesRef.current;
+          const isShown = messages.some(msg => msg.clientMessageId === entry.clientMessageId);
+          const history = isShown ? historyBefore(getContext(CHANNELS.TEXT), entry.clientMessageId) : entry.history;
+          const userMessage = { role: 'user', content: entry.content, clientMessageId: entry.clientMessageId, intent: entry.intent };
+          await streamTextReply(userMessage, history, controller);
+        } finally {
+          endRequest(outboxAbortRef, controller);
+          setIsTextLoading(false);
+        }
+      }, {
+        onSending: (entry) => setStatus(entry, MESSAGE_STATUS.SENDING),
+        onSent: (entry) => setStatus(entry, MESSAGE_STATUS.DONE),
+        onFailed: (entry, err, { willRetry }) => {
+          if (willRetry) {
+            // Unreachable, or stopped by the user: still queued
+            setStatus(entry, MESSAGE_STATUS.PENDING);
+          } else {
+            setStatus(entry, MESSAGE_STATUS.ERROR);
+            setError(describeError(err, 'Failed to send message'));
+          }
+        },
+      });
+    } catch (err) {
+      console.error('Outbox flush failed:', err);
+    }
+  }, [beginRequest, endRequest, streamTextReply, getContext]);
+
+  // Show a conversation's saved messages ahead of anything already in the
+  // panels. Queued outbox entries replace their saved copies.
+  const restorePanels = useCallback((id, saved, entries = []) => {
+    if (getConversationId() !== id) return;
+
+    const queued = entries.map(entry => createMessage('user', entry.content, CHANNELS.TEXT, {
+      clientMessageId: entry.clientMessageId,
+      intent: entry.intent,
+      status: MESSAGE_STATUS.PENDING,
+      createdAt: entry.createdAt,
+    }));
+    const savedText = saved[CHANNELS.TEXT].filter(
+      msg => msg.status !== MESSAGE_STATUS.PENDING && msg.status !== MESSAGE_STATUS.SENDING
+    );
+    // Nothing saved yet: show the text part of the history queued with the first message
+    const text = savedText.length > 0 || entries.length === 0
+      ? savedText
+      : entries[0].history
+        .filter(msg => (msg.modality ?? CHANNELS.TEXT) === CHANNELS.TEXT)
+        .map(msg => createMessage(msg.role, msg.content, CHANNELS.TEXT, { createdAt: null }));
+
+    setTextMessages(prev => [...text, ...prev, ...queued]);
+    setVoiceMessages(prev => [...saved[CHANNELS.VOICE], ...prev]);
+    setCallMessages(prev => [...saved[CHANNELS.CALL], ...prev]);
+    setRestoredConversationId(id);
+  }, []);
+
+  // Restore the conversation and any messages queued before a reload. A
+  // conversation linked as ?conversation=<id> is resumed first.
+  useEffect(() => {
+    const outbox = createOutbox();
+    const historyStore = createConversationStore();
+    outboxRef.current = outbox;
+    historyStoreRef.current = historyStore;
+    let cancelled = false;
+
+    const linked = new URLSearchParams(window.location.search).get('conversation');
+    if (linked) {
+      try {
+        resumeConversation(linked);
+      } catch (err) {
+        console.warn('Ignoring invalid conversation link:', linked);
+      }
+    }
+
+    const id = getConversationId();
+    Promise.all([
+      historyStore.load(id),
+      outbox.getAll().catch((err) => {
+        console.error('Failed to restore outbox:', err);
+        return [];
+      }),
+    ]).then(([saved, entries]) => {
+      if (!cancelled) restorePanels(id, saved, entries);
+    }).catch((err) => {
+      console.error('Failed to restore conversation:', err);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [restorePanels]);
+
+  // Save a panel's messages for the restored conversation, keeping the
+  // search index in step
+  const saveHistory = useCallback((channel, messages) => {
+    if (!restoredConversationId || restoredConversationId !== conversationId) return;
+    historyStoreRef.current?.save(restoredConversationId, channel, messages).catch((err) => {
+      console.error('Failed to save conversation:', err);
+    });
+    searchIndex?.indexPanel(restoredConversationId, channel, messages);
+  }, [restoredConversationId, conversationId, searchIndex]);
+
+  // While messages wait, flush when the browser comes back online or a
+  // health probe finds the backend again
+  const hasQueuedText = useMemo(
+    () => textMessages.some(msg => msg.status === MESSAGE_STATUS.PENDING),
+    [textMessages]
+  );
+
+  useEffect(() => {
+    if (!hasQueuedText) return;
+
+    const controller = new AbortController();
+    const probe = async () => {
+      if (!navigator.onLine) return;
+      try {
+        if (await checkHealth({ signal: controller.signal })) {
+          flushOutbox();
+        }
+      } catch (err) {
+        // Aborted on cleanup
+      }
+    };
+
+    window.addEventListener('online', flushOutbox);
+    const intervalId = setInterval(probe, OUTBOX_PROBE_INTERVAL);
+
+    return () => {
+      window.removeEventListener('online', flushOutbox);
+      clearInterval(intervalId);
+      controller.abort();
+    };
+  }, [hasQueuedText, flushOutbox]);
+
+  // Send a user message already shown in the text panel and stream its reply.
+  // Offline, or with earlier messages still queued, it is queued too to keep the order.
+  const submitTextMessage = useCallback(async (userMessage, history, { hasUnsent = false } = {}) => {
+    setError(null);
+
+    if (!navigator.onLine || hasUnsent) {
+      await queueTextMessage(userMessage, history);
+      if (navigator.onLine) {
+        flushOutbox();
+      }
+      return;
+    }
+
+    setIsTextLoading(true);
+    const controller = beginRequest(textAbortRef);
+
+    try {
+      await streamTextReply(userMessage, history, controller);
+    } catch (err) {
+      if (isTransientError(err)) {
+        // The backend or network dropped: resend once it is back
+        await queueTextMessage(userMessage, history);
+      } else if (isAbortError(err)) {
+        // Stopped by the user: the backend has the message
+        setTextMessages(prev => updateMessageStatus(prev, userMessage.clientMessageId, MESSAGE_STATUS.DONE));
+      } else {
+        setTextMessages(prev => updateMessageStatus(prev, userMessage.clientMessageId, MESSAGE_STATUS.ERROR));
+        setError(describeError(err, 'Failed to send message'));
+      }
+    } finally {
+      endRequest(textAbortRef, controller);
+      setIsTextLoading(false);
+    }
+  }, [beginRequest, endRequest, streamTextReply, queueTextMessage, flushOutbox]);
+
+  // Text chat handlers. Every text message, typed or picked, goes through here
+  // `intent` is a structured request sent along with the text (see lib/catalog)
+  const sendTextMessage = useCallback(async (content, { intent } = {}) => {
+    if (!content.trim() || isTextLoading) return;
+
+    const userMessage = createMessage('user', content, CHANNELS.TEXT, {
+      clientMessageId: generateId('msg'),
+      status: MESSAGE_STATUS.SENDING,
+      ...(intent && { intent }),
+    });
+    const history = historyBefore(getContext(CHANNELS.TEXT));
+    setTextMessages(prev => [...prev, userMessage]);
+    await submitTextMessage(userMessage, history, { hasUnsent: hasQueuedText });
+  }, [isTextLoading, hasQueuedText, getContext, submitTextMessage]);
+
+  // Replace a past user message and answer it again. The history is cut at
+  // that message and the old continuation stays as a branch (see utils/branches).
+  const editTextMessage = useCallback(async (index, content) => {
+    const original = textMessages[index];
+    // Queued messages would be cut off while still on their way
+    if (!content.trim() || isTextLoading || hasQueuedText || original?.role !== 'user') return;
+
+    const userMessage = createMessage('user', content, CHANNELS.TEXT, {
+      clientMessageId: generateId('msg'),
+      status: MESSAGE_STATUS.SENDING,
+      ...(original.intent && content === original.content && { intent: original.intent }),
+    });
+    // The shared timeline also holds voice and call messages; keep only
+    // those from before the edited message
+    const cutoff = original.createdAt ?? Infinity;
+    const context = getContext(CHANNELS.TEXT, textMessages.slice(0, index))
+      .filter(msg => msg.modality === CHANNELS.TEXT || (msg.createdAt ?? 0) < cutoff);
+    const history = historyBefore(context);
+    setTextMessages(branchAt(textMessages, index, userMessage));
+    await submitTextMessage(userMessage, history);
+  }, [textMessages, isTextLoading, hasQueuedText, getContext, submitTextMessage]);
+
+  // Ask again for the latest reply, keeping the current one as a branch
+  const regenerateTextReply = useCallback((replyIndex) => {
+    const { replyTo } = textMessages[replyIndex] ?? {};
+    const index = replyTo
+      ? textMessages.findIndex(msg => msg.clientMessageId === replyTo)
+      : textMessages.findLastIndex((msg, i) => i < replyIndex && msg.role === 'user');
+    if (index !== -1) {
+      editTextMessage(index, textMessages[index].content);
+    }
+  }, [textMessages, editTextMessage]);
+
+  const switchTextBranch = useCallback((index, target) => {
+    if (isTextLoading || hasQueuedText) return;
+    setTextMessages(prev => switchBranch(prev, index, target));
+  }, [isTextLoading, hasQueuedText]);
+
   const handleTextSubmit = useCallback(async (e) => {
     if (e) {
       e.preventDefault();
     }
     if (!textInput.trim() || isTextLoading) return;
 
-    const userMessage = { role: 'user', content: textInput };
-    const newMessages = [...textMessages, userMessage];
-    setTextMessages(newMessages);
     setTextInput('');
-    setIsTextLoading(true);
-    setError(null);
+    await sendTextMessage(textInput);
+  }, [textInput, isTextLoading, sendTextMessage]);
+
+  // Slot picker: confirm the chosen time as a regular message
+  const handlePickSlot = useCallback((slot, offer) => {
+    sendTextMessage(describeSlotChoice(slot, offer));
+  }, [sendTextMessage]);
+
+  // Quick-reply chips answer like a typed message
+  const handleSuggestion = useCallback((value) => {
+    if (isTextLoading) return;
+    sendTextMessage(value);
+  }, [isTextLoading, sendTextMessage]);
+
+  // Retry badge: resend a failed message, or flush the queue right away
+  const retryTextMessage = useCallback(async (clientMessageId) => {
+    const message = textMessagesRef.current.find(msg => msg.clientMessageId === clientMessageId);
+    if (message?.status === MESSAGE_STATUS.ERROR) {
+      await queueTextMessage(message, historyBefore(getContext(CHANNELS.TEXT), clientMessageId));
+    }
+    flushOutbox();
+  }, [queueTextMessage, flushOutbox, getContext]);
 
-    try {
-      let fullResponse = '';
-      
-      // Use streaming for better UX
-      for await (const data of streamChatMessage(textInput, textMessages)) {
-        if (data.type === 'token') {
-          fullResponse += data.token;
-          setTextMessages([...newMessages, { role: 'assistant', content: fullResponse }]);
-        } else if (data.type === 'complete') {
-          fullResponse = data.message;
-          setTextMessages([...newMessages, { role: 'assistant', content: fullResponse }]);
-        }
+  const stopTextGeneration = useCallback(() => {
+    [textAbortRef, outboxAbortRef].forEach((ref) => ref.current?.abort());
+  }, []);
+
+  // Once each reply has finished, collect bookings into "My appointments"
+  // and save the panel
+  useEffect(() => {
+    if (isTextLoading) return;
+    collectAppointments(textMessages, CHANNELS.TEXT);
+    saveHistory(CHANNELS.TEXT, textMessages);
+  }, [textMessages, isTextLoading, saveHistory]);
+
+  useEffect(() => {
+    if (isVoiceLoading) return;
+    collectAppointments(voiceMessages, CHANNELS.VOICE);
+    saveHistory(CHANNELS.VOICE, voiceMessages);
+  }, [voiceMessages, isVoiceLoading, saveHistory]);
+
+  useEffect(() => {
+    if (isCallProcessing) return;
+    collectAppointments(callMessages, CHANNELS.CALL);
+    saveHistory(CHANNELS.CALL, callMessages);
+  }, [callMessages, isCallProcessing, saveHistory]);
+
+  // "Clear" empties one panel; saving the empty list deletes its saved copy
+  const clearTextChat = useCallback(() => {
+    outboxRef.current?.clear().catch((err) => console.error('Failed to clear outbox:', err));
+    setTextMessages([]);
+  }, []);
+
+  const clearVoiceChat = useCallback(() => {
+    setVoiceMessages([]);
+  }, []);
+
+  const clearCallChat = useCallback(() => {
+    setCallMessages([]);
+  }, []);
+
+  // Appointment actions: prefill the text chat with a request for the agent
+  const prefillTextRequest = useCallback((content) => {
+    setTextInput(content);
+    const input = textInputRef.current;
+    if (input) {
+      input.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      input.focus();
+      input.setSelectionRange(content.length, content.length);
+    }
+  }, []);
+
+  const handleRescheduleAppointment = useCallback((appointment) => {
+    prefillTextRequest(describeBookingRequest('reschedule', appointment));
+  }, [prefillTextRequest]);
+
+  const handleCancelAppointment = useCallback((appointment) => {
+    prefillTextRequest(describeBookingRequest('cancel', appointment));
+  }, [prefillTextRequest]);
+
+  // Reminders follow the appointments: new bookings get scheduled,
+  // cancelled or removed ones lose theirs
+  const getReminderScheduler = useCallback(() => {
+    if (!reminderSchedulerRef.current) {
+      reminderSchedulerRef.current = createReminderScheduler();
+    }
+    return reminderSchedulerRef.current;
+  }, []);
+
+  useEffect(() => {
+    if (reminderStatus !== REMINDER_STATUS.ON) return;
+    const scheduler = getReminderScheduler();
+    scheduler.sync(appointments).catch((err) => console.warn('Failed to schedule reminders:', err));
+    return () => scheduler.stop();
+  }, [appointments, reminderStatus, getReminderScheduler]);
+
+  const handleToggleReminders = useCallback(async () => {
+    if (reminderStatus === REMINDER_STATUS.ON) {
+      disableReminders();
+      try {
+        await getReminderScheduler().clear();
+      } catch (err) {
+        console.warn('Failed to clear reminders:', err);
       }
+      return;
+    }
+    await enableReminders();
+  }, [reminderStatus, getReminderScheduler]);
+
+  // Notification actions: "Reschedule" prefills the request in the text chat
+  useEffect(() => {
+    return subscribeToReminderActions(({ action, appointmentId }) => {
+      const appointment = getAppointments().find((item) => item.id === appointmentId);
+      if (action === 'reschedule' && appointment) {
+        handleRescheduleAppointment(appointment);
+      } else {
+        textInputRef.current?.focus();
+      }
+    });
+  }, [handleRescheduleAppointment]);
+
+  // Catalog panel: loaded the first time it opens
+  const fetchCatalog = useCallback(async () => {
+    setIsCatalogLoading(true);
+    setCatalogError(null);
+    try {
+      setCatalog(await loadCatalog());
     } catch (err) {
-      setError(err.message || 'Failed to send message');
-      setTextMessages(newMessages);
+      setCatalogError(describeError(err, 'Could not load services and barbers'));
     } finally {
-      setIsTextLoading(false);
+      setIsCatalogLoading(false);
+    }
+  }, []);
+
+  const openCatalog = useCallback(() => {
+    setIsCatalogOpen(true);
+    if (!catalog && !isCatalogLoading) {
+      fetchCatalog();
     }
-  }, [textInput, textMessages, isTextLoading]);
+  }, [catalog, isCatalogLoading, fetchCatalog]);
+
+  const closeCatalog = useCallback(() => {
+    setIsCatalogOpen(false);
+  }, []);
+
+  // "Book this": start or continue the text chat with a structured intent
+  const handleBookFromCatalog = useCallback((selection) => {
+    setIsCatalogOpen(false);
+    const content = describeBookingIntent(selection);
+    if (isTextLoading) {
+      prefillTextRequest(content);
+      return;
+    }
+    textInputRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    sendTextMessage(content, { intent: createBookingIntent(selection) });
+  }, [isTextLoading, prefillTextRequest, sendTextMessage]);
 
   // Voice chat handlers
   const startRecording = useCallback(async () => {
@@ -298,31 +861,103 @@ export default function Home() {
     }
   }, [isRecording]);
 
+  // Show a streamed agent reply in a voice panel, speaking it sentence by sentence
+  const streamSpokenReply = useCallback(async (events, { setMessages, speech, channel }) => {
+    const sentences = createSentenceBuffer();
+    const requestStart = Date.now();
+    let reply = createMessage('assistant', '', channel, {
+      status: MESSAGE_STATUS.STREAMING,
+      timings: { requestStart },
+    });
+    let hasReply = false;
+    let transcriptId = null;
+
+    const showReply = (message) => {
+      const isFirst = !hasReply;
+      hasReply = true;
+      setMessages(prev => isFirst
+        ? [...prev, message]
+        : [...prev.slice(0, -1), message]);
+    };
+
+    speech?.cancel();
+    speech?.begin();
+
+    try {
+      for await (const data of events) {
+        if (data.type === 'transcript') {
+          const transcript = createMessage('user', data.transcript, channel, {
+            timings: { requestStart, transcribed: Date.now() },
+          });
+          transcriptId = transcript.id;
+          setMessages(prev => [...prev, transcript]);
+          continue;
+        }
+
+        if (data.type === 'token') {
+          sentences.push(data.token).forEach(sentence => speech?.enqueue(sentence));
+        } else if (data.type === 'complete' && !reply.content) {
+          // Nothing was streamed (non-streaming backend): speak the whole reply
+          sentences.push(data.message);
+        }
+
+        reply = applyChatEvent(reply, data);
+        if (hasVisibleContent(reply)) {
+          if (!reply.timings.firstToken) {
+            reply = withTiming(reply, 'firstToken');
+          }
+          showReply(reply);
+        }
+      }
+      sentences.flush().forEach(sentence => speech?.enqueue(sentence));
+      if (hasReply) {
+        showReply(finishMessage(reply));
+      }
+    } catch (err) {
+      if (hasReply) {
+        showReply(finishMessage(reply, isAbortError(err) ? MESSAGE_STATUS.TRUNCATED : MESSAGE_STATUS.ERROR));
+      } else if (transcriptId && !isAbortError(err)) {
+        setMessages(prev => setStatusById(prev, transcriptId, MESSAGE_STATUS.ERROR));
+      }
+      throw err;
+    } finally {
+      speech?.end();
+    }
+
+    return reply.content;
+  }, []);
+
+  // Stream one voice turn into a panel: the transcript appears as soon as it
+  // is recognised, and the reply is spoken sentence by sentence as it streams
+  const streamVoiceTurn = useCallback(async (audioFile, history, { controller, channel, ...display }) => {
+    const options = requestOptions(controller, channel);
+    const budgeted = await historyBudget.prepare(history, options);
+    return streamSpokenReply(streamVoiceChat(audioFile, budgeted, options), { ...display, channel });
+  }, [streamSpokenReply, requestOptions, historyBudget]);
+
   const handleVoiceSubmit = useCallback(async (audioBlob) => {
     setIsVoiceLoading(true);
     setError(null);
 
+    const controller = beginRequest(voiceAbortRef);
+
     try {
       const audioFile = new File([audioBlob], 'recording.wav', { type: 'audio/wav' });
-      const result = await voiceChat(audioFile);
-
-      setVoiceMessages(prev => [
-        ...prev,
-        { role: 'user', content: result.transcript },
-        { role: 'assistant', content: result.reply }
-      ]);
-
-      if (result.reply) {
-        setTimeout(() => {
-          speakText(result.reply);
-        }, 300);
-      }
+      await streamVoiceTurn(audioFile, historyBefore(getContext(CHANNELS.VOICE)), {
+        setMessages: setVoiceMessages,
+        speech: voiceSpeechRef.current,
+        controller,
+        channel: CHANNELS.VOICE,
+      });
     } catch (err) {
-      setError(err.message || 'Failed to process voice message');
+      if (!isAbortError(err)) {
+        setError(describeError(err, 'Failed to process voice message'));
+      }
     } finally {
+      endRequest(voiceAbortRef, controller);
       setIsVoiceLoading(false);
     }
-  }, [speakText]);
+  }, [streamVoiceTurn, beginRequest, endRequest, getContext]);
 
   const handleFileUpload = useCallback(async (e) => {
     const file = e.target.files[0];
@@ -331,6 +966,8 @@ export default function Home() {
     setIsVoiceLoading(true);
     setError(null);
 
+    const controller = beginRequest(voiceAbortRef);
+
     try {
       let audioFile = file;
       
@@ -345,27 +982,24 @@ export default function Home() {
         }
       }
       
-      const result = await voiceChat(audioFile);
-      setVoiceMessages(prev => [
-        ...prev,
-        { role: 'user', content: result.transcript },
-        { role: 'assistant', content: result.reply }
-      ]);
-
-      if (result.reply) {
-        setTimeout(() => {
-          speakText(result.reply);
-        }, 300);
-      }
+      await streamVoiceTurn(audioFile, historyBefore(getContext(CHANNELS.VOICE)), {
+        setMessages: setVoiceMessages,
+        speech: voiceSpeechRef.current,
+        controller,
+        channel: CHANNELS.VOICE,
+      });
     } catch (err) {
-      const errorMessage = err.message || 'Failed to process audio file';
-      setError(errorMessage);
-      console.error('Voice chat error:', err);
+      if (!isAbortError(err)) {
+        const errorMessage = describeError(err, 'Failed to process audio file');
+        setError(errorMessage);
+        console.error('Voice chat error:', err);
+      }
     } finally {
+      endRequest(voiceAbortRef, controller);
       setIsVoiceLoading(false);
       e.target.value = '';
     }
-  }, [convertToWav, speakText]);
+  }, [convertToWav, streamVoiceTurn, beginRequest, endRequest, getContext]);
 
   const handleReplayLast = useCallback((content) => {
     if (content) {
@@ -373,76 +1007,115 @@ export default function Home() {
     }
   }, [speakText]);
 
-  // Enhanced speakText with interruption support for calls
-  const speakTextWithInterruption = useCallback((text, onComplete, onInterrupt) => {
-    // Cancel any ongoing speech
-    if (speechSynthesisRef.current) {
-      window.speechSynthesis.cancel();
-    }
-
-    if (!text || !('speechSynthesis' in window)) {
-      console.warn('Speech synthesis not supported');
-      if (onComplete) onComplete();
-      return;
-    }
+  // Speak a complete agent reply during a live call
+  const speakCallReply = useCallback((reply) => {
+    callSpeechRef.current?.speak(reply);
+  }, []);
 
-    setIsCallSpeaking(true);
-    
-    // Clean markdown syntax and format for natural speech
-    const cleanedText = cleanMarkdownForSpeech(text);
-    const speechFormattedText = formatForSpeech(cleanedText);
-    
-    // Use the cleaned text for speech synthesis
-    const finalText = speechFormattedText || cleanedText || text;
-    
-    const utterance = new SpeechSynthesisUtterance(finalText);
-    
-    // Configure voice settings
-    utterance.rate = 1.0;
-    utterance.pitch = 1.0;
-    utterance.volume = 1.0;
-    
-    // Try to use a natural-sounding voice
-    const voices = window.speechSynthesis.getVoices();
-    const preferredVoice = voices.find(voice => 
-      voice.lang.includes('en') && (voice.name.includes('Natural') || voice.name.includes('Neural'))
-    ) || voices.find(voice => voice.lang.includes('en')) || voices[0];
-    
-    if (preferredVoice) {
-      utterance.voice = preferredVoice;
-    }
-
-    utterance.onend = () => {
-      setIsCallSpeaking(false);
-      speechSynthesisRef.current = null;
-      if (onComplete) onComplete();
-    };
+  // What the call remembers; the socket resends it when it reconnects. The
+  // socket cannot wait for a backend summary, so it uses one already known.
+  const callContext = useMemo(
+    () => historyBudget.fit(historyBefore(contextFor(CHANNELS.CALL, panels, contextModes))),
+    [panels, contextModes, historyBudget]
+  );
 
-    utterance.onerror = (event) => {
-      console.error('Speech synthesis error:', event);
-      setIsCallSpeaking(false);
-      speechSynthesisRef.current = null;
-      if (onComplete) onComplete();
+  useEffect(() => {
+    callSocketRef.current?.setHistory(callContext);
+  }, [callContext]);
+
+  // Open the WebSocket transport for a call; replies stream back through its callbacks
+  const openCallSocket = useCallback(() => {
+    callReplyRef.current = null;
+    callSentencesRef.current = null;
+
+    // When the current turn's transcript arrived, for the reply's timings
+    let turnStart = null;
+
+    // Apply an event to the agent reply in progress, adding it on the first event
+    const updateCallReply = (event, finishStatus = null) => {
+      const isFirst = callReplyRef.current === null;
+      let reply = applyChatEvent(callReplyRef.current || createMessage('assistant', '', CHANNELS.CALL, {
+        status: MESSAGE_STATUS.STREAMING,
+        timings: turnStart ? { requestStart: turnStart } : {},
+      }), event);
+      if (!reply.timings.firstToken && hasVisibleContent(reply)) {
+        reply = withTiming(reply, 'firstToken');
+      }
+      if (finishStatus) {
+        reply = finishMessage(reply, finishStatus);
+      }
+      callReplyRef.current = reply;
+      setCallMessages(prev => isFirst ? [...prev, reply] : [...prev.slice(0, -1), reply]);
     };
 
-    // Store reference for interruption
-    speechSynthesisRef.current = utterance;
-    window.speechSynthesis.speak(utterance);
+    callSocketRef.current = createCallSocket(callContext, {
+      onStatusChange: setCallConnection,
+      onPartialTranscript: setCallPartialTranscript,
+      onTranscript: (transcript) => {
+        turnStart = Date.now();
+        setCallPartialTranscript('');
+        setIsCallProcessing(true);
+        setCallMessages(prev => [...prev, createMessage('user', transcript, CHANNELS.CALL)]);
+      },
+      onToken: (token) => {
+        if (!callSentencesRef.current) {
+          callSentencesRef.current = createSentenceBuffer();
+          callSpeechRef.current?.cancel();
+          callSpeechRef.current?.begin();
+        }
+        callSentencesRef.current.push(token).forEach(sentence => callSpeechRef.current?.enqueue(sentence));
+        updateCallReply({ type: 'token', token });
+      },
+      onAgentEvent: updateCallReply,
+      onComplete: (reply) => {
+        const sentences = callSentencesRef.current;
+        updateCallReply({ type: 'complete', message: reply }, MESSAGE_STATUS.DONE);
+        callReplyRef.current = null;
+        turnStart = null;
+        callSentencesRef.current = null;
+        setIsCallProcessing(false);
+        if (sentences) {
+          sentences.flush().forEach(sentence => callSpeechRef.current?.enqueue(sentence));
+          callSpeechRef.current?.end();
+        } else if (reply) {
+          speakCallReply(reply);
+        }
+      },
+      onError: (err) => {
+        const reply = callReplyRef.current;
+        if (reply) {
+          const failed = finishMessage(reply, MESSAGE_STATUS.ERROR);
+          setCallMessages(prev => [...prev.slice(0, -1), failed]);
+          callReplyRef.current = null;
+        }
+        setError(describeError(err, 'Call connection error'));
+        callSpeechRef.current?.end();
+        setCallPartialTranscript('');
+        setIsCallProcessing(false);
+      },
+    });
+  }, [callContext, speakCallReply]);
+
+  const closeCallSocket = useCallback(() => {
+    callSocketRef.current?.close();
+    callSocketRef.current = null;
+    callReplyRef.current = null;
+    callSentencesRef.current = null;
+    setCallPartialTranscript('');
+  }, []);
 
-    // Return interrupt function
-    return () => {
-      window.speechSynthesis.cancel();
-      setIsCallSpeaking(false);
-      speechSynthesisRef.current = null;
-      if (onInterrupt) onInterrupt();
-    };
-  }, [cleanMarkdownForSpeech, formatForSpeech]);
+  // Stream microphone frames to the socket (WebSocket transport only)
+  const handleCallAudioFrame = useCallback((frame) => {
+    callSocketRef.current?.sendAudio(frame);
+  }, []);
 
   // Call preview handlers
   const handleCallSubmit = useCallback(async (audioBlob) => {
     setIsCallProcessing(true);
     setError(null);
 
+    const controller = beginRequest(callAbortRef);
+
     try {
       let wavBlob;
       try {
@@ -453,41 +1126,32 @@ export default function Home() {
       }
 
       const audioFile = new File([wavBlob], 'call-recording.wav', { type: 'audio/wav' });
-      const result = await voiceChat(audioFile, callMessages);
 
-      setCallMessages(prev => [
-        ...prev,
-        { role: 'user', content: result.transcript },
-        { role: 'assistant', content: result.reply }
-      ]);
-
-      setIsCallProcessing(false);
-
-      if (result.reply && conversationalMode) {
-        // In conversational mode, speak immediately
-        setTimeout(() => {
-          speakTextWithInterruption(result.reply, () => {
-            // Speech completed, ready for next input
-            console.log('Call response speech completed');
-            setIsCallSpeaking(false);
-            // The conversation state will automatically return to listening
-            // via the CallPreview component's useEffect
-          }, () => {
-            // Speech interrupted
-            setIsCallSpeaking(false);
-          });
-        }, 300);
-      } else {
-        setIsCallProcessing(false);
-      }
+      // In conversational mode, speak each sentence as soon as it arrives
+      await streamVoiceTurn(audioFile, historyBefore(getContext(CHANNELS.CALL)), {
+        setMessages: setCallMessages,
+        speech: conversationalMode ? callSpeechRef.current : null,
+        controller,
+        channel: CHANNELS.CALL,
+      });
     } catch (err) {
-      setError(err.message || 'Failed to process call audio');
+      if (!isAbortError(err)) {
+        setError(describeError(err, 'Failed to process call audio'));
+      }
+    } finally {
+      endRequest(callAbortRef, controller);
       setIsCallProcessing(false);
     }
-  }, [convertToWav, speakTextWithInterruption, conversationalMode, callMessages]);
+  }, [convertToWav, streamVoiceTurn, conversationalMode, beginRequest, endRequest, getContext]);
 
   // Handle voice input from conversational call
   const handleCallVoiceInput = useCallback(async (audioBlob) => {
+    if (callSocketRef.current) {
+      // The server already has the audio; just mark the end of the utterance
+      setIsCallProcessing(true);
+      callSocketRef.current.endUtterance();
+      return;
+    }
     await handleCallSubmit(audioBlob);
   }, [handleCallSubmit]);
 
@@ -500,22 +1164,27 @@ export default function Home() {
       setIsCallRecording(true);
       setError(null);
 
+      if (CALL_TRANSPORT === CALL_TRANSPORTS.WEBSOCKET) {
+        openCallSocket();
+      }
+
       console.log('Starting conversational call mode');
     } catch (err) {
       setError('Failed to start call: ' + err.message);
+      closeCallSocket();
       setConversationalMode(false);
       setIsCallRecording(false);
     }
-  }, [isCallRecording, isCallProcessing, stopSpeaking]);
+  }, [isCallRecording, isCallProcessing, stopSpeaking, openCallSocket, closeCallSocket]);
 
   const stopCall = useCallback(() => {
     try {
+      // Drop any utterance still being processed
+      callAbortRef.current?.abort();
+      closeCallSocket();
+
       // Stop any ongoing speech
-      if (speechSynthesisRef.current) {
-        window.speechSynthesis.cancel();
-        setIsCallSpeaking(false);
-        speechSynthesisRef.current = null;
-      }
+      callSpeechRef.current?.cancel();
 
       // Clean up call state
       setConversationalMode(false);
@@ -527,18 +1196,212 @@ export default function Home() {
     } catch (err) {
       setError('Failed to stop call: ' + err.message);
     }
-  }, []);
+  }, [closeCallSocket]);
+
+  // Quick reply tapped during a call: answer with text instead of speech
+  const handleCallSuggestion = useCallback(async (value) => {
+    if (callSocketRef.current) {
+      setIsCallProcessing(true);
+      callSocketRef.current.sendText(value);
+      return;
+    }
+
+    setIsCallProcessing(true);
+    setError(null);
+    const history = historyBefore(getContext(CHANNELS.CALL));
+    setCallMessages(prev => [...prev, createMessage('user', value, CHANNELS.CALL)]);
+    const controller = beginRequest(callAbortRef);
+
+    try {
+      const options = requestOptions(controller, CHANNELS.CALL);
+      const budgeted = await historyBudget.prepare(history, options);
+      await streamSpokenReply(streamChatMessage(value, budgeted, options), {
+        setMessages: setCallMessages,
+        speech: callSpeechRef.current,
+        channel: CHANNELS.CALL,
+      });
+    } catch (err) {
+      if (!isAbortError(err)) {
+        setError(describeError(err, 'Failed to send reply'));
+      }
+    } finally {
+      endRequest(callAbortRef, controller);
+      setIsCallProcessing(false);
+    }
+  }, [beginRequest, endRequest, requestOptions, streamSpokenReply, getContext, historyBudget]);
 
   // Handle interruption of call speech
   const handleCallInterrupt = useCallback(() => {
-    if (speechSynthesisRef.current && isCallSpeaking) {
-      window.speechSynthesis.cancel();
+    if (isCallSpeaking) {
+      callSpeechRef.current?.cancel();
       setIsCallSpeaking(false);
-      speechSynthesisRef.current = null;
       console.log('Call speech interrupted');
     }
   }, [isCallSpeaking]);
 
+  // Clear every panel when the conversation changes; the previous one stays
+  // saved in this browser and can be resumed
+  const resetPanels = useCallback(() => {
+    [textAbortRef, outboxAbortRef, voiceAbortRef, callAbortRef].forEach((ref) => ref.current?.abort());
+    outboxRef.current?.clear().catch((err) => console.error('Failed to clear outbox:', err));
+    stopSpeaking();
+    setTextMessages([]);
+    setVoiceMessages([]);
+    setCallMessages([]);
+    setError(null);
+  }, [stopSpeaking]);
+
+  const handleNewConversation = useCallback(() => {
+    resetPanels();
+    setRestoredConversationId(startNewConversation());
+  }, [resetPanels]);
+
+  // Replace the panels with a conversation's saved messages
+  const reloadPanels = useCallback((id) => {
+    resetPanels();
+    setRestoredConversationId(null);
+    historyStoreRef.current?.load(id)
+      .then((saved) => restorePanels(id, saved))
+      .catch((err) => console.error('Failed to restore conversation:', err));
+  }, [resetPanels, restorePanels]);
+
+  const handleResumeConversation = useCallback((id) => {
+    // Throws on a malformed ID, leaving the current conversation untouched
+    const resumed = resumeConversation(id);
+    if (resumed !== conversationId) {
+      reloadPanels(resumed);
+    }
+  }, [conversationId, reloadPanels]);
+
+  // Another tab switched conversation, and with it the ID this tab sends;
+  // follow it so the panels show the conversation messages now go to
+  useEffect(() => subscribeToConversation((id, { fromOtherTab }) => {
+    if (fromOtherTab) reloadPanels(id);
+  }), [reloadPanels]);
+
+  // History sidebar: every saved conversation is a thread. Switching loads
+  // its panels, and with them the history sent with the next message.
+  const fetchThreads = useCallback(async () => {
+    setIsThreadsLoading(true);
+    setThreadsError(null);
+    try {
+      setThreads(await historyStoreRef.current.listThreads());
+    } catch (err) {
+      setThreadsError(describeError(err, 'Could not load saved conversations'));
+    } finally {
+      setIsThreadsLoading(false);
+    }
+  }, []);
+
+  const openThreads = useCallback(() => {
+    setIsThreadsOpen(true);
+    fetchThreads();
+  }, [fetchThreads]);
+
+  const closeThreads = useCallback(() => {
+    setIsThreadsOpen(false);
+  }, []);
+
+  const handleSelectThread = useCallback((id) => {
+    handleResumeConversation(id);
+    setIsThreadsOpen(false);
+  }, [handleResumeConversation]);
+
+  const handleNewThread = useCallback(() => {
+    handleNewConversation();
+    setIsThreadsOpen(false);
+  }, [handleNewConversation]);
+
+  const handleRenameThread = useCallback(async (id, title) => {
+    try {
+      await historyStoreRef.current.renameThread(id, title);
+    } catch (err) {
+      setThreadsError(describeError(err, 'Could not rename the conversation'));
+    }
+    fetchThreads();
+  }, [fetchThreads]);
+
+  // Import a JSON transcript as a thread and switch to it
+  const handleImportTranscript = useCallback(async (file) => {
+    try {
+      const transcript = parseTranscript(await file.text());
+      const id = await historyStoreRef.current.importTranscript(transcript);
+      resumeConversation(id);
+      reloadPanels(id);
+      setIsThreadsOpen(false);
+    } catch (err) {
+      setThreadsError(describeError(err, 'Could not import the transcript'));
+    }
+    fetchThreads();
+  }, [reloadPanels, fetchThreads]);
+
+  const handleDeleteThread = useCallback(async (id) => {
+    // Leave the conversation first so its panels are not saved again
+    if (id === conversationId) {
+      handleNewConversation();
+    }
+    try {
+      await historyStoreRef.current.deleteThread(id);
+      searchIndex?.removeConversation(id);
+    } catch (err) {
+      setThreadsError(describeError(err, 'Could not delete the conversation'));
+    }
+    fetchThreads();
+  }, [conversationId, handleNewConversation, fetchThreads, searchIndex]);
+
+  // Search: the index is built from the store the first time the panel
+  // opens, then saveHistory keeps it current
+  const buildSearchIndex = useCallback(async () => {
+    isIndexingRef.current = true;
+    setSearchError(null);
+    try {
+      const index = createSearchIndex();
+      const panels = await historyStoreRef.current.listPanels();
+      panels.forEach((panel) => index.indexPanel(panel.conversationId, panel.channel, panel.messages, panel.updatedAt));
+      setSearchIndex(index);
+    } catch (err) {
+      setSearchError(describeError(err, 'Could not search saved conversations'));
+    } finally {
+      isIndexingRef.current = false;
+    }
+  }, []);
+
+  const openSearch = useCallback(() => {
+    setIsSearchOpen(true);
+    fetchThreads();
+    if (!searchIndex && !isIndexingRef.current) {
+      buildSearchIndex();
+    }
+  }, [searchIndex, buildSearchIndex, fetchThreads]);
+
+  const closeSearch = useCallback(() => {
+    setIsSearchOpen(false);
+  }, []);
+
+  // Feedback review queue (see lib/feedback); ratings are given on each reply
+  const openFeedback = useCallback(() => {
+    setIsFeedbackOpen(true);
+  }, []);
+
+  const closeFeedback = useCallback(() => {
+    setIsFeedbackOpen(false);
+  }, []);
+
+  // Open a hit in its thread, then scroll to it and highlight it for a moment
+  const handleOpenSearchResult = useCallback((hit) => {
+    if (hit.conversationId !== conversationId) {
+      handleResumeConversation(hit.conversationId);
+    }
+    setIsSearchOpen(false);
+    setMessageFocus({ channel: hit.channel, index: hit.index });
+    clearTimeout(messageFocusTimerRef.current);
+    messageFocusTimerRef.current = setTimeout(() => setMessageFocus(null), 4000);
+  }, [conversationId, handleResumeConversation]);
+
+  useEffect(() => () => clearTimeout(messageFocusTimerRef.current), []);
+
+  const focusIndexFor = (channel) => (messageFocus?.channel === channel ? messageFocus.index : null);
+
   // Memoized empty state checks
   const isTextChatEmpty = useMemo(() => textMessages.length === 0, [textMessages.length]);
   const isVoiceChatEmpty = useMemo(() => voiceMessages.length === 0, [voiceMessages.length]);
@@ -546,24 +1409,123 @@ export default function Home() {
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800">
       <div className="container mx-auto px-4 py-6 sm:py-8 max-w-7xl">
-        <h1 className="text-3xl sm:text-4xl font-bold text-center mb-8 text-gray-800 dark:text-white">
+        <h1 className="text-3xl sm:text-4xl font-bold text-center mb-3 text-gray-800 dark:text-white">
           Barber Booking Agent
         </h1>
 
+        <ConversationBar
+          conversationId={conversationId}
+          onNewConversation={handleNewConversation}
+          onResumeConversation={handleResumeConversation}
+          disabled={conversationalMode}
+        >
+          <button
+            type="button"
+            onClick={openThreads}
+            className="rounded-lg bg-gray-700 px-3 py-1 text-white hover:bg-gray-600 transition-colors"
+          >
+            ☰ History
+          </button>
+          <button
+            type="button"
+            onClick={openSearch}
+            className="rounded-lg bg-gray-700 px-3 py-1 text-white hover:bg-gray-600 transition-colors"
+          >
+            🔍 Search
+          </button>
+          <button
+            type="button"
+            onClick={openFeedback}
+            className="rounded-lg bg-gray-700 px-3 py-1 text-white hover:bg-gray-600 transition-colors"
+            title="Review ratings given on agent replies"
+          >
+            👍 Feedback{feedbackQueueSize > 0 && ` (${feedbackQueueSize})`}
+          </button>
+          <button
+            type="button"
+            onClick={openCatalog}
+            className="rounded-lg bg-blue-500 px-3 py-1 text-white hover:bg-blue-600 transition-colors"
+          >
+            ✂ Services & barbers
+          </button>
+        </ConversationBar>
+
+        <CatalogPanel
+          isOpen={isCatalogOpen}
+          onClose={closeCatalog}
+          catalog={catalog}
+          isLoading={isCatalogLoading}
+          error={catalogError}
+          onRetry={fetchCatalog}
+          onBook={handleBookFromCatalog}
+        />
+
+        <ThreadSidebar
+          isOpen={isThreadsOpen}
+          onClose={closeThreads}
+          threads={threads}
+          currentId={conversationId}
+          isLoading={isThreadsLoading}
+          error={threadsError}
+          onSelect={handleSelectThread}
+          onNew={handleNewThread}
+          onRename={handleRenameThread}
+          onDelete={handleDeleteThread}
+          onImport={handleImportTranscript}
+          disabled={conversationalMode}
+        />
+
+        <FeedbackPanel
+          isOpen={isFeedbackOpen}
+          onClose={closeFeedback}
+          entries={feedback}
+          onReview={markFeedbackReviewed}
+          onRemove={removeFeedback}
+          onClearReviewed={clearReviewedFeedback}
+          onRetryUpload={uploadFeedback}
+        />
+
+        <SearchPanel
+          isOpen={isSearchOpen}
+          onClose={closeSearch}
+          index={searchIndex}
+          error={searchError}
+          threads={threads}
+          currentId={conversationId}
+          onOpenResult={handleOpenSearchResult}
+          disabled={conversationalMode}
+        />
+
         {error && (
           <div className="mb-4 p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg dark:bg-red-900/20 dark:border-red-500 dark:text-red-400">
             {error}
           </div>
         )}
 
+        {retryNotice && (
+          <div className="mb-4 p-4 bg-yellow-100 border border-yellow-400 text-yellow-800 rounded-lg dark:bg-yellow-900/20 dark:border-yellow-500 dark:text-yellow-300">
+            {retryNotice}
+          </div>
+        )}
+
         <div className="grid grid-cols-1 gap-6 lg:grid-cols-2 xl:grid-cols-3">
           <TextChat
             messages={textMessages}
             inputValue={textInput}
             onInputChange={setTextInput}
             onSubmit={handleTextSubmit}
+            onStop={stopTextGeneration}
+            onRetry={retryTextMessage}
+            onEdit={editTextMessage}
+            onRegenerate={regenerateTextReply}
+            onSwitchBranch={switchTextBranch}
+            onPickSlot={handlePickSlot}
+            onSuggestion={handleSuggestion}
+            onClear={clearTextChat}
+            inputRef={textInputRef}
             isLoading={isTextLoading}
             isEmpty={isTextChatEmpty}
+            focusIndex={focusIndexFor(CHANNELS.TEXT)}
           />
 
           <VoiceChat
@@ -573,10 +1535,12 @@ export default function Home() {
             onFileUpload={handleFileUpload}
             onReplayLast={handleReplayLast}
             onStopSpeaking={stopSpeaking}
+            onClear={clearVoiceChat}
             isRecording={isRecording}
             isLoading={isVoiceLoading}
             isSpeaking={isSpeaking}
             isEmpty={isVoiceChatEmpty}
+            focusIndex={focusIndexFor(CHANNELS.VOICE)}
           />
 
           <CallPreview
@@ -584,13 +1548,28 @@ export default function Home() {
             onStartCall={startCall}
             onStopCall={stopCall}
             onVoiceInput={handleCallVoiceInput}
+            onAudioFrame={CALL_TRANSPORT === CALL_TRANSPORTS.WEBSOCKET ? handleCallAudioFrame : undefined}
             onInterruptSpeaking={handleCallInterrupt}
+            onSuggestion={handleCallSuggestion}
+            onClear={clearCallChat}
             isRecording={isCallRecording}
             isProcessing={isCallProcessing}
             isSpeaking={isCallSpeaking}
             conversationalMode={conversationalMode}
+            partialTranscript={callPartialTranscript}
+            connectionStatus={callConnection}
+            focusIndex={focusIndexFor(CHANNELS.CALL)}
           />
         </div>
+
+        <AppointmentsPanel
+          appointments={appointments}
+          onReschedule={handleRescheduleAppointment}
+          onCancel={handleCancelAppointment}
+          onRemove={removeAppointment}
+          reminderStatus={reminderStatus}
+          onToggleReminders={handleToggleReminders}
+        />
       </div>
     </div>
   );
@@ -0,0 +1,206 @@
+'use client';
+
+import { memo, useEffect, useMemo, useState } from 'react';
+import { APPOINTMENT_STATUS, partitionAppointments } from '../lib/appointments';
+import { REMINDER_STATUS } from '../lib/reminders';
+import { formatPrice, formatWhen, getStartDate } from '../utils/bookingFormat';
+import { calendarFileName, createCalendar, downloadCalendar } from '../utils/icalendar';
+
+// Move appointments to "Past" once they start, while the panel stays open
+const CLOCK_INTERVAL = 60000;
+
+const REMINDER_TOGGLE = {
+  [REMINDER_STATUS.ON]: { label: '🔔 Reminders on', title: 'You get a notification a day and an hour before each appointment. Click to turn off.' },
+  [REMINDER_STATUS.OFF]: { label: '🔕 Remind me', title: 'Get a notification a day and an hour before each appointment' },
+  [REMINDER_STATUS.DENIED]: { label: '🔕 Reminders blocked', title: 'Notifications are blocked for this site. Allow them in your browser settings to get reminders.' },
+  [REMINDER_STATUS.UNSUPPORTED]: { label: '🔕 Reminders unavailable', title: 'This browser cannot show appointment reminders' },
+};
+
+const TABS = [
+  { key: 'upcoming', label: 'Upcoming' },
+  { key: 'past', label: 'Past' },
+];
+
+function AppointmentRow({ appointment, isUpcoming, onReschedule, onCancel, onRemove }) {
+  const cancelled = appointment.status === APPOINTMENT_STATUS.CANCELLED;
+  const price = formatPrice(appointment.price, appointment.currency);
+
+  return (
+    <li className="flex flex-wrap items-start justify-between gap-3 rounded-lg border border-gray-800 bg-gray-800/60 px-3 py-2 text-sm">
+      <div className={cancelled ? 'text-gray-500' : ''}>
+        <p className={`font-medium ${cancelled ? 'line-through' : 'text-white'}`}>
+          {appointment.service || 'Appointment'}
+          {appointment.barber && <span className="font-normal text-gray-400"> with {appointment.barber}</span>}
+        </p>
+        <p className="text-gray-400">
+          {formatWhen(appointment) || 'Time not known'}
+          {price && ` · ${price}`}
+        </p>
+        {(appointment.confirmationCode || appointment.bookingId) && (
+          <p className="text-xs text-gray-500">
+            Code{' '}
+            <span className="font-mono text-gray-300">{appointment.confirmationCode || appointment.bookingId}</span>
+          </p>
+        )}
+      </div>
+
+      <div className="flex items-center gap-2">
+        {cancelled && (
+          <span className="rounded-full bg-red-900/40 px-2 py-0.5 text-xs text-red-300">Cancelled</span>
+        )}
+        {isUpcoming && !cancelled ? (
+          <>
+            {getStartDate(appointment) && (
+              <button
+                type="button"
+                onClick={() => downloadCalendar(createCalendar([appointment]), calendarFileName(appointment))}
+                className="rounded-lg px-2 py-1 text-xs text-gray-300 hover:text-white"
+                title="Download an .ics file for your calendar"
+              >
+                📅 Add to calendar
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => onReschedule(appointment)}
+              className="rounded-lg bg-gray-700 px-3 py-1 text-xs text-white hover:bg-gray-600 transition-colors"
+            >
+              Reschedule
+            </button>
+            <button
+              type="button"
+              onClick={() => onCancel(appointment)}
+              className="rounded-lg bg-red-500/80 px-3 py-1 text-xs text-white hover:bg-red-600 transition-colors"
+            >
+              Cancel
+            </button>
+          </>
+        ) : (
+          <button
+            type="button"
+            onClick={() => onRemove(appointment.id)}
+            className="px-2 py-1 text-xs text-gray-500 hover:text-gray-300"
+            title="Remove from this list"
+          >
+            Remove
+          </button>
+        )}
+      </div>
+    </li>
+  );
+}
+
+/**
+ * The customer's appointments, collected from bookings confirmed in any panel
+ * @param {Object} props - Component props
+ * @param {Array} props.appointments - Stored appointments (see lib/appointments)
+ * @param {Function} props.onReschedule - Called with the appointment to reschedule
+ * @param {Function} props.onCancel - Called with the appointment to cancel
+ * @param {Function} props.onRemove - Called with the ID of an appointment to forget
+ * @param {string} props.reminderStatus - One of REMINDER_STATUS (see lib/reminders)
+ * @param {Function} props.onToggleReminders - Turn reminders on or off
+ * @returns {JSX.Element} Appointments panel
+ */
+function AppointmentsPanel({
+  appointments = [],
+  onReschedule,
+  onCancel,
+  onRemove,
+  reminderStatus = REMINDER_STATUS.OFF,
+  onToggleReminders,
+}) {
+  const [now, setNow] = useState(() => Date.now());
+  const [activeTab, setActiveTab] = useState('upcoming');
+
+  useEffect(() => {
+    const intervalId = setInterval(() => setNow(Date.now()), CLOCK_INTERVAL);
+    return () => clearInterval(intervalId);
+  }, []);
+
+  const groups = useMemo(() => partitionAppointments(appointments, now), [appointments, now]);
+  const visible = groups[activeTab];
+  const exportable = groups.upcoming.filter((item) => (
+    item.status !== APPOINTMENT_STATUS.CANCELLED && getStartDate(item)
+  ));
+
+  const reminderToggle = REMINDER_TOGGLE[reminderStatus];
+  const canToggleReminders = reminderStatus === REMINDER_STATUS.ON || reminderStatus === REMINDER_STATUS.OFF;
+
+  // One feed file with every upcoming appointment
+  const handleExportAll = () => {
+    downloadCalendar(createCalendar(exportable, { name: 'Barber appointments' }), 'barber-appointments.ics');
+  };
+
+  return (
+    <div className="mt-6 rounded-lg bg-gradient-to-b from-gray-900 to-black text-white shadow-lg">
+      <div className="flex flex-wrap items-center justify-between gap-2 border-b border-gray-800 p-4">
+        <h2 className="text-xl font-semibold">My Appointments</h2>
+        <div className="flex flex-wrap items-center gap-1">
+          {onToggleReminders && (
+            <button
+              type="button"
+              onClick={onToggleReminders}
+              disabled={!canToggleReminders}
+              aria-pressed={reminderStatus === REMINDER_STATUS.ON}
+              className="rounded px-3 py-1 text-sm text-gray-300 hover:text-white disabled:text-gray-500 disabled:cursor-not-allowed"
+              title={reminderToggle.title}
+            >
+              {reminderToggle.label}
+            </button>
+          )}
+          {exportable.length > 0 && (
+            <button
+              type="button"
+              onClick={handleExportAll}
+              className="mr-2 rounded px-3 py-1 text-sm text-gray-300 hover:text-white"
+              title="Download all upcoming appointments as one .ics file"
+            >
+              📅 Export upcoming
+            </button>
+          )}
+          <div className="flex gap-1" role="tablist">
+            {TABS.map((tab) => (
+              <button
+                key={tab.key}
+                type="button"
+                role="tab"
+                aria-selected={tab.key === activeTab}
+                onClick={() => setActiveTab(tab.key)}
+                className={`rounded px-3 py-1 text-sm transition-colors ${
+                  tab.key === activeTab ? 'bg-blue-500 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'
+                }`}
+              >
+                {tab.label} ({groups[tab.key].length})
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="p-4">
+        {visible.length === 0 ? (
+          <p className="text-sm text-gray-400">
+            {activeTab === 'upcoming'
+              ? 'No upcoming appointments. Bookings you confirm in any chat show up here.'
+              : 'No past appointments yet.'}
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {visible.map((appointment) => (
+              <AppointmentRow
+                key={appointment.id}
+                appointment={appointment}
+                isUpcoming={activeTab === 'upcoming'}
+                onReschedule={onReschedule}
+                onCancel={onCancel}
+                onRemove={onRemove}
+              />
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default memo(AppointmentsPanel);
@@ -0,0 +1,33 @@
+'use client';
+
+import { memo, useMemo } from 'react';
+import MarkdownRenderer from './MarkdownRenderer';
+import BookingCards from './BookingCards';
+import { extractSlotBlocks } from '../lib/chatEvents';
+
+/**
+ * Body of an assistant message: the markdown reply plus its booking cards.
+ * Fenced `slots` blocks in the reply become slot pickers.
+ * @param {Object} props - Component props
+ * @param {Object} props.message - Assistant message
+ * @param {Function} [props.onPickSlot] - Makes offered slots pickable; called with `(slot, offer)`
+ * @param {boolean} props.pickDisabled - Temporarily disable slot picking
+ * @returns {JSX.Element} Rendered reply
+ */
+function AssistantReply({ message, onPickSlot, pickDisabled = false }) {
+  const { content, cards } = useMemo(() => extractSlotBlocks(message.content), [message.content]);
+
+  return (
+    <>
+      {content && <MarkdownRenderer content={content} />}
+      <BookingCards
+        message={message}
+        extraCards={cards}
+        onPickSlot={onPickSlot}
+        pickDisabled={pickDisabled}
+      />
+    </>
+  );
+}
+
+export default memo(AssistantReply);
@@ -0,0 +1,112 @@
+'use client';
+
+import { memo } from 'react';
+import SlotPicker from './SlotPicker';
+import { formatPrice, formatWhen, getStartDate } from '../utils/bookingFormat';
+import { calendarFileName, createCalendar, downloadCalendar } from '../utils/icalendar';
+
+const TOOL_LABELS = {
+  check_availability: 'Checked availability',
+  create_booking: 'Created booking',
+  cancel_booking: 'Cancelled booking',
+  list_services: 'Looked up services',
+};
+
+function Detail({ label, value }) {
+  if (!value) return null;
+  return (
+    <div className="flex justify-between gap-3">
+      <dt className="text-gray-400">{label}</dt>
+      <dd className="text-right text-gray-100">{value}</dd>
+    </div>
+  );
+}
+
+/**
+ * Confirmed or cancelled booking
+ */
+function BookingCard({ card }) {
+  const cancelled = card.type === 'booking_cancelled';
+
+  const handleAddToCalendar = () => {
+    downloadCalendar(createCalendar([card]), calendarFileName(card));
+  };
+
+  return (
+    <div
+      className={`rounded-lg border px-3 py-2 text-sm ${
+        cancelled ? 'border-red-500/50 bg-red-900/20' : 'border-green-500/50 bg-green-900/20'
+      }`}
+    >
+      <p className={`font-semibold mb-1 ${cancelled ? 'text-red-300' : 'text-green-300'}`}>
+        {cancelled ? '✕ Booking cancelled' : '✓ Booking confirmed'}
+      </p>
+      <dl className={`space-y-0.5 ${cancelled ? 'line-through decoration-gray-500' : ''}`}>
+        <Detail label="Service" value={card.service} />
+        <Detail label="Barber" value={card.barber} />
+        <Detail label="When" value={formatWhen(card)} />
+        <Detail label="Price" value={formatPrice(card.price, card.currency)} />
+      </dl>
+      {card.confirmationCode && (
+        <p className="mt-2 text-xs text-gray-300">
+          Confirmation code{' '}
+          <span className="font-mono font-semibold text-white">{card.confirmationCode}</span>
+        </p>
+      )}
+      {!cancelled && getStartDate(card) && (
+        <button
+          type="button"
+          onClick={handleAddToCalendar}
+          className="mt-2 rounded bg-green-700/60 px-2 py-0.5 text-xs text-white hover:bg-green-700 transition-colors"
+        >
+          📅 Add to calendar
+        </button>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Structured agent events attached to an assistant message: tool calls,
+ * booking cards and stream errors
+ * @param {Object} props - Component props
+ * @param {Object} props.message - Assistant message
+ * @param {Array} props.extraCards - Cards found in the reply text, e.g. fenced slot blocks
+ * @param {Function} [props.onPickSlot] - Makes offered slots pickable; called with `(slot, offer)`
+ * @param {boolean} props.pickDisabled - Temporarily disable slot picking
+ * @returns {JSX.Element|null} Rendered cards
+ */
+function BookingCards({ message, extraCards = [], onPickSlot, pickDisabled = false }) {
+  const cards = [...(message.cards || []), ...extraCards];
+  const toolCalls = message.toolCalls || [];
+
+  if (cards.length === 0 && toolCalls.length === 0 && !message.error) {
+    return null;
+  }
+
+  return (
+    <div className="mt-2 space-y-2">
+      {toolCalls.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {toolCalls.map((call, idx) => (
+            <span key={idx} className="rounded-full bg-gray-700/60 px-2 py-0.5 text-xs text-gray-300">
+              🔧 {TOOL_LABELS[call.name] || call.name}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {cards.map((card, idx) => (
+        card.type === 'slots_offered'
+          ? <SlotPicker key={idx} offer={card} onPick={onPickSlot} disabled={pickDisabled} />
+          : <BookingCard key={idx} card={card} />
+      ))}
+
+      {message.error && (
+        <p className="text-xs text-red-400">⚠ {message.error}</p>
+      )}
+    </div>
+  );
+}
+
+export default memo(BookingCards);
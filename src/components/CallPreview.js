@@ -2,9 +2,18 @@
 
 import { useRef, useEffect, memo, useState, useCallback } from 'react';
 import SpeakingAnimation, { useSpeakingAnimation } from './SpeakingAnimation';
-import MarkdownRenderer from './MarkdownRenderer';
+import AssistantReply from './AssistantReply';
+import SuggestionChips from './SuggestionChips';
+import ClearChatButton from './ClearChatButton';
+import TranscriptMenu from './TranscriptMenu';
+import ContextModeToggle from './ContextModeToggle';
+import FeedbackButtons from './FeedbackButtons';
+import MessageMeta from './MessageMeta';
 import useConversationState from '../hooks/useConversationState';
+import useMessageFocus from '../hooks/useMessageFocus';
 import { createVAD, VAD_PRESETS } from '../utils/voiceActivityDetection';
+import { getSuggestions } from '../lib/chatEvents';
+import { CHANNELS } from '../lib/session';
 
 function CallPreview({
   messages = [],
@@ -12,10 +21,16 @@ function CallPreview({
   onStopCall,
   onVoiceInput,
   onInterruptSpeaking,
+  onAudioFrame,
+  onSuggestion,
+  onClear,
   isRecording = false,
   isProcessing = false,
   isSpeaking = false,
   conversationalMode = false,
+  partialTranscript = '',
+  connectionStatus = 'idle',
+  focusIndex = null,
 }) {
   const messagesEndRef = useRef(null);
   const vadRef = useRef(null);
@@ -45,7 +60,9 @@ function CallPreview({
   // Auto-scroll messages
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [messages]);
+  }, [messages, partialTranscript]);
+
+  const listRef = useMessageFocus(focusIndex, messages);
 
   // Initial start listening when conversation mode is enabled
   useEffect(() => {
@@ -175,6 +192,10 @@ function CallPreview({
         mediaRecorderRef.current.ondataavailable = (event) => {
           if (event.data.size > 0) {
             audioChunksRef.current.push(event.data);
+            // Streaming transports get every frame as it is recorded
+            if (onAudioFrame) {
+              onAudioFrame(event.data);
+            }
           }
         };
       }
@@ -201,7 +222,7 @@ function CallPreview({
       console.error('Failed to start listening:', error);
       conversation.setError(error);
     }
-  }, [initializeVAD, conversation]);
+  }, [initializeVAD, conversation, onAudioFrame]);
   
   // Update ref whenever startListening changes
   useEffect(() => {
@@ -269,6 +290,14 @@ function CallPreview({
     }
   }, [conversation, onInterruptSpeaking]);
 
+  /**
+   * Answer with a quick reply instead of speaking, cutting the agent off
+   */
+  const handleSuggestion = useCallback((value) => {
+    handleInterrupt();
+    onSuggestion(value);
+  }, [handleInterrupt, onSuggestion]);
+
   // Sync speaking state from parent component
   useEffect(() => {
     if (isSpeaking && conversation.currentState !== 'speaking') {
@@ -345,9 +374,34 @@ function CallPreview({
             {conversation.mode === 'conversational' ? 'Live Conversation' : 'Call Preview'}
           </h2>
           {conversation.mode === 'conversational' && (
-            <div className="flex items-center space-x-2">
-              <div className="w-2 h-2 bg-green-400 rounded-full animate-pulse"></div>
-              <span className="text-sm text-green-400">Live</span>
+            connectionStatus === 'connecting' || connectionStatus === 'reconnecting' ? (
+              <div className="flex items-center space-x-2">
+                <div className="w-2 h-2 bg-yellow-400 rounded-full animate-pulse"></div>
+                <span className="text-sm text-yellow-400">
+                  {connectionStatus === 'connecting' ? 'Connecting...' : 'Reconnecting...'}
+                </span>
+              </div>
+            ) : (
+              <div className="flex items-center space-x-2">
+                <div className="w-2 h-2 bg-green-400 rounded-full animate-pulse"></div>
+                <span className="text-sm text-green-400">Live</span>
+              </div>
+            )
+          )}
+          {conversation.mode !== 'conversational' && (
+            <div className="flex items-center gap-1">
+              <ContextModeToggle channel={CHANNELS.CALL} />
+              {messages.length > 0 && (
+                <>
+                  <TranscriptMenu
+                    messages={messages}
+                    channel={CHANNELS.CALL}
+                    getStats={conversation.getStats}
+                    disabled={isProcessing}
+                  />
+                  {onClear && <ClearChatButton onClear={onClear} disabled={isRecording || isProcessing} />}
+                </>
+              )}
             </div>
           )}
         </div>
@@ -395,15 +449,16 @@ function CallPreview({
         </div>
 
         {/* Messages Display */}
-        {messages.length > 0 && (
-          <div className="w-full max-h-40 overflow-y-auto bg-black/40 rounded-lg p-3 text-sm space-y-2">
+        {(messages.length > 0 || partialTranscript) && (
+          <div ref={listRef} className="w-full max-h-40 overflow-y-auto bg-black/40 rounded-lg p-3 text-sm space-y-2">
             {messages.map((msg, idx) => (
               <div
-                key={idx}
+                key={msg.id ?? idx}
+                data-message-index={idx}
                 className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}
               >
                 <div
-                  className={`max-w-[80%] rounded-lg px-3 py-2 ${
+                  className={`max-w-[80%] rounded-lg px-3 py-2 ${idx === focusIndex ? 'ring-2 ring-yellow-400' : ''} ${
                     msg.role === 'user'
                       ? 'bg-blue-500 text-white'
                       : 'bg-gray-800 text-gray-100'
@@ -412,14 +467,39 @@ function CallPreview({
                   {msg.role === 'user' ? (
                     <p className="whitespace-pre-wrap text-white">{msg.content}</p>
                   ) : (
-                    <MarkdownRenderer content={msg.content} />
+                    <>
+                      <AssistantReply message={msg} />
+                      <FeedbackButtons
+                        messages={messages}
+                        index={idx}
+                        channel={CHANNELS.CALL}
+                        disabled={isProcessing && idx === messages.length - 1}
+                      />
+                    </>
                   )}
+                  <MessageMeta message={msg} />
                 </div>
               </div>
             ))}
+            {partialTranscript && (
+              <div className="flex justify-end">
+                <p className="max-w-[80%] rounded-lg px-3 py-2 bg-blue-500/40 text-white/80 italic whitespace-pre-wrap">
+                  {partialTranscript}
+                </p>
+              </div>
+            )}
             <div ref={messagesEndRef} />
           </div>
         )}
+
+        {/* Quick replies: tap instead of talking over the agent */}
+        {isSpeaking && onSuggestion && messages[messages.length - 1]?.role === 'assistant' && (
+          <SuggestionChips
+            suggestions={getSuggestions(messages[messages.length - 1])}
+            onSelect={handleSuggestion}
+            className="w-full justify-center"
+          />
+        )}
       </div>
 
       {/* Controls */}
@@ -0,0 +1,207 @@
+'use client';
+
+import { memo, useState } from 'react';
+import { filterBarbers, filterServices, getCategories } from '../lib/catalog';
+import { formatPrice } from '../utils/bookingFormat';
+
+const TABS = [
+  { key: 'services', label: 'Services' },
+  { key: 'barbers', label: 'Barbers' },
+];
+
+const selectClassName = 'rounded-lg border border-gray-700 bg-gray-800 px-2 py-1 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+function BarberPhoto({ barber }) {
+  if (barber.photo) {
+    return (
+      <div
+        role="img"
+        aria-label={barber.name}
+        className="h-12 w-12 shrink-0 rounded-full bg-gray-700 bg-cover bg-center"
+        style={{ backgroundImage: `url(${JSON.stringify(barber.photo)})` }}
+      />
+    );
+  }
+
+  return (
+    <div className="flex h-12 w-12 shrink-0 items-center justify-center rounded-full bg-gray-700 text-lg font-semibold text-gray-200">
+      {barber.name.charAt(0)}
+    </div>
+  );
+}
+
+function BookButton({ onClick, children }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      className="shrink-0 rounded-lg bg-blue-500 px-3 py-1 text-xs text-white hover:bg-blue-600 transition-colors"
+    >
+      {children}
+    </button>
+  );
+}
+
+/**
+ * Side panel listing the shop's services and barbers, with search, filters
+ * and a "Book this" action that starts a booking in the text chat
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Show the panel
+ * @param {Function} props.onClose - Close the panel
+ * @param {Object|null} props.catalog - Loaded catalog (see lib/catalog)
+ * @param {boolean} props.isLoading - Catalog is loading
+ * @param {string|null} props.error - Load error
+ * @param {Function} props.onRetry - Load the catalog again
+ * @param {Function} props.onBook - Called with `{ service, barber }`; either may be null
+ * @returns {JSX.Element|null} Catalog panel
+ */
+function CatalogPanel({ isOpen, onClose, catalog, isLoading = false, error = null, onRetry, onBook }) {
+  const [activeTab, setActiveTab] = useState('services');
+  const [query, setQuery] = useState('');
+  const [category, setCategory] = useState('');
+  const [barberId, setBarberId] = useState('');
+  const [serviceId, setServiceId] = useState('');
+
+  if (!isOpen) return null;
+
+  const categories = catalog ? getCategories(catalog) : [];
+  const selectedBarber = catalog?.barbers.find((barber) => barber.id === barberId) || null;
+  const selectedService = catalog?.services.find((service) => service.id === serviceId) || null;
+  const services = catalog ? filterServices(catalog, { query, category: category || null, barberId: barberId || null }) : [];
+  const barbers = catalog ? filterBarbers(catalog, { query, serviceId: serviceId || null }) : [];
+  const results = activeTab === 'services' ? services : barbers;
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end">
+      <button
+        type="button"
+        aria-label="Close catalog"
+        onClick={onClose}
+        className="absolute inset-0 bg-black/50"
+      />
+
+      <aside className="relative flex h-full w-full max-w-md flex-col bg-gradient-to-b from-gray-900 to-black text-white shadow-xl">
+        <div className="flex items-center justify-between border-b border-gray-800 p-4">
+          <h2 className="text-xl font-semibold">Services & Barbers</h2>
+          <button type="button" onClick={onClose} className="px-2 py-1 text-gray-400 hover:text-white" aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <div className="space-y-3 border-b border-gray-800 p-4">
+          <div className="flex gap-1" role="tablist">
+            {TABS.map((tab) => (
+              <button
+                key={tab.key}
+                type="button"
+                role="tab"
+                aria-selected={tab.key === activeTab}
+                onClick={() => setActiveTab(tab.key)}
+                className={`rounded px-3 py-1 text-sm transition-colors ${
+                  tab.key === activeTab ? 'bg-blue-500 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={activeTab === 'services' ? 'Search services…' : 'Search barbers or specialties…'}
+            className="w-full rounded-lg border border-gray-700 bg-gray-800 px-3 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+
+          {catalog && activeTab === 'services' && (
+            <div className="flex flex-wrap gap-2">
+              {categories.length > 0 && (
+                <select value={category} onChange={(e) => setCategory(e.target.value)} className={selectClassName} aria-label="Category">
+                  <option value="">All categories</option>
+                  {categories.map((item) => <option key={item} value={item}>{item}</option>)}
+                </select>
+              )}
+              <select value={barberId} onChange={(e) => setBarberId(e.target.value)} className={selectClassName} aria-label="Barber">
+                <option value="">Any barber</option>
+                {catalog.barbers.map((barber) => <option key={barber.id} value={barber.id}>{barber.name}</option>)}
+              </select>
+            </div>
+          )}
+
+          {catalog && activeTab === 'barbers' && (
+            <select value={serviceId} onChange={(e) => setServiceId(e.target.value)} className={selectClassName} aria-label="Service">
+              <option value="">Any service</option>
+              {catalog.services.map((service) => <option key={service.id} value={service.id}>{service.name}</option>)}
+            </select>
+          )}
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4">
+          {isLoading && <p className="text-sm text-gray-400">Loading catalog…</p>}
+
+          {error && (
+            <div className="space-y-2 text-sm">
+              <p className="text-red-400">{error}</p>
+              <button type="button" onClick={onRetry} className="rounded-lg bg-gray-700 px-3 py-1 text-white hover:bg-gray-600">
+                Try again
+              </button>
+            </div>
+          )}
+
+          {catalog && results.length === 0 && (
+            <p className="text-sm text-gray-400">Nothing matches your search.</p>
+          )}
+
+          {catalog && activeTab === 'services' && services.length > 0 && (
+            <ul className="space-y-2">
+              {services.map((service) => (
+                <li key={service.id} className="flex items-start justify-between gap-3 rounded-lg border border-gray-800 bg-gray-800/60 px-3 py-2 text-sm">
+                  <div>
+                    <p className="font-medium">{service.name}</p>
+                    <p className="text-gray-400">
+                      {[service.duration && `${service.duration} min`, formatPrice(service.price, service.currency)]
+                        .filter(Boolean)
+                        .join(' · ')}
+                    </p>
+                    {service.description && <p className="mt-1 text-xs text-gray-500">{service.description}</p>}
+                  </div>
+                  <BookButton onClick={() => onBook({ service, barber: selectedBarber })}>
+                    {selectedBarber ? `Book with ${selectedBarber.name}` : 'Book this'}
+                  </BookButton>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {catalog && activeTab === 'barbers' && barbers.length > 0 && (
+            <ul className="space-y-2">
+              {barbers.map((barber) => (
+                <li key={barber.id} className="flex items-center gap-3 rounded-lg border border-gray-800 bg-gray-800/60 px-3 py-2 text-sm">
+                  <BarberPhoto barber={barber} />
+                  <div className="flex-1">
+                    <p className="font-medium">{barber.name}</p>
+                    {barber.specialties.length > 0 && (
+                      <div className="mt-1 flex flex-wrap gap-1">
+                        {barber.specialties.map((specialty) => (
+                          <span key={specialty} className="rounded-full bg-gray-700/60 px-2 py-0.5 text-xs text-gray-300">
+                            {specialty}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                  <BookButton onClick={() => onBook({ service: selectedService, barber })}>
+                    Book this
+                  </BookButton>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+}
+
+export default memo(CatalogPanel);
@@ -0,0 +1,53 @@
+'use client';
+
+import { memo, useState } from 'react';
+
+/**
+ * Header button that clears a panel's conversation after a confirming click
+ * @param {Object} props - Component props
+ * @param {Function} props.onClear - Clear the panel
+ * @param {boolean} props.disabled - Disable the button, e.g. while a reply is loading
+ * @returns {JSX.Element} Clear button
+ */
+function ClearChatButton({ onClear, disabled = false }) {
+  const [isConfirming, setIsConfirming] = useState(false);
+
+  if (isConfirming && !disabled) {
+    return (
+      <div className="flex items-center gap-2 text-xs">
+        <span className="text-gray-400">Clear this chat?</span>
+        <button
+          type="button"
+          onClick={() => {
+            setIsConfirming(false);
+            onClear();
+          }}
+          className="rounded bg-red-500/80 px-2 py-0.5 text-white hover:bg-red-600 transition-colors"
+        >
+          Clear
+        </button>
+        <button
+          type="button"
+          onClick={() => setIsConfirming(false)}
+          className="px-1 text-gray-400 hover:text-gray-200"
+        >
+          Keep
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={() => setIsConfirming(true)}
+      disabled={disabled}
+      className="rounded px-2 py-0.5 text-xs text-gray-400 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed"
+      title="Delete this panel's messages from this browser"
+    >
+      Clear
+    </button>
+  );
+}
+
+export default memo(ClearChatButton);
@@ -0,0 +1,55 @@
+'use client';
+
+import { memo, useSyncExternalStore } from 'react';
+import {
+  CONTEXT_MODES,
+  getContextModes,
+  getServerContextModes,
+  setContextMode,
+  subscribeToContextModes,
+} from '../lib/session';
+
+const OPTIONS = [
+  {
+    mode: CONTEXT_MODES.SHARED,
+    label: 'Shared',
+    hint: 'Remembers what was said in the other shared panels',
+  },
+  {
+    mode: CONTEXT_MODES.ISOLATED,
+    label: 'Isolated',
+    hint: 'Remembers only this panel\'s messages',
+  },
+];
+
+/**
+ * Header switch choosing whether a panel shares the conversation's context
+ * with the other panels or keeps its own
+ * @param {Object} props - Component props
+ * @param {string} props.channel - The panel, one of CHANNELS (see lib/session)
+ * @returns {JSX.Element} Context mode switch
+ */
+function ContextModeToggle({ channel }) {
+  const modes = useSyncExternalStore(subscribeToContextModes, getContextModes, getServerContextModes);
+
+  return (
+    <div className="flex rounded bg-gray-800 p-0.5 text-xs" role="group" aria-label="Conversation context">
+      {OPTIONS.map((option) => (
+        <button
+          key={option.mode}
+          type="button"
+          onClick={() => setContextMode(channel, option.mode)}
+          aria-pressed={modes[channel] === option.mode}
+          title={option.hint}
+          className={`rounded px-2 py-0.5 transition-colors ${
+            modes[channel] === option.mode ? 'bg-gray-600 text-white' : 'text-gray-400 hover:text-white'
+          }`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default memo(ContextModeToggle);
@@ -0,0 +1,98 @@
+'use client';
+
+import { memo, useState } from 'react';
+
+/**
+ * Shows the conversation shared by all panels, with controls to start a new
+ * one or resume an existing conversation by ID
+ * @param {Object} props - Component props
+ * @param {string|null} props.conversationId - Current conversation ID
+ * @param {Function} props.onNewConversation - Start a new conversation
+ * @param {Function} props.onResumeConversation - Resume by ID; throws on invalid IDs
+ * @param {boolean} props.disabled - Lock the conversation, e.g. during a live call
+ * @param {React.ReactNode} props.children - Extra controls shown at the end of the bar
+ * @returns {JSX.Element} Conversation bar
+ */
+function ConversationBar({ conversationId, onNewConversation, onResumeConversation, disabled = false, children }) {
+  const [isResuming, setIsResuming] = useState(false);
+  const [resumeId, setResumeId] = useState('');
+  const [resumeError, setResumeError] = useState(null);
+
+  const handleResume = (e) => {
+    e.preventDefault();
+    try {
+      onResumeConversation(resumeId);
+      setIsResuming(false);
+      setResumeId('');
+      setResumeError(null);
+    } catch (err) {
+      setResumeError(err.message);
+    }
+  };
+
+  return (
+    <div className="mb-6 flex flex-wrap items-center justify-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+      <span>
+        Conversation{' '}
+        <code className="rounded bg-gray-200 px-1.5 py-0.5 text-xs text-gray-800 dark:bg-gray-800 dark:text-gray-200" title={conversationId || ''}>
+          {conversationId ? conversationId.slice(0, 13) : '…'}
+        </code>
+      </span>
+
+      <button
+        type="button"
+        onClick={onNewConversation}
+        disabled={disabled}
+        title={disabled ? 'End the call to change conversations' : undefined}
+        className="rounded-lg bg-gray-700 px-3 py-1 text-white hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+      >
+        New conversation
+      </button>
+
+      {isResuming ? (
+        <form onSubmit={handleResume} className="flex items-center gap-2">
+          <input
+            type="text"
+            value={resumeId}
+            onChange={(e) => setResumeId(e.target.value)}
+            placeholder="Conversation ID"
+            className="rounded-lg border border-gray-700 bg-gray-900 px-2 py-1 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+            autoFocus
+          />
+          <button
+            type="submit"
+            disabled={disabled || !resumeId.trim()}
+            className="rounded-lg bg-blue-500 px-3 py-1 text-white hover:bg-blue-600 disabled:bg-gray-600 disabled:cursor-not-allowed transition-colors"
+          >
+            Resume
+          </button>
+          <button
+            type="button"
+            onClick={() => {
+              setIsResuming(false);
+              setResumeError(null);
+            }}
+            className="px-2 py-1 text-gray-400 hover:text-gray-200"
+          >
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <button
+          type="button"
+          onClick={() => setIsResuming(true)}
+          disabled={disabled}
+          className="rounded-lg px-3 py-1 text-gray-500 hover:text-gray-300 dark:text-gray-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          Resume…
+        </button>
+      )}
+
+      {resumeError && <span className="text-red-500 dark:text-red-400">{resumeError}</span>}
+
+      {children}
+    </div>
+  );
+}
+
+export default memo(ConversationBar);
@@ -0,0 +1,113 @@
+'use client';
+
+import { memo, useState, useSyncExternalStore } from 'react';
+import { getConversationId, subscribeToConversation } from '../lib/session';
+import {
+  FEEDBACK_RATINGS,
+  feedbackKey,
+  findFeedback,
+  getFeedback,
+  getServerFeedback,
+  recordFeedback,
+  removeFeedback,
+  subscribeToFeedback,
+} from '../lib/feedback';
+
+const RATINGS = [
+  { rating: FEEDBACK_RATINGS.UP, icon: '👍', label: 'Good answer' },
+  { rating: FEEDBACK_RATINGS.DOWN, icon: '👎', label: 'Wrong or unhelpful answer' },
+];
+
+/**
+ * Thumbs up/down and an optional comment under an assistant message. The
+ * rating is stored with the surrounding messages (see lib/feedback).
+ * @param {Object} props - Component props
+ * @param {Array} props.messages - The panel's messages
+ * @param {number} props.index - Position of the rated reply
+ * @param {string} props.channel - The panel, one of CHANNELS (see lib/session)
+ * @param {boolean} props.disabled - Disable rating, e.g. while the reply streams
+ * @returns {JSX.Element} Feedback controls
+ */
+function FeedbackButtons({ messages, index, channel, disabled = false }) {
+  const conversationId = useSyncExternalStore(subscribeToConversation, getConversationId, () => null);
+  const entries = useSyncExternalStore(subscribeToFeedback, getFeedback, getServerFeedback);
+  const [isCommenting, setIsCommenting] = useState(false);
+  const [comment, setComment] = useState('');
+
+  const key = conversationId ? feedbackKey(conversationId, channel, messages[index], index) : null;
+  const feedback = key ? findFeedback(entries, key) : null;
+
+  const rate = (rating, text = feedback?.comment ?? '') => {
+    recordFeedback({ conversationId, channel, messages, index, rating, comment: text });
+  };
+
+  const handleRate = (rating) => {
+    if (feedback?.rating === rating) {
+      removeFeedback(feedback.id);
+      setIsCommenting(false);
+    } else {
+      rate(rating);
+    }
+  };
+
+  const handleComment = (e) => {
+    e.preventDefault();
+    rate(feedback.rating, comment);
+    setIsCommenting(false);
+  };
+
+  if (isCommenting && feedback) {
+    return (
+      <form onSubmit={handleComment} className="mt-2 flex items-center gap-2 text-xs">
+        <input
+          type="text"
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          onKeyDown={(e) => e.key === 'Escape' && setIsCommenting(false)}
+          placeholder={feedback.rating === FEEDBACK_RATINGS.DOWN ? 'What was wrong?' : 'What was good?'}
+          aria-label="Feedback comment"
+          className="flex-1 rounded border border-gray-600 bg-gray-900 px-2 py-1 text-white placeholder-gray-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+          autoFocus
+        />
+        <button type="submit" className="rounded bg-blue-500 px-2 py-1 text-white hover:bg-blue-600">
+          Save
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <div className="mt-1 flex items-center gap-1 text-xs text-gray-400">
+      {RATINGS.map((option) => (
+        <button
+          key={option.rating}
+          type="button"
+          onClick={() => handleRate(option.rating)}
+          disabled={disabled || !key}
+          aria-pressed={feedback?.rating === option.rating}
+          title={option.label}
+          className={`rounded px-1 transition-opacity disabled:cursor-not-allowed ${
+            feedback?.rating === option.rating ? 'bg-gray-700 opacity-100' : 'opacity-50 hover:opacity-100'
+          }`}
+        >
+          {option.icon}
+        </button>
+      ))}
+      {feedback && (
+        <button
+          type="button"
+          onClick={() => {
+            setComment(feedback.comment);
+            setIsCommenting(true);
+          }}
+          className="ml-1 max-w-[12rem] truncate hover:text-white"
+          title={feedback.comment || 'Add a comment'}
+        >
+          {feedback.comment ? `“${feedback.comment}”` : 'Add comment'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default memo(FeedbackButtons);
@@ -0,0 +1,169 @@
+'use client';
+
+import { memo, useState } from 'react';
+import { CHANNELS } from '../lib/session';
+import { FEEDBACK_RATINGS, FEEDBACK_UPLOAD, feedbackToJsonl } from '../lib/feedback';
+import { downloadFile } from '../utils/download';
+import { extractPlainText } from '../utils/textProcessor';
+
+const FILTERS = [
+  { key: 'queue', label: 'To review' },
+  { key: 'all', label: 'All' },
+];
+
+const CHANNEL_LABELS = {
+  [CHANNELS.TEXT]: '💬 Text',
+  [CHANNELS.VOICE]: '🎙 Voice',
+  [CHANNELS.CALL]: '📞 Call',
+};
+
+const EXCERPT_LENGTH = 160;
+
+function excerpt(content) {
+  const text = extractPlainText(content || '');
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}…` : text;
+}
+
+function FeedbackEntry({ entry, onReview, onRemove, onRetryUpload }) {
+  const question = entry.context.before.findLast((msg) => msg.role === 'user');
+
+  return (
+    <li className="rounded-lg border border-gray-800 bg-gray-800/60 p-3 text-sm">
+      <div className="flex items-baseline justify-between gap-2 text-xs text-gray-400">
+        <span>
+          <span className="text-base">{entry.rating === FEEDBACK_RATINGS.UP ? '👍' : '👎'}</span>{' '}
+          {CHANNEL_LABELS[entry.channel] || entry.channel}
+        </span>
+        <span>{new Date(entry.updatedAt).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}</span>
+      </div>
+
+      {entry.comment && <p className="mt-1 font-medium text-white">“{entry.comment}”</p>}
+      {question && <p className="mt-1 text-gray-400">Customer: {excerpt(question.content)}</p>}
+      <p className="mt-1 text-gray-200">Agent: {excerpt(entry.message.content)}</p>
+
+      <div className="mt-2 flex items-center gap-3 text-xs">
+        <button type="button" onClick={() => onReview(entry.id, !entry.reviewed)} className="text-blue-300 hover:text-blue-200">
+          {entry.reviewed ? 'Reopen' : 'Mark reviewed'}
+        </button>
+        <button type="button" onClick={() => onRemove(entry.id)} className="text-gray-400 hover:text-red-300">
+          Delete
+        </button>
+        {FEEDBACK_UPLOAD && (entry.uploaded ? (
+          <span className="ml-auto text-green-400">Sent</span>
+        ) : (
+          <button type="button" onClick={() => onRetryUpload(entry)} className="ml-auto text-yellow-300 hover:text-yellow-200">
+            Not sent · Retry
+          </button>
+        ))}
+      </div>
+    </li>
+  );
+}
+
+/**
+ * Side panel with the local feedback review queue: ratings given on agent
+ * replies, newest first, with JSONL export
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Show the panel
+ * @param {Function} props.onClose - Close the panel
+ * @param {Array} props.entries - Stored feedback (see lib/feedback)
+ * @param {Function} props.onReview - Called with `(id, reviewed)`
+ * @param {Function} props.onRemove - Called with the ID of an entry to delete
+ * @param {Function} props.onClearReviewed - Delete every reviewed entry
+ * @param {Function} props.onRetryUpload - Called with an entry to upload again
+ * @returns {JSX.Element|null} Feedback panel
+ */
+function FeedbackPanel({ isOpen, onClose, entries = [], onReview, onRemove, onClearReviewed, onRetryUpload }) {
+  const [filter, setFilter] = useState('queue');
+
+  if (!isOpen) return null;
+
+  const queue = entries.filter((entry) => !entry.reviewed);
+  const shown = [...(filter === 'queue' ? queue : entries)].sort((a, b) => b.updatedAt - a.updatedAt);
+  const hasReviewed = queue.length < entries.length;
+
+  const handleExport = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(feedbackToJsonl(shown), `feedback-${filter}-${date}.jsonl`, 'application/x-ndjson');
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end">
+      <button
+        type="button"
+        aria-label="Close feedback"
+        onClick={onClose}
+        className="absolute inset-0 bg-black/50"
+      />
+
+      <aside className="relative flex h-full w-full max-w-md flex-col bg-gradient-to-b from-gray-900 to-black text-white shadow-xl">
+        <div className="flex items-center justify-between border-b border-gray-800 p-4">
+          <h2 className="text-xl font-semibold">Feedback</h2>
+          <button type="button" onClick={onClose} className="px-2 py-1 text-gray-400 hover:text-white" aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 border-b border-gray-800 p-4">
+          <div className="flex gap-1" role="tablist">
+            {FILTERS.map((item) => (
+              <button
+                key={item.key}
+                type="button"
+                role="tab"
+                aria-selected={item.key === filter}
+                onClick={() => setFilter(item.key)}
+                className={`rounded px-3 py-1 text-sm transition-colors ${
+                  item.key === filter ? 'bg-blue-500 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'
+                }`}
+              >
+                {item.label} ({item.key === 'queue' ? queue.length : entries.length})
+              </button>
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={handleExport}
+            disabled={shown.length === 0}
+            className="ml-auto rounded-lg bg-gray-700 px-3 py-1 text-sm text-white hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            title="Download the entries shown as JSON Lines"
+          >
+            Export JSONL
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4">
+          {shown.length === 0 ? (
+            <p className="text-sm text-gray-400">
+              {filter === 'queue'
+                ? 'Nothing to review. Rate agent replies with 👍 or 👎 to add them here.'
+                : 'No feedback yet.'}
+            </p>
+          ) : (
+            <ul className="space-y-2">
+              {shown.map((entry) => (
+                <FeedbackEntry
+                  key={entry.id}
+                  entry={entry}
+                  onReview={onReview}
+                  onRemove={onRemove}
+                  onRetryUpload={onRetryUpload}
+                />
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {hasReviewed && (
+          <div className="border-t border-gray-800 p-4">
+            <button type="button" onClick={onClearReviewed} className="text-sm text-gray-400 hover:text-red-300">
+              Delete reviewed entries
+            </button>
+          </div>
+        )}
+      </aside>
+    </div>
+  );
+}
+
+export default memo(FeedbackPanel);
@@ -0,0 +1,53 @@
+'use client';
+
+import { memo } from 'react';
+import useNow from '../hooks/useNow';
+import { MESSAGE_STATUS } from '../utils/messageList';
+import { describeLatency, formatDuration, formatRelativeTime, getLatency } from '../utils/messageTime';
+
+const STATUS_LABELS = {
+  user: {
+    [MESSAGE_STATUS.ERROR]: { text: '⚠ Not answered', className: 'text-red-200' },
+  },
+  assistant: {
+    [MESSAGE_STATUS.ERROR]: { text: '⚠ Reply failed', className: 'text-red-400' },
+    [MESSAGE_STATUS.TRUNCATED]: { text: 'Response stopped', className: 'italic' },
+  },
+};
+
+/**
+ * Footer of a message bubble: when it was sent, relative to now, how long
+ * the reply took to start, and whether it failed or was stopped. The full
+ * time and every measured duration are in the tooltip.
+ * @param {Object} props - Component props
+ * @param {Object} props.message - Chat message (see utils/messageList)
+ * @param {boolean} props.showStatus - Show the status; off where the panel
+ *   shows it another way, e.g. the text panel's delivery badge
+ * @returns {JSX.Element|null} Message footer
+ */
+function MessageMeta({ message, showStatus = true }) {
+  const now = useNow();
+  const status = showStatus ? STATUS_LABELS[message.role]?.[message.status] : null;
+  const time = now ? formatRelativeTime(message.createdAt, now) : '';
+  const { firstToken } = getLatency(message);
+
+  if (!time && !status) return null;
+
+  const title = [
+    message.createdAt && new Date(message.createdAt).toLocaleString(),
+    describeLatency(message),
+  ].filter(Boolean).join('\n');
+
+  return (
+    <p
+      className={`mt-1 flex items-center gap-1 text-xs opacity-70 ${message.role === 'user' ? 'justify-end' : ''}`}
+      title={title || undefined}
+    >
+      {time && <time dateTime={new Date(message.createdAt).toISOString()}>{time}</time>}
+      {firstToken !== null && message.role === 'assistant' && <span>· {formatDuration(firstToken)}</span>}
+      {status && <span className={status.className}>{time && '· '}{status.text}</span>}
+    </p>
+  );
+}
+
+export default memo(MessageMeta);
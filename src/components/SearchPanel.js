@@ -0,0 +1,218 @@
+'use client';
+
+import { memo, useMemo, useState, useSyncExternalStore } from 'react';
+import { CHANNELS } from '../lib/session';
+
+const CHANNEL_FILTERS = [
+  { key: CHANNELS.TEXT, icon: '💬', label: 'Text' },
+  { key: CHANNELS.VOICE, icon: '🎙', label: 'Voice' },
+  { key: CHANNELS.CALL, icon: '📞', label: 'Call' },
+];
+
+const ROLE_LABELS = {
+  user: 'You',
+  assistant: 'Agent',
+};
+
+const inputClassName = 'rounded-lg border border-gray-700 bg-gray-800 px-2 py-1 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const noSubscription = () => () => {};
+
+// Date inputs give "YYYY-MM-DD"; the range covers whole local days
+function dayStart(value) {
+  return value ? new Date(`${value}T00:00:00`).getTime() : null;
+}
+
+function dayEnd(value) {
+  return value ? new Date(`${value}T23:59:59.999`).getTime() : null;
+}
+
+function formatHitDate(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+function Snippet({ parts }) {
+  return (
+    <p className="mt-1 text-gray-300">
+      {parts.map((part, idx) => (part.hit ? (
+        <mark key={idx} className="rounded bg-yellow-400/30 px-0.5 text-yellow-100">{part.text}</mark>
+      ) : (
+        <span key={idx}>{part.text}</span>
+      )))}
+    </p>
+  );
+}
+
+/**
+ * Side panel for full-text search across saved conversations, with
+ * modality and date filters; picking a hit opens it in its thread
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Show the panel
+ * @param {Function} props.onClose - Close the panel
+ * @param {Object|null} props.index - SearchIndex (see lib/searchIndex); null while building
+ * @param {string|null} props.error - Index build error
+ * @param {Array} props.threads - Thread summaries, for result titles
+ * @param {string|null} props.currentId - ID of the open conversation
+ * @param {Function} props.onOpenResult - Called with the chosen hit
+ * @param {boolean} props.disabled - Lock switching conversations, e.g. during a live call
+ * @returns {JSX.Element|null} Search panel
+ */
+function SearchPanel({
+  isOpen,
+  onClose,
+  index = null,
+  error = null,
+  threads = [],
+  currentId = null,
+  onOpenResult,
+  disabled = false,
+}) {
+  const [query, setQuery] = useState('');
+  const [channels, setChannels] = useState(() => CHANNEL_FILTERS.map((filter) => filter.key));
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+
+  // The index is mutated in place; each change brings a new snapshot to search
+  const snapshot = useSyncExternalStore(
+    index ? index.subscribe : noSubscription,
+    () => index?.getSnapshot() ?? null,
+    () => null
+  );
+
+  const hits = useMemo(() => {
+    if (!snapshot || !query.trim() || channels.length === 0) return [];
+    return snapshot.search(query, { channels, from: dayStart(from), to: dayEnd(to) });
+  }, [snapshot, query, channels, from, to]);
+
+  if (!isOpen) return null;
+
+  const titles = new Map(threads.map((thread) => [thread.id, thread.title]));
+
+  const toggleChannel = (channel) => {
+    setChannels((current) => (current.includes(channel)
+      ? current.filter((key) => key !== channel)
+      : [...current, channel]));
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end">
+      <button
+        type="button"
+        aria-label="Close search"
+        onClick={onClose}
+        className="absolute inset-0 bg-black/50"
+      />
+
+      <aside className="relative flex h-full w-full max-w-md flex-col bg-gradient-to-b from-gray-900 to-black text-white shadow-xl">
+        <div className="flex items-center justify-between border-b border-gray-800 p-4">
+          <h2 className="text-xl font-semibold">Search</h2>
+          <button type="button" onClick={onClose} className="px-2 py-1 text-gray-400 hover:text-white" aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <div className="space-y-3 border-b border-gray-800 p-4">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search all conversations…"
+            aria-label="Search messages"
+            className="w-full rounded-lg border border-gray-700 bg-gray-800 px-3 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            autoFocus
+          />
+
+          <div className="flex gap-1" role="group" aria-label="Modalities">
+            {CHANNEL_FILTERS.map((filter) => {
+              const isOn = channels.includes(filter.key);
+              return (
+                <button
+                  key={filter.key}
+                  type="button"
+                  aria-pressed={isOn}
+                  onClick={() => toggleChannel(filter.key)}
+                  className={`rounded px-3 py-1 text-sm transition-colors ${
+                    isOn ? 'bg-blue-500 text-white' : 'bg-gray-800 text-gray-400 hover:bg-gray-700'
+                  }`}
+                >
+                  {filter.icon} {filter.label}
+                </button>
+              );
+            })}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-400">
+            <label className="flex items-center gap-1">
+              From
+              <input type="date" value={from} max={to || undefined} onChange={(e) => setFrom(e.target.value)} className={inputClassName} />
+            </label>
+            <label className="flex items-center gap-1">
+              To
+              <input type="date" value={to} min={from || undefined} onChange={(e) => setTo(e.target.value)} className={inputClassName} />
+            </label>
+            {(from || to) && (
+              <button
+                type="button"
+                onClick={() => {
+                  setFrom('');
+                  setTo('');
+                }}
+                className="text-xs text-gray-400 hover:text-white"
+              >
+                Any date
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4">
+          {!index && !error && <p className="text-sm text-gray-400">Indexing saved conversations…</p>}
+          {error && <p className="text-sm text-red-400">{error}</p>}
+          {index && !query.trim() && (
+            <p className="text-sm text-gray-400">Search the messages of every saved conversation.</p>
+          )}
+          {index && query.trim() && hits.length === 0 && <p className="text-sm text-gray-400">No messages match.</p>}
+
+          {hits.length > 0 && (
+            <ul className="space-y-2">
+              {hits.map((hit) => {
+                const filter = CHANNEL_FILTERS.find((item) => item.key === hit.channel);
+                const isLocked = disabled && hit.conversationId !== currentId;
+                return (
+                  <li key={hit.id}>
+                    <button
+                      type="button"
+                      onClick={() => onOpenResult(hit)}
+                      disabled={isLocked}
+                      title={isLocked ? 'End the call to open other conversations' : undefined}
+                      className="block w-full rounded-lg border border-gray-800 bg-gray-800/60 px-3 py-2 text-left text-sm hover:border-gray-600 disabled:cursor-not-allowed disabled:opacity-50"
+                    >
+                      <span className="flex items-baseline justify-between gap-2">
+                        <span className="truncate font-medium text-white">
+                          {titles.get(hit.conversationId) || 'Conversation'}
+                        </span>
+                        <span className="shrink-0 text-xs text-gray-500">{formatHitDate(hit.date)}</span>
+                      </span>
+                      <span className="block text-xs text-gray-500">
+                        <span title={filter?.label}>{filter?.icon}</span> {ROLE_LABELS[hit.role] || hit.role}
+                        {hit.conversationId === currentId && ' · this conversation'}
+                      </span>
+                      <Snippet parts={hit.snippet} />
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+}
+
+export default memo(SearchPanel);
@@ -0,0 +1,126 @@
+'use client';
+
+import { memo, useEffect, useMemo, useState } from 'react';
+import { formatDay, formatSlotTime, getDayKey, isSlotPast } from '../utils/bookingFormat';
+
+// Re-check which slots have passed while the picker stays on screen
+const CLOCK_INTERVAL = 60000;
+
+/**
+ * Day and time picker for appointment slots offered by the agent
+ * @param {Object} props - Component props
+ * @param {Object} props.offer - slots_offered card (see lib/chatEvents)
+ * @param {Function} [props.onPick] - Called with `(slot, offer)`; without it the slots are display-only
+ * @param {boolean} props.disabled - Disable picking, e.g. while a reply is loading
+ * @returns {JSX.Element|null} Slot picker
+ */
+function SlotPicker({ offer, onPick, disabled = false }) {
+  const [now, setNow] = useState(() => Date.now());
+  const [selectedDay, setSelectedDay] = useState(null);
+  const [pickedSlot, setPickedSlot] = useState(null);
+
+  useEffect(() => {
+    const intervalId = setInterval(() => setNow(Date.now()), CLOCK_INTERVAL);
+    return () => clearInterval(intervalId);
+  }, []);
+
+  // Group slots by day, keeping the offered order
+  const days = useMemo(() => {
+    const groups = new Map();
+    offer.slots.forEach((slot) => {
+      const key = getDayKey(slot);
+      if (!groups.has(key)) {
+        groups.set(key, { key, label: formatDay(slot) || 'Available', slots: [] });
+      }
+      groups.get(key).slots.push(slot);
+    });
+    return [...groups.values()];
+  }, [offer.slots]);
+
+  if (days.length === 0) return null;
+
+  const isOpen = (slot) => slot.available && !isSlotPast(slot, now);
+  const interactive = Boolean(onPick) && !disabled && !pickedSlot;
+  const activeDay = days.find((day) => day.key === selectedDay)
+    || days.find((day) => day.slots.some(isOpen))
+    || days[0];
+
+  const handlePick = (slot) => {
+    setPickedSlot(slot);
+    onPick(slot, offer);
+  };
+
+  return (
+    <div className="rounded-lg border border-blue-500/40 bg-blue-900/20 px-3 py-2 text-sm">
+      <p className="font-semibold mb-2 text-blue-300">
+        Available times{offer.barber ? ` with ${offer.barber}` : ''}
+      </p>
+
+      {days.length > 1 && (
+        <div className="mb-2 flex flex-wrap gap-1" role="tablist">
+          {days.map((day) => {
+            const hasOpenSlots = day.slots.some(isOpen);
+            return (
+              <button
+                key={day.key}
+                type="button"
+                role="tab"
+                aria-selected={day.key === activeDay.key}
+                onClick={() => setSelectedDay(day.key)}
+                className={`rounded px-2 py-0.5 text-xs transition-colors ${
+                  day.key === activeDay.key
+                    ? 'bg-blue-500 text-white'
+                    : hasOpenSlots
+                      ? 'bg-gray-700 text-gray-200 hover:bg-gray-600'
+                      : 'bg-gray-800 text-gray-500'
+                }`}
+              >
+                {day.label}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {days.length === 1 && (
+        <p className="mb-1 text-xs text-gray-400">{activeDay.label}</p>
+      )}
+
+      <ul className="flex flex-wrap gap-1">
+        {activeDay.slots.map((slot, idx) => {
+          const open = isOpen(slot);
+          const picked = pickedSlot === slot;
+          const label = formatSlotTime(slot);
+          return (
+            <li key={`${slot.start || slot.time}-${idx}`}>
+              {interactive && open ? (
+                <button
+                  type="button"
+                  onClick={() => handlePick(slot)}
+                  className="rounded px-2 py-0.5 text-xs bg-gray-700 text-gray-100 hover:bg-blue-500 transition-colors"
+                >
+                  {label}
+                </button>
+              ) : (
+                <span
+                  title={open ? undefined : slot.available ? 'This time has passed' : 'Already taken'}
+                  className={`inline-block rounded px-2 py-0.5 text-xs ${
+                    picked
+                      ? 'bg-blue-500 text-white'
+                      : open
+                        ? 'bg-gray-700 text-gray-100'
+                        : 'bg-gray-800 text-gray-500 line-through'
+                  }`}
+                >
+                  {label}
+                </span>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default memo(SlotPicker);
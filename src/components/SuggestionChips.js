@@ -0,0 +1,35 @@
+'use client';
+
+import { memo } from 'react';
+
+/**
+ * Quick-reply chips for an assistant message (see getSuggestions in lib/chatEvents)
+ * @param {Object} props - Component props
+ * @param {Array<{label: string, value: string}>} props.suggestions - Suggestions to show
+ * @param {Function} props.onSelect - Called with the suggestion's value
+ * @param {boolean} props.disabled - Disable the chips, e.g. while a reply is loading
+ * @param {string} props.className - Extra classes for the chip row
+ * @returns {JSX.Element|null} Chips
+ */
+function SuggestionChips({ suggestions = [], onSelect, disabled = false, className = '' }) {
+  if (suggestions.length === 0) return null;
+
+  return (
+    <div className={`flex flex-wrap gap-1.5 ${className}`}>
+      {suggestions.map((suggestion) => (
+        <button
+          key={suggestion.value}
+          type="button"
+          onClick={() => onSelect(suggestion.value)}
+          disabled={disabled}
+          title={suggestion.value !== suggestion.label ? suggestion.value : undefined}
+          className="rounded-full border border-blue-400/60 px-3 py-1 text-xs text-blue-200 hover:bg-blue-500 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {suggestion.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default memo(SuggestionChips);
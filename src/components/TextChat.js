@@ -1,27 +1,160 @@
 'use client';
 
-import { useRef, useEffect, memo } from 'react';
+import { useRef, useEffect, useState, memo } from 'react';
 import AnimatedIcon from './AnimatedIcon';
-import MarkdownRenderer from './MarkdownRenderer';
+import AssistantReply from './AssistantReply';
+import SuggestionChips from './SuggestionChips';
+import ClearChatButton from './ClearChatButton';
+import TranscriptMenu from './TranscriptMenu';
+import ContextModeToggle from './ContextModeToggle';
+import FeedbackButtons from './FeedbackButtons';
+import MessageMeta from './MessageMeta';
+import useMessageFocus from '../hooks/useMessageFocus';
+import { getSuggestions } from '../lib/chatEvents';
+import { CHANNELS } from '../lib/session';
+import { MESSAGE_STATUS } from '../utils/messageList';
+import { countBranches } from '../utils/branches';
+
+const DELIVERY_LABELS = {
+  [MESSAGE_STATUS.PENDING]: { text: '⏳ Waiting for connection', action: 'Retry now' },
+  [MESSAGE_STATUS.SENDING]: { text: 'Sending…', action: null },
+  [MESSAGE_STATUS.ERROR]: { text: '⚠ Not sent', action: 'Retry' },
+};
+
+function DeliveryBadge({ message, onRetry, disabled }) {
+  const label = DELIVERY_LABELS[message.status];
+  if (!label) return null;
+
+  return (
+    <p className="mt-1 flex items-center justify-end gap-2 text-xs text-blue-100">
+      <span>{label.text}</span>
+      {label.action && onRetry && (
+        <button
+          type="button"
+          onClick={() => onRetry(message.clientMessageId)}
+          disabled={disabled}
+          className="rounded bg-blue-700/60 px-1.5 py-0.5 font-medium hover:bg-blue-700 disabled:opacity-40 disabled:hover:bg-blue-700/60"
+        >
+          {label.action}
+        </button>
+      )}
+    </p>
+  );
+}
+
+function BranchNav({ message, onSwitch, disabled }) {
+  const count = countBranches(message);
+  if (count < 2) return null;
+  const current = message.branch ?? 0;
+
+  return (
+    <span className="flex items-center gap-1" aria-label="Branches">
+      <button
+        type="button"
+        onClick={() => onSwitch(current - 1)}
+        disabled={disabled || current === 0}
+        className="px-1 hover:text-white disabled:opacity-40"
+        aria-label="Previous branch"
+      >
+        ‹
+      </button>
+      <span>{current + 1}/{count}</span>
+      <button
+        type="button"
+        onClick={() => onSwitch(current + 1)}
+        disabled={disabled || current === count - 1}
+        className="px-1 hover:text-white disabled:opacity-40"
+        aria-label="Next branch"
+      >
+        ›
+      </button>
+    </span>
+  );
+}
+
+function MessageEditor({ message, onSave, onCancel }) {
+  const [draft, setDraft] = useState(message.content);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (draft.trim()) onSave(draft);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={(e) => e.key === 'Escape' && onCancel()}
+        rows={Math.min(6, draft.split('\n').length + 1)}
+        aria-label="Edit message"
+        className="w-full min-w-[16rem] resize-y rounded bg-blue-600 px-2 py-1 text-white placeholder-blue-200 focus:outline-none focus:ring-2 focus:ring-white/60"
+        autoFocus
+      />
+      <div className="flex justify-end gap-2 text-xs">
+        <button type="button" onClick={onCancel} className="px-2 py-0.5 text-blue-100 hover:text-white">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={!draft.trim() || draft === message.content}
+          className="rounded bg-white/90 px-2 py-0.5 font-medium text-blue-700 hover:bg-white disabled:opacity-50"
+        >
+          Save & resend
+        </button>
+      </div>
+    </form>
+  );
+}
 
 function TextChat({
   messages = [],
   inputValue = '',
   onInputChange,
   onSubmit,
+  onStop,
+  onRetry,
+  onEdit,
+  onRegenerate,
+  onSwitchBranch,
+  onPickSlot,
+  onSuggestion,
+  onClear,
+  inputRef,
+  focusIndex = null,
   isLoading = false,
   isEmpty = true,
 }) {
   const messagesEndRef = useRef(null);
+  const [editingIndex, setEditingIndex] = useState(null);
+
+  // Only the latest reply's slots can be picked; older offers may be stale
+  const lastAssistantIndex = messages.findLastIndex(msg => msg.role === 'assistant');
+  // Quick replies only while the latest reply is still unanswered
+  const showSuggestions = Boolean(onSuggestion) && !isLoading && lastAssistantIndex === messages.length - 1;
+  // Editing and branches change what comes after a message, so not while
+  // a reply is streaming or messages are queued
+  const canRewrite = !isLoading && !messages.some(msg => msg.status === MESSAGE_STATUS.PENDING || msg.status === MESSAGE_STATUS.SENDING);
 
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
 
+  const listRef = useMessageFocus(focusIndex, messages);
+
   return (
     <div className="bg-gradient-to-b from-gray-900 via-gray-900 to-black rounded-lg shadow-lg flex flex-col min-h-[420px] md:min-h-[520px] lg:h-[560px] xl:h-[600px] text-white">
-      <div className="p-4 border-b border-gray-800">
+      <div className="p-4 border-b border-gray-800 flex items-center justify-between">
         <h2 className="text-xl font-semibold">Text Chat</h2>
+        <div className="flex items-center gap-1">
+          <ContextModeToggle channel={CHANNELS.TEXT} />
+          {messages.length > 0 && (
+            <>
+              <TranscriptMenu messages={messages} channel={CHANNELS.TEXT} disabled={isLoading} />
+              {onClear && <ClearChatButton onClear={onClear} disabled={isLoading} />}
+            </>
+          )}
+        </div>
       </div>
 
       {isEmpty && messages.length === 0 ? (
@@ -35,25 +168,90 @@ function TextChat({
           </div>
         </div>
       ) : (
-        <div className="flex-1 overflow-y-auto p-4 space-y-4">
+        <div ref={listRef} className="flex-1 overflow-y-auto p-4 space-y-4">
           {messages.map((msg, idx) => (
             <div
-              key={idx}
-              className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}
+              key={msg.id ?? idx}
+              data-message-index={idx}
+              className={`group flex flex-col ${msg.role === 'user' ? 'items-end' : 'items-start'}`}
             >
               <div
-                className={`max-w-[80%] rounded-lg px-4 py-2 ${
+                className={`max-w-[80%] rounded-lg px-4 py-2 ${idx === focusIndex ? 'ring-2 ring-yellow-400' : ''} ${
                   msg.role === 'user'
-                    ? 'bg-blue-500 text-white'
+                    ? `bg-blue-500 text-white ${msg.status && msg.status !== MESSAGE_STATUS.DONE ? 'opacity-70' : ''}`
                     : 'bg-gray-800 text-gray-100'
                 }`}
               >
-                {msg.role === 'user' ? (
-                  <p className="whitespace-pre-wrap text-white">{msg.content}</p>
+                {msg.role === 'user' && editingIndex === idx ? (
+                  <MessageEditor
+                    message={msg}
+                    onCancel={() => setEditingIndex(null)}
+                    onSave={(content) => {
+                      setEditingIndex(null);
+                      onEdit(idx, content);
+                    }}
+                  />
+                ) : msg.role === 'user' ? (
+                  <>
+                    <p className="whitespace-pre-wrap text-white">{msg.content}</p>
+                    <DeliveryBadge message={msg} onRetry={onRetry} disabled={isLoading} />
+                  </>
                 ) : (
-                  <MarkdownRenderer content={msg.content} />
+                  <>
+                    <AssistantReply
+                      message={msg}
+                      onPickSlot={idx === lastAssistantIndex ? onPickSlot : undefined}
+                      pickDisabled={isLoading}
+                    />
+                    {showSuggestions && idx === lastAssistantIndex && (
+                      <SuggestionChips
+                        suggestions={getSuggestions(msg)}
+                        onSelect={onSuggestion}
+                        className="mt-2"
+                      />
+                    )}
+                    <FeedbackButtons
+                      messages={messages}
+                      index={idx}
+                      channel={CHANNELS.TEXT}
+                      disabled={isLoading && idx === messages.length - 1}
+                    />
+                  </>
                 )}
+                {editingIndex !== idx && <MessageMeta message={msg} showStatus={msg.role === 'assistant'} />}
               </div>
+
+              {msg.role === 'user' && editingIndex !== idx && (countBranches(msg) > 1 || onEdit) && (
+                <div className="mt-1 flex items-center gap-2 text-xs text-gray-400">
+                  {onSwitchBranch && (
+                    <BranchNav
+                      message={msg}
+                      onSwitch={(target) => onSwitchBranch(idx, target)}
+                      disabled={!canRewrite}
+                    />
+                  )}
+                  {onEdit && canRewrite && (!msg.status || msg.status === MESSAGE_STATUS.DONE) && (
+                    <button
+                      type="button"
+                      onClick={() => setEditingIndex(idx)}
+                      className="opacity-0 transition-opacity hover:text-white group-hover:opacity-100 focus:opacity-100"
+                      title="Edit this message and answer it again"
+                    >
+                      Edit
+                    </button>
+                  )}
+                </div>
+              )}
+              {onRegenerate && canRewrite && idx === messages.length - 1 && msg.role === 'assistant' && (
+                <button
+                  type="button"
+                  onClick={() => onRegenerate(idx)}
+                  className="mt-1 text-xs text-gray-400 hover:text-white"
+                  title="Ask for a new reply; this one stays as a branch"
+                >
+                  ↻ Regenerate
+                </button>
+              )}
             </div>
           ))}
 
@@ -76,6 +274,7 @@ function TextChat({
       <form onSubmit={onSubmit} className="p-4 border-t border-gray-800">
         <div className="flex gap-2 items-end">
           <textarea
+            ref={inputRef}
             value={inputValue}
             onChange={(e) => onInputChange(e.target.value)}
             placeholder="Type your message..."
@@ -91,13 +290,24 @@ function TextChat({
               }
             }}
           />
-          <button
-            type="submit"
-            disabled={isLoading || !inputValue.trim()}
-            className="px-6 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-          >
-            Send
-          </button>
+          {isLoading && onStop ? (
+            <button
+              type="button"
+              onClick={onStop}
+              className="px-6 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors"
+              title="Stop generating"
+            >
+              ⏹ Stop
+            </button>
+          ) : (
+            <button
+              type="submit"
+              disabled={isLoading || !inputValue.trim()}
+              className="px-6 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              Send
+            </button>
+          )}
         </div>
         <p className="mt-1 text-xs text-gray-400">
           Press Enter to send, Shift+Enter for a new line
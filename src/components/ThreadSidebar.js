@@ -0,0 +1,248 @@
+'use client';
+
+import { memo, useRef, useState } from 'react';
+import { CHANNELS } from '../lib/session';
+
+const MODALITY_ICONS = {
+  [CHANNELS.TEXT]: { icon: '💬', label: 'Text chat' },
+  [CHANNELS.VOICE]: { icon: '🎙', label: 'Voice chat' },
+  [CHANNELS.CALL]: { icon: '📞', label: 'Call' },
+};
+
+function formatThreadDate(timestamp) {
+  if (!timestamp) return '';
+  const date = new Date(timestamp);
+  const isToday = date.toDateString() === new Date().toDateString();
+  return isToday
+    ? date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })
+    : date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+function ThreadRow({ thread, isCurrent, disabled, onSelect, onRename, onDelete }) {
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [title, setTitle] = useState(thread.title);
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    setIsRenaming(false);
+    if (title.trim() !== thread.title) {
+      onRename(thread.id, title);
+    }
+  };
+
+  if (isRenaming) {
+    return (
+      <li className="rounded-lg border border-gray-700 bg-gray-800 p-2">
+        <form onSubmit={handleRename} className="flex items-center gap-2">
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && setIsRenaming(false)}
+            placeholder="Leave blank for an automatic title"
+            aria-label="Conversation title"
+            className="flex-1 rounded border border-gray-700 bg-gray-900 px-2 py-1 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+            autoFocus
+          />
+          <button type="submit" className="rounded bg-blue-500 px-2 py-1 text-xs text-white hover:bg-blue-600">
+            Save
+          </button>
+        </form>
+      </li>
+    );
+  }
+
+  return (
+    <li
+      className={`group rounded-lg border px-3 py-2 text-sm ${
+        isCurrent ? 'border-blue-500/60 bg-blue-500/10' : 'border-gray-800 bg-gray-800/60'
+      }`}
+    >
+      <button
+        type="button"
+        onClick={() => onSelect(thread.id)}
+        disabled={disabled || isCurrent}
+        className="block w-full text-left disabled:cursor-default"
+        aria-current={isCurrent ? 'true' : undefined}
+      >
+        <span className="flex items-baseline justify-between gap-2">
+          <span className="truncate font-medium text-white">{thread.title}</span>
+          <span className="shrink-0 text-xs text-gray-500">{formatThreadDate(thread.updatedAt)}</span>
+        </span>
+        {thread.preview && <span className="mt-0.5 block truncate text-gray-400">{thread.preview}</span>}
+      </button>
+
+      <div className="mt-1 flex items-center justify-between text-xs">
+        <span className="flex gap-1" aria-label="Used in">
+          {thread.modalities.map((modality) => (
+            <span key={modality} title={MODALITY_ICONS[modality]?.label}>
+              {MODALITY_ICONS[modality]?.icon}
+            </span>
+          ))}
+        </span>
+
+        {isDeleting ? (
+          <span className="flex items-center gap-2">
+            <span className="text-gray-400">Delete?</span>
+            <button
+              type="button"
+              onClick={() => {
+                setIsDeleting(false);
+                onDelete(thread.id);
+              }}
+              className="rounded bg-red-500/80 px-2 py-0.5 text-white hover:bg-red-600"
+            >
+              Delete
+            </button>
+            <button type="button" onClick={() => setIsDeleting(false)} className="text-gray-400 hover:text-gray-200">
+              Keep
+            </button>
+          </span>
+        ) : (
+          <span className="flex gap-2 opacity-0 transition-opacity group-hover:opacity-100 group-focus-within:opacity-100">
+            <button
+              type="button"
+              onClick={() => {
+                setTitle(thread.title);
+                setIsRenaming(true);
+              }}
+              className="text-gray-400 hover:text-white"
+            >
+              Rename
+            </button>
+            <button
+              type="button"
+              onClick={() => setIsDeleting(true)}
+              disabled={disabled && isCurrent}
+              className="text-gray-400 hover:text-red-300 disabled:opacity-50"
+            >
+              Delete
+            </button>
+          </span>
+        )}
+      </div>
+    </li>
+  );
+}
+
+/**
+ * Side panel listing saved conversation threads, newest first, with
+ * controls to switch, start, rename and delete them
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Show the panel
+ * @param {Function} props.onClose - Close the panel
+ * @param {Array} props.threads - Thread summaries (see summarizeThread in utils/threads)
+ * @param {string|null} props.currentId - ID of the open conversation
+ * @param {boolean} props.isLoading - Threads are loading
+ * @param {string|null} props.error - Load error
+ * @param {Function} props.onSelect - Switch to a thread by ID
+ * @param {Function} props.onNew - Start a new thread
+ * @param {Function} props.onRename - Called with `(id, title)`
+ * @param {Function} props.onDelete - Called with the ID of a thread to delete
+ * @param {Function} props.onImport - Called with a JSON transcript file to import
+ * @param {boolean} props.disabled - Lock switching, e.g. during a live call
+ * @returns {JSX.Element|null} Thread sidebar
+ */
+function ThreadSidebar({
+  isOpen,
+  onClose,
+  threads = [],
+  currentId = null,
+  isLoading = false,
+  error = null,
+  onSelect,
+  onNew,
+  onRename,
+  onDelete,
+  onImport,
+  disabled = false,
+}) {
+  const fileInputRef = useRef(null);
+
+  if (!isOpen) return null;
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) onImport(file);
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 flex">
+      <aside className="relative flex h-full w-full max-w-sm flex-col bg-gradient-to-b from-gray-900 to-black text-white shadow-xl">
+        <div className="flex items-center justify-between border-b border-gray-800 p-4">
+          <h2 className="text-xl font-semibold">Conversations</h2>
+          <button type="button" onClick={onClose} className="px-2 py-1 text-gray-400 hover:text-white" aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <div className="flex gap-2 border-b border-gray-800 p-4">
+          <button
+            type="button"
+            onClick={onNew}
+            disabled={disabled}
+            title={disabled ? 'End the call to change conversations' : undefined}
+            className="flex-1 rounded-lg bg-blue-500 px-3 py-2 text-sm text-white hover:bg-blue-600 disabled:bg-gray-600 disabled:cursor-not-allowed transition-colors"
+          >
+            + New conversation
+          </button>
+          {onImport && (
+            <>
+              <button
+                type="button"
+                onClick={() => fileInputRef.current?.click()}
+                disabled={disabled}
+                title="Restore a conversation from an exported JSON transcript"
+                className="rounded-lg bg-gray-700 px-3 py-2 text-sm text-white hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                Import…
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="application/json,.json"
+                onChange={handleFile}
+                className="hidden"
+              />
+            </>
+          )}
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4">
+          {isLoading && threads.length === 0 && <p className="text-sm text-gray-400">Loading conversations…</p>}
+          {error && <p className="text-sm text-red-400">{error}</p>}
+          {!isLoading && !error && threads.length === 0 && (
+            <p className="text-sm text-gray-400">No saved conversations yet.</p>
+          )}
+
+          {threads.length > 0 && (
+            <ul className="space-y-2">
+              {threads.map((thread) => (
+                <ThreadRow
+                  key={thread.id}
+                  thread={thread}
+                  isCurrent={thread.id === currentId}
+                  disabled={disabled}
+                  onSelect={onSelect}
+                  onRename={onRename}
+                  onDelete={onDelete}
+                />
+              ))}
+            </ul>
+          )}
+        </div>
+      </aside>
+
+      <button
+        type="button"
+        aria-label="Close conversations"
+        onClick={onClose}
+        className="flex-1 bg-black/50"
+      />
+    </div>
+  );
+}
+
+export default memo(ThreadSidebar);
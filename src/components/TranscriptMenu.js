@@ -0,0 +1,86 @@
+'use client';
+
+import { memo, useState } from 'react';
+import { getConversationId } from '../lib/session';
+import { titleFromMessages } from '../utils/threads';
+import { downloadFile } from '../utils/download';
+import {
+  callStatsFrom,
+  createTranscript,
+  printTranscript,
+  transcriptFileName,
+  transcriptToHtml,
+  transcriptToJson,
+  transcriptToMarkdown,
+} from '../utils/transcript';
+
+const FORMATS = [
+  { key: 'json', label: 'JSON', hint: 'Full messages; can be imported again' },
+  { key: 'md', label: 'Markdown', hint: 'Role-labelled text' },
+  { key: 'print', label: 'Print / PDF', hint: 'Printable page with the shop header' },
+];
+
+/**
+ * Header menu that exports a panel's messages as a transcript
+ * @param {Object} props - Component props
+ * @param {Array} props.messages - The panel's messages
+ * @param {string} props.channel - One of CHANNELS (see lib/session)
+ * @param {Function} props.getStats - Call panel only: useConversationState's getStats
+ * @param {boolean} props.disabled - Disable the menu, e.g. while a reply is loading
+ * @returns {JSX.Element} Export menu
+ */
+function TranscriptMenu({ messages, channel, getStats, disabled = false }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const handleExport = (format) => {
+    setIsOpen(false);
+    const transcript = createTranscript({
+      messages,
+      channel,
+      conversationId: getConversationId(),
+      title: titleFromMessages(messages),
+      stats: getStats ? callStatsFrom(getStats()) : null,
+    });
+
+    if (format === 'json') {
+      downloadFile(transcriptToJson(transcript), transcriptFileName(transcript, 'json'), 'application/json');
+    } else if (format === 'md') {
+      downloadFile(transcriptToMarkdown(transcript), transcriptFileName(transcript, 'md'), 'text/markdown;charset=utf-8');
+    } else {
+      printTranscript(transcriptToHtml(transcript), transcriptFileName(transcript, 'html'));
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen((open) => !open)}
+        disabled={disabled}
+        aria-expanded={isOpen}
+        className="rounded px-2 py-0.5 text-xs text-gray-400 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed"
+        title="Export this panel's transcript"
+      >
+        Export
+      </button>
+      {isOpen && !disabled && (
+        <ul className="absolute right-0 z-20 mt-1 w-52 rounded-lg border border-gray-700 bg-gray-900 py-1 text-sm shadow-lg">
+          {FORMATS.map((format) => (
+            <li key={format.key}>
+              <button
+                type="button"
+                onClick={() => handleExport(format.key)}
+                className="block w-full px-3 py-1.5 text-left hover:bg-gray-800"
+              >
+                <span className="block text-white">{format.label}</span>
+                <span className="block text-xs text-gray-500">{format.hint}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default memo(TranscriptMenu);
@@ -2,7 +2,14 @@
 
 import { useRef, useEffect, memo } from 'react';
 import AnimatedIcon from './AnimatedIcon';
-import MarkdownRenderer from './MarkdownRenderer';
+import AssistantReply from './AssistantReply';
+import ClearChatButton from './ClearChatButton';
+import TranscriptMenu from './TranscriptMenu';
+import ContextModeToggle from './ContextModeToggle';
+import FeedbackButtons from './FeedbackButtons';
+import MessageMeta from './MessageMeta';
+import useMessageFocus from '../hooks/useMessageFocus';
+import { CHANNELS } from '../lib/session';
 
 function VoiceChat({
   messages = [],
@@ -11,10 +18,12 @@ function VoiceChat({
   onFileUpload,
   onReplayLast,
   onStopSpeaking,
+  onClear,
   isRecording = false,
   isLoading = false,
   isSpeaking = false,
   isEmpty = true,
+  focusIndex = null,
 }) {
   const messagesEndRef = useRef(null);
 
@@ -22,10 +31,21 @@ function VoiceChat({
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
 
+  const listRef = useMessageFocus(focusIndex, messages);
+
   return (
     <div className="bg-gradient-to-b from-gray-900 via-gray-900 to-black rounded-lg shadow-lg flex flex-col min-h-[420px] md:min-h-[520px] lg:h-[560px] xl:h-[600px] text-white">
-      <div className="p-4 border-b border-gray-800">
+      <div className="p-4 border-b border-gray-800 flex items-center justify-between">
         <h2 className="text-xl font-semibold">Voice Chat</h2>
+        <div className="flex items-center gap-1">
+          <ContextModeToggle channel={CHANNELS.VOICE} />
+          {messages.length > 0 && (
+            <>
+              <TranscriptMenu messages={messages} channel={CHANNELS.VOICE} disabled={isLoading} />
+              {onClear && <ClearChatButton onClear={onClear} disabled={isRecording || isLoading} />}
+            </>
+          )}
+        </div>
       </div>
 
       {isEmpty && messages.length === 0 ? (
@@ -45,14 +65,15 @@ function VoiceChat({
           </div>
         </div>
       ) : (
-        <div className="flex-1 overflow-y-auto p-4 space-y-4">
+        <div ref={listRef} className="flex-1 overflow-y-auto p-4 space-y-4">
           {messages.map((msg, idx) => (
             <div
-              key={idx}
+              key={msg.id ?? idx}
+              data-message-index={idx}
               className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'} items-start gap-2`}
             >
               <div
-                className={`max-w-[80%] rounded-lg px-4 py-2 ${
+                className={`max-w-[80%] rounded-lg px-4 py-2 ${idx === focusIndex ? 'ring-2 ring-yellow-400' : ''} ${
                   msg.role === 'user'
                     ? 'bg-green-500 text-white'
                     : 'bg-gray-800 text-gray-100'
@@ -61,8 +82,17 @@ function VoiceChat({
                 {msg.role === 'user' ? (
                   <p className="whitespace-pre-wrap text-white">{msg.content}</p>
                 ) : (
-                  <MarkdownRenderer content={msg.content} />
+                  <>
+                    <AssistantReply message={msg} />
+                    <FeedbackButtons
+                      messages={messages}
+                      index={idx}
+                      channel={CHANNELS.VOICE}
+                      disabled={isLoading && idx === messages.length - 1}
+                    />
+                  </>
                 )}
+                <MessageMeta message={msg} />
               </div>
               {msg.role === 'assistant' && (
                 <button
@@ -1,4 +1,5 @@
 import { useReducer, useCallback, useRef, useEffect } from 'react';
+import { getConversationId } from '../lib/session';
 
 /**
  * Conversation states
@@ -51,6 +52,7 @@ const initialState = {
   exchangeCount: 0,
   error: null,
   metadata: {},
+  lastSession: null, // stats of the last ended session, for transcripts
 };
 
 /**
@@ -80,6 +82,12 @@ function conversationReducer(state, action) {
     case ACTION_TYPES.END_CONVERSATION:
       return {
         ...state,
+        lastSession: state.startTime ? {
+          sessionId: state.sessionId,
+          duration: timestamp - state.startTime,
+          exchangeCount: state.exchangeCount,
+          endedAt: timestamp,
+        } : state.lastSession,
         mode: CONVERSATION_MODES.IDLE,
         currentState: CONVERSATION_STATES.IDLE,
         isActive: false,
@@ -195,10 +203,11 @@ export function useConversationState(options = {}) {
   const sessionTimeoutRef = useRef(null);
 
   /**
-   * Start a new conversation session
+   * Start a new conversation session, tagged with the conversation ID shared
+   * with the backend (see lib/session)
    */
   const startConversation = useCallback((metadata = {}) => {
-    const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const sessionId = getConversationId();
     
     dispatch({
       type: ACTION_TYPES.START_CONVERSATION,
@@ -351,6 +360,7 @@ export function useConversationState(options = {}) {
       isActive: state.isActive,
       currentState: state.currentState,
       mode: state.mode,
+      lastSession: state.lastSession,
     };
   }, [state]);
 
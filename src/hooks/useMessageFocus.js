@@ -0,0 +1,23 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * Scroll a message list to a focused message, e.g. a search hit.
+ * Message rows are found by their `data-message-index` attribute.
+ * @param {number|null} focusIndex - Index of the message to show, or null
+ * @param {Array} messages - The list's messages
+ * @returns {Object} Ref for the scrolling list element
+ */
+export default function useMessageFocus(focusIndex, messages) {
+  const listRef = useRef(null);
+  // Scroll once the message is there; a thread switch may still be loading it
+  const isReady = focusIndex !== null && focusIndex < messages.length;
+
+  useEffect(() => {
+    if (!isReady) return;
+    listRef.current
+      ?.querySelector(`[data-message-index="${focusIndex}"]`)
+      ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [focusIndex, isReady]);
+
+  return listRef;
+}
@@ -0,0 +1,49 @@
+import { useSyncExternalStore } from 'react';
+
+// Relative times only need minute precision
+const TICK_INTERVAL = 30000;
+
+const listeners = new Set();
+let now = 0;
+let timerId = null;
+
+function subscribe(listener) {
+  listeners.add(listener);
+  if (timerId === null) {
+    now = Date.now();
+    timerId = setInterval(() => {
+      now = Date.now();
+      listeners.forEach((notify) => notify());
+    }, TICK_INTERVAL);
+  }
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      clearInterval(timerId);
+      timerId = null;
+    }
+  };
+}
+
+// Without subscribers the clock is stopped; catch up, but return the same
+// value to repeated calls as useSyncExternalStore requires
+function getSnapshot() {
+  if (timerId === null && Date.now() - now >= TICK_INTERVAL) {
+    now = Date.now();
+  }
+  return now;
+}
+
+function getServerSnapshot() {
+  return 0;
+}
+
+/**
+ * Current time, updated every 30 seconds by one clock shared between all
+ * components, for showing relative times
+ * @returns {number} Time in ms since the epoch; 0 while rendering on the server
+ */
+export default function useNow() {
+  return useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot);
+}
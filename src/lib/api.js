@@ -1,132 +1,222 @@
-const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://127.0.0.1:8000';
+import { parseEventStream } from './streamParser';
+import { request, requestJSON } from './httpClient';
+import { EmptyTranscriptError, HttpError, isAbortError, toApiError } from './errors';
+import { DEFAULT_RETRY_POLICY } from './retry';
 
-export async function sendChatMessage(message, history = []) {
-  const response = await fetch(`${API_URL}/chat`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      message,
-      history: history.map(msg => ({
-        role: msg.role,
-        content: msg.content,
-      })),
-    }),
-  });
+const VOICE_TIMEOUT = 60000;
 
-  if (!response.ok) {
-    throw new Error(`HTTP error! status: ${response.status}`);
+const HEALTH_TIMEOUT = 5000;
+
+const STREAM_ACCEPT = 'application/x-ndjson, text/event-stream';
+
+// Details the backend sends when speech recognition hears nothing
+const EMPTY_TRANSCRIPT_PATTERN = /could not understand|no speech|empty transcript|could not transcribe/i;
+
+function toHistoryPayload(history) {
+  return history.map((msg) => ({
+    role: msg.role,
+    content: msg.content,
+  }));
+}
+
+function buildVoiceForm(audioFile, history) {
+  const formData = new FormData();
+  formData.append('file', audioFile);
+
+  if (Array.isArray(history) && history.length > 0) {
+    formData.append('history', JSON.stringify(toHistoryPayload(history)));
   }
 
-  return await response.json();
+  return formData;
 }
 
-export async function* streamChatMessage(message, history = []) {
-  const response = await fetch(`${API_URL}/chat/stream`, {
+function ensureTranscript(result) {
+  if (!result?.transcript || !result.transcript.trim()) {
+    throw new EmptyTranscriptError();
+  }
+  return result;
+}
+
+function toVoiceError(err) {
+  if (err instanceof HttpError && EMPTY_TRANSCRIPT_PATTERN.test(err.message)) {
+    return new EmptyTranscriptError(err.message, { status: err.status, cause: err });
+  }
+  return err;
+}
+
+/**
+ * Options accepted by every API function:
+ * - signal: AbortSignal that cancels the request
+ * - timeout: ms to wait for response headers
+ * - retry: retry policy (see lib/retry); only idempotent calls retry by default
+ * - onRetry: called with `{ attempt, retries, delay, error }` before each retry
+ * - headers: extra headers
+ * - middleware: extra middleware for this call (see lib/middleware)
+ * - channel: 'text', 'voice' or 'call' (see lib/session), sent with the
+ *   session and conversation IDs so the backend can correlate channels
+ * - clientMessageId: ID of the message being sent; resends reuse it so the
+ *   backend can drop duplicates
+ * - intent: structured booking intent sent along with a chat message, e.g.
+ *   from the catalog's "Book this" (see lib/catalog)
+ */
+
+export async function sendChatMessage(message, history = [], options = {}) {
+  return requestJSON('/chat', {
+    ...options,
     method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
+    json: {
+      message,
+      history: toHistoryPayload(history),
+      client_message_id: options.clientMessageId,
+      intent: options.intent,
     },
-    body: JSON.stringify({
+  });
+}
+
+export async function* streamChatMessage(message, history = [], options = {}) {
+  const response = await request('/chat/stream', {
+    ...options,
+    method: 'POST',
+    headers: { Accept: STREAM_ACCEPT, ...options.headers },
+    json: {
       message,
-      history: history.map(msg => ({
-        role: msg.role,
-        content: msg.content,
-      })),
-    }),
+      history: toHistoryPayload(history),
+      client_message_id: options.clientMessageId,
+      intent: options.intent,
+    },
   });
 
-  if (!response.ok) {
-    throw new Error(`HTTP error! status: ${response.status}`);
+  try {
+    yield* parseEventStream(response.body, {
+      contentType: response.headers.get('content-type'),
+    });
+  } catch (err) {
+    throw toApiError(err);
   }
+}
 
-  const reader = response.body.getReader();
-  const decoder = new TextDecoder();
+export async function transcribeAudio(audioFile, options = {}) {
+  const formData = new FormData();
+  formData.append('file', audioFile);
 
   try {
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      const chunk = decoder.decode(value);
-      const lines = chunk.split('\n').filter(line => line.trim());
-
-      for (const line of lines) {
-        try {
-          const data = JSON.parse(line);
-          yield data;
-        } catch (e) {
-          // Skip invalid JSON
-        }
-      }
-    }
-  } finally {
-    reader.releaseLock();
+    const result = await requestJSON('/voice/transcribe', {
+      timeout: VOICE_TIMEOUT,
+      // Transcription has no side effects, so it is safe to retry
+      retry: DEFAULT_RETRY_POLICY,
+      ...options,
+      method: 'POST',
+      body: formData,
+    });
+    return ensureTranscript(result);
+  } catch (err) {
+    throw toVoiceError(err);
   }
 }
 
-export async function transcribeAudio(audioFile) {
-  const formData = new FormData();
-  formData.append('file', audioFile);
+export async function voiceChat(audioFile, history = [], options = {}) {
+  const formData = buildVoiceForm(audioFile, history);
 
-  const response = await fetch(`${API_URL}/voice/transcribe`, {
-    method: 'POST',
-    body: formData,
-  });
+  try {
+    const result = await requestJSON('/voice/chat', {
+      timeout: VOICE_TIMEOUT,
+      ...options,
+      method: 'POST',
+      body: formData,
+    });
+    return ensureTranscript(result);
+  } catch (err) {
+    throw toVoiceError(err);
+  }
+}
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    let errorMessage = `HTTP error! status: ${response.status}`;
-    
-    try {
-      const errorJson = JSON.parse(errorText);
-      errorMessage = errorJson.detail || errorMessage;
-    } catch (e) {
-      errorMessage = errorText || errorMessage;
+// Yields `{ type: 'transcript', transcript }` first, then the same token,
+// booking and complete events as streamChatMessage (see lib/chatEvents). Falls back to voiceChat when the
+// backend has no streaming endpoint.
+export async function* streamVoiceChat(audioFile, history = [], options = {}) {
+  let response;
+  try {
+    response = await request('/voice/chat/stream', {
+      timeout: VOICE_TIMEOUT,
+      ...options,
+      method: 'POST',
+      headers: { Accept: STREAM_ACCEPT, ...options.headers },
+      body: buildVoiceForm(audioFile, history),
+    });
+  } catch (err) {
+    if (err instanceof HttpError && (err.status === 404 || err.status === 405)) {
+      const result = await voiceChat(audioFile, history, options);
+      yield { type: 'transcript', transcript: result.transcript };
+      if (Array.isArray(result.events)) {
+        yield* result.events;
+      }
+      yield { type: 'complete', message: result.reply };
+      return;
     }
-    
-    throw new Error(errorMessage);
+    throw toVoiceError(err);
   }
 
-  return await response.json();
+  try {
+    const events = parseEventStream(response.body, {
+      contentType: response.headers.get('content-type'),
+    });
+    for await (const event of events) {
+      if (event.type === 'transcript') {
+        ensureTranscript(event);
+      }
+      yield event;
+    }
+  } catch (err) {
+    throw toVoiceError(toApiError(err));
+  }
 }
 
-export async function voiceChat(audioFile, history = []) {
-  const formData = new FormData();
-  formData.append('file', audioFile);
+// A summary of older messages, sent in their place once the history
+// outgrows its budget: `{ summary }` (see lib/historyBudget)
+export async function summarizeHistory(history, options = {}) {
+  return requestJSON('/chat/summarize', {
+    ...options,
+    method: 'POST',
+    json: { history: toHistoryPayload(history) },
+  });
+}
 
-  if (Array.isArray(history) && history.length > 0) {
-    formData.append(
-      'history',
-      JSON.stringify(
-        history.map((msg) => ({
-          role: msg.role,
-          content: msg.content,
-        }))
-      )
-    );
-  }
+// Services and barbers the shop offers: `{ services: [...], barbers: [...] }`
+export async function getCatalog(options = {}) {
+  return requestJSON('/catalog', { ...options, method: 'GET' });
+}
 
-  const response = await fetch(`${API_URL}/voice/chat`, {
+// A customer's rating of an agent reply, with the messages around it (see lib/feedback)
+export async function sendFeedback(feedback, options = {}) {
+  return requestJSON('/feedback', {
+    ...options,
     method: 'POST',
-    body: formData,
+    json: {
+      feedback_id: feedback.id,
+      conversation_id: feedback.conversationId,
+      channel: feedback.channel,
+      rating: feedback.rating,
+      comment: feedback.comment || null,
+      message: feedback.message,
+      context: feedback.context,
+      created_at: new Date(feedback.updatedAt).toISOString(),
+    },
   });
+}
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    let errorMessage = `HTTP error! status: ${response.status}`;
-    
-    try {
-      const errorJson = JSON.parse(errorText);
-      errorMessage = errorJson.detail || errorMessage;
-    } catch (e) {
-      errorMessage = errorText || errorMessage;
+// Resolves true when the backend answers at all; only a failure to connect
+// counts as down, so backends without a /health route still pass
+export async function checkHealth(options = {}) {
+  try {
+    await request('/health', { timeout: HEALTH_TIMEOUT, ...options, method: 'GET' });
+    return true;
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return true;
     }
-    
-    throw new Error(errorMessage);
+    if (isAbortError(err)) {
+      throw err;
+    }
+    return false;
   }
-
-  return await response.json();
 }
-
@@ -0,0 +1,302 @@
+/**
+ * Local store of the customer's appointments, built from bookings confirmed
+ * in any panel. Persists in localStorage and notifies subscribers, so it can
+ * back a component through useSyncExternalStore.
+ *
+ * Bookings are collected from booking_confirmed / booking_cancelled cards
+ * (see lib/chatEvents) and, for agents without structured events, by parsing
+ * confirmation replies such as "Your **Haircut** with Marco is booked for
+ * Friday at 3:30 PM. Your confirmation code is **BF-1A2B3**."
+ */
+
+import { CHAT_EVENT_TYPES } from './chatEvents';
+import { getStartDate } from '../utils/bookingFormat';
+
+export const APPOINTMENT_STATUS = {
+  CONFIRMED: 'confirmed',
+  CANCELLED: 'cancelled',
+};
+
+const STORAGE_KEY = 'barber.appointments';
+// IDs of appointments the customer removed, so replies still on screen do
+// not record them again
+const REMOVED_KEY = 'barber.appointments.removed';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+
+const CODE_PATTERN = /confirmation (?:code|number)(?: is)?:?\s*\**`?([A-Z0-9][A-Z0-9-]{3,})/i;
+const SERVICE_PATTERN = /\b[Yy]our \*{0,2}([^*\n]+?)\*{0,2} with ([A-Z][a-z]+)/;
+const WHEN_PATTERN = /\bbooked for ([^.\n]+?) at (\d{1,2}(?::\d{2})?\s*[AP]M)/i;
+
+const listeners = new Set();
+let cache = null;
+let removedCache = null;
+const EMPTY = [];
+
+function load() {
+  if (cache) return cache;
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    cache = Array.isArray(stored) ? stored : [];
+  } catch (e) {
+    cache = [];
+  }
+  return cache;
+}
+
+function save(appointments) {
+  cache = appointments;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(appointments));
+  } catch (e) {
+    console.warn('Could not persist appointments:', e);
+  }
+  listeners.forEach((listener) => listener());
+}
+
+function loadRemoved() {
+  if (removedCache) return removedCache;
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(REMOVED_KEY));
+    removedCache = new Set(Array.isArray(stored) ? stored : []);
+  } catch (e) {
+    removedCache = new Set();
+  }
+  return removedCache;
+}
+
+function toIsoDate(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Turn a day as written in a reply ("tomorrow", "Friday", "October 21",
+ * "2025-03-04") into a date
+ * @param {string} label - Day label
+ * @param {Date} now - When the reply was received
+ * @returns {string|null} - YYYY-MM-DD, or null when not understood
+ */
+export function resolveDayLabel(label, now = new Date()) {
+  const value = label.trim().toLowerCase();
+  const date = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  const iso = value.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+  if (iso) return iso[1];
+  if (value === 'today') return toIsoDate(date);
+  if (value === 'tomorrow') {
+    date.setDate(date.getDate() + 1);
+    return toIsoDate(date);
+  }
+
+  const monthDay = value.match(new RegExp(`\\b(${MONTHS.join('|')}) (\\d{1,2})\\b`));
+  if (monthDay) {
+    const candidate = new Date(date.getFullYear(), MONTHS.indexOf(monthDay[1]), parseInt(monthDay[2], 10));
+    if (candidate < date) candidate.setFullYear(candidate.getFullYear() + 1);
+    return toIsoDate(candidate);
+  }
+
+  const weekday = WEEKDAYS.findIndex((day) => value.includes(day));
+  if (weekday !== -1) {
+    date.setDate(date.getDate() + ((weekday - date.getDay() + 7) % 7 || 7));
+    return toIsoDate(date);
+  }
+
+  return null;
+}
+
+/**
+ * Parse a plain-text confirmation reply
+ * @param {string} content - Assistant reply
+ * @param {Date} now - When the reply was received
+ * @returns {Object|null} Booking fields, or null when the reply confirms nothing
+ */
+export function parseConfirmationReply(content, now = new Date()) {
+  const code = content?.match(CODE_PATTERN);
+  if (!code) return null;
+
+  const service = content.match(SERVICE_PATTERN);
+  const when = content.match(WHEN_PATTERN);
+
+  return {
+    confirmationCode: code[1],
+    service: service ? service[1].trim() : null,
+    barber: service ? service[2] : null,
+    date: when ? resolveDayLabel(when[1], now) || when[1] : null,
+    time: when ? when[2].toUpperCase() : null,
+  };
+}
+
+function appointmentKey(booking) {
+  return booking.confirmationCode
+    || booking.bookingId
+    || [booking.service, booking.barber, booking.start || booking.date, booking.time].join('|');
+}
+
+/**
+ * Bookings confirmed or cancelled by an assistant message
+ * @param {Object} message - Assistant message
+ * @param {Date} now - When the message was received
+ * @returns {Array<Object>} `{ type, booking, source }` per booking
+ */
+export function bookingsFromMessage(message, now = new Date()) {
+  if (message.role !== 'assistant') return [];
+
+  const cards = (message.cards || []).filter((card) => (
+    card.type === CHAT_EVENT_TYPES.BOOKING_CONFIRMED || card.type === CHAT_EVENT_TYPES.BOOKING_CANCELLED
+  ));
+  if (cards.length > 0) {
+    return cards.map(({ type, ...booking }) => ({ type, booking, source: 'event' }));
+  }
+
+  const parsed = parseConfirmationReply(message.content, now);
+  return parsed ? [{ type: CHAT_EVENT_TYPES.BOOKING_CONFIRMED, booking: parsed, source: 'reply' }] : [];
+}
+
+/**
+ * Get all stored appointments
+ * @returns {Array<Object>}
+ */
+export function getAppointments() {
+  return typeof window === 'undefined' ? EMPTY : load();
+}
+
+/**
+ * Server snapshot for useSyncExternalStore
+ * @returns {Array<Object>}
+ */
+export function getServerAppointments() {
+  return EMPTY;
+}
+
+/**
+ * Listen for changes, including those made in other tabs
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToAppointments(listener) {
+  listeners.add(listener);
+
+  const onStorage = (event) => {
+    if (event.key === STORAGE_KEY) {
+      cache = null;
+      listener();
+    } else if (event.key === REMOVED_KEY) {
+      removedCache = null;
+    }
+  };
+  window.addEventListener('storage', onStorage);
+
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', onStorage);
+  };
+}
+
+/**
+ * Record a confirmed or cancelled booking. Seeing the same booking again
+ * fills in missing fields without duplicating it; its status follows the
+ * newest message, so a booking cancelled and then confirmed again shows as
+ * confirmed. Removed appointments are not recorded again.
+ * @param {string} type - booking_confirmed or booking_cancelled
+ * @param {Object} booking - Normalized booking (see normalizeBooking)
+ * @param {Object} details - `{ source, channel, at }`; `at` is when the
+ *   message was received, null when unknown
+ * @returns {boolean} True if the store changed
+ */
+export function recordBooking(type, booking, { source = 'event', channel = null, at = null } = {}) {
+  const appointments = load();
+  const id = appointmentKey(booking);
+  if (loadRemoved().has(id)) return false;
+  const existing = appointments.find((item) => item.id === id);
+  const status = type === CHAT_EVENT_TYPES.BOOKING_CANCELLED
+    ? APPOINTMENT_STATUS.CANCELLED
+    : APPOINTMENT_STATUS.CONFIRMED;
+
+  if (!existing && status === APPOINTMENT_STATUS.CANCELLED && !booking.service) {
+    // A cancellation for a booking we never saw carries too little to show
+    return false;
+  }
+
+  const fields = Object.fromEntries(Object.entries(booking).filter(([, value]) => value !== null && value !== undefined));
+  let next;
+  if (!existing) {
+    next = { ...fields, id, status, source, channel, recordedAt: Date.now(), statusAt: at };
+  } else {
+    // Structured events are authoritative; parsed replies only fill gaps, since
+    // relative days like "tomorrow" resolve differently on a later pass
+    const authoritative = source === 'event' && existing.source !== 'event';
+    // Without a time to compare, a cancellation stays cancelled
+    const isNewer = at === null
+      ? existing.status !== APPOINTMENT_STATUS.CANCELLED
+      : at >= (existing.statusAt ?? existing.recordedAt ?? 0);
+    next = {
+      ...(authoritative ? { ...existing, ...fields, source } : { ...fields, ...existing }),
+      ...(isNewer ? { status, statusAt: at ?? existing.statusAt ?? null } : {}),
+    };
+  }
+
+  if (existing && JSON.stringify(existing) === JSON.stringify(next)) {
+    return false;
+  }
+
+  save(existing
+    ? appointments.map((item) => (item.id === id ? next : item))
+    : [...appointments, next]);
+  return true;
+}
+
+/**
+ * Record every booking confirmed or cancelled in a panel's messages. Days
+ * like "tomorrow" are read relative to when each message was received.
+ * @param {Array} messages - Message list
+ * @param {string} channel - Panel the messages came from (see CHANNELS)
+ */
+export function collectAppointments(messages, channel) {
+  messages.forEach((message) => {
+    const at = message.createdAt ?? null;
+    bookingsFromMessage(message, at ? new Date(at) : new Date()).forEach(({ type, booking, source }) => {
+      recordBooking(type, booking, { source, channel, at });
+    });
+  });
+}
+
+/**
+ * Forget an appointment. It is remembered as removed, so collecting the
+ * messages that booked it does not bring it back.
+ * @param {string} id - Appointment ID
+ */
+export function removeAppointment(id) {
+  const removed = new Set(loadRemoved()).add(id);
+  removedCache = removed;
+  try {
+    window.localStorage.setItem(REMOVED_KEY, JSON.stringify([...removed]));
+  } catch (e) {
+    console.warn('Could not persist removed appointments:', e);
+  }
+  save(load().filter((item) => item.id !== id));
+}
+
+/**
+ * Split appointments into upcoming (soonest first) and past (latest first)
+ * @param {Array<Object>} appointments - Stored appointments
+ * @param {number} now - Current time in ms
+ * @returns {{upcoming: Array, past: Array}}
+ */
+export function partitionAppointments(appointments, now) {
+  const timeOf = (item) => getStartDate(item)?.getTime() ?? item.recordedAt;
+  const upcoming = [];
+  const past = [];
+
+  appointments.forEach((item) => {
+    (timeOf(item) >= now ? upcoming : past).push(item);
+  });
+
+  upcoming.sort((a, b) => timeOf(a) - timeOf(b));
+  past.sort((a, b) => timeOf(b) - timeOf(a));
+  return { upcoming, past };
+}
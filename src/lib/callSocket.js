@@ -0,0 +1,405 @@
+/**
+ * Full-duplex WebSocket transport for the live call.
+ *
+ * Instead of uploading one WAV per utterance to /voice/chat, the microphone
+ * stream is sent up as binary MediaRecorder frames while the server streams
+ * transcripts and reply tokens back down.
+ *
+ * Client → server (JSON text frames, plus binary audio frames):
+ *   { type: 'start', history, mimeType,    sent on every (re)connect
+ *     session_id, conversation_id }
+ *   { type: 'end_of_utterance' }            the customer stopped speaking
+ *   { type: 'text', text }                  a tapped quick reply, answered
+ *                                           like an utterance
+ *   { type: 'ping', ts }                    heartbeat
+ *   { type: 'stop' }                        call ended
+ *
+ * Server → client:
+ *   { type: 'ready' }
+ *   { type: 'partial_transcript', text }
+ *   { type: 'transcript', text }            final transcript for the utterance
+ *   { type: 'token', token }
+ *   { type: 'complete', message }           end of the agent's turn
+ *   { type: 'pong', ts }
+ *   { type: 'error', detail }
+ * plus the agent's structured events (tool_call, slots_offered,
+ * booking_confirmed, ...; see lib/chatEvents), passed to onAgentEvent.
+ */
+
+import { API_URL, USE_MOCK_API } from './httpClient';
+import { DEFAULT_RETRY_POLICY, computeBackoff } from './retry';
+import { getConversationId, getSessionId } from './session';
+
+export const CALL_TRANSPORTS = {
+  UPLOAD: 'upload',
+  WEBSOCKET: 'websocket',
+};
+
+// NEXT_PUBLIC_CALL_TRANSPORT=websocket switches the live call to the socket transport
+export const CALL_TRANSPORT = process.env.NEXT_PUBLIC_CALL_TRANSPORT === CALL_TRANSPORTS.WEBSOCKET
+  ? CALL_TRANSPORTS.WEBSOCKET
+  : CALL_TRANSPORTS.UPLOAD;
+
+export const SOCKET_STATUS = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  RECONNECTING: 'reconnecting',
+  CLOSED: 'closed',
+};
+
+// Frames buffered while (re)connecting; older frames are dropped beyond this
+const MAX_PENDING_FRAMES = 200;
+
+/**
+ * Resolve the WebSocket URL for the call endpoint
+ * @returns {string}
+ */
+export function getCallSocketUrl() {
+  if (process.env.NEXT_PUBLIC_CALL_WS_URL) {
+    return process.env.NEXT_PUBLIC_CALL_WS_URL;
+  }
+  if (USE_MOCK_API) {
+    // Served by scripts/mock-call-server.mjs
+    return 'ws://127.0.0.1:8001/voice/ws';
+  }
+  return `${API_URL.replace(/^http/, 'ws')}/voice/ws`;
+}
+
+class CallSocket {
+  constructor(options = {}) {
+    // Configuration options
+    this.config = {
+      url: options.url || getCallSocketUrl(),
+      heartbeatInterval: options.heartbeatInterval || 15000, // ms between pings
+      heartbeatTimeout: options.heartbeatTimeout || 5000, // ms to wait for a pong
+      reconnect: {
+        ...DEFAULT_RETRY_POLICY,
+        retries: 5,
+        ...options.reconnect,
+      },
+      mimeType: options.mimeType || 'audio/webm',
+    };
+
+    // State variables
+    this.socket = null;
+    this.status = SOCKET_STATUS.IDLE;
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+    this.pongTimer = null;
+    this.pendingFrames = [];
+    this.initFrame = null;
+    this.history = [];
+    this.closedByClient = false;
+
+    // Event callbacks
+    this.callbacks = {
+      onStatusChange: options.onStatusChange || (() => {}),
+      onPartialTranscript: options.onPartialTranscript || (() => {}),
+      onTranscript: options.onTranscript || (() => {}),
+      onToken: options.onToken || (() => {}),
+      onComplete: options.onComplete || (() => {}),
+      onEvent: options.onEvent || (() => {}),
+      onAgentEvent: options.onAgentEvent || (() => {}),
+      onError: options.onError || (() => {}),
+    };
+  }
+
+  /**
+   * Open the socket
+   * @param {Array} history - Conversation so far, resent on every reconnect
+   */
+  connect(history = []) {
+    this.history = history;
+    this.closedByClient = false;
+    this.reconnectAttempt = 0;
+    this.openSocket(SOCKET_STATUS.CONNECTING);
+  }
+
+  /**
+   * Replace the history sent when the socket reconnects
+   * @param {Array} history - Conversation so far
+   */
+  setHistory(history) {
+    this.history = history;
+  }
+
+  /**
+   * Open a new WebSocket and wire its handlers
+   * @param {string} status - Status to report while connecting
+   */
+  openSocket(status) {
+    this.setStatus(status);
+
+    let socket;
+    try {
+      socket = new WebSocket(this.config.url);
+    } catch (error) {
+      this.callbacks.onError(error);
+      this.scheduleReconnect();
+      return;
+    }
+    socket.binaryType = 'arraybuffer';
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.reconnectAttempt = 0;
+      this.setStatus(SOCKET_STATUS.OPEN);
+      this.sendJSON({
+        type: 'start',
+        mimeType: this.config.mimeType,
+        // Browsers cannot set headers on a WebSocket, so identity travels here
+        session_id: getSessionId(),
+        conversation_id: getConversationId(),
+        history: this.history.map((msg) => ({ role: msg.role, content: msg.content })),
+      });
+
+      // A reconnect lands mid-stream; resend the container header first
+      if (this.initFrame && this.pendingFrames[0] !== this.initFrame) {
+        this.socket.send(this.initFrame);
+      }
+      this.flushPendingFrames();
+      this.startHeartbeat();
+    };
+
+    socket.onmessage = (event) => {
+      this.handleMessage(event.data);
+    };
+
+    socket.onerror = () => {
+      // Details arrive with the close event that always follows
+    };
+
+    socket.onclose = (event) => {
+      this.stopHeartbeat();
+      if (this.socket === socket) {
+        this.socket = null;
+      }
+      if (this.closedByClient) {
+        this.setStatus(SOCKET_STATUS.CLOSED);
+        return;
+      }
+      console.warn('Call socket closed unexpectedly:', event.code, event.reason);
+      this.scheduleReconnect();
+    };
+  }
+
+  /**
+   * Retry the connection with exponential backoff, giving up after the policy's retries
+   */
+  scheduleReconnect() {
+    const policy = this.config.reconnect;
+    if (this.reconnectAttempt >= policy.retries) {
+      this.setStatus(SOCKET_STATUS.CLOSED);
+      this.callbacks.onError(new Error('Lost connection to the call server'));
+      return;
+    }
+
+    this.reconnectAttempt += 1;
+    const delay = computeBackoff(this.reconnectAttempt, policy);
+    this.setStatus(SOCKET_STATUS.RECONNECTING);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.openSocket(SOCKET_STATUS.RECONNECTING);
+    }, delay);
+  }
+
+  /**
+   * Ping the server periodically; a missing pong forces a reconnect
+   */
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.heartbeatTimer = setInterval(() => {
+      this.sendJSON({ type: 'ping', ts: Date.now() });
+      if (!this.pongTimer) {
+        this.pongTimer = setTimeout(() => {
+          // No pong in time: treat the connection as dead and reconnect
+          console.warn('Call socket heartbeat timed out');
+          this.pongTimer = null;
+          this.socket?.close(4000, 'Heartbeat timeout');
+        }, this.config.heartbeatTimeout);
+      }
+    }, this.config.heartbeatInterval);
+  }
+
+  /**
+   * Stop heartbeat timers
+   */
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.pongTimer);
+    this.heartbeatTimer = null;
+    this.pongTimer = null;
+  }
+
+  /**
+   * Dispatch a message from the server to the matching callback
+   * @param {string|ArrayBuffer} data - Raw message data
+   */
+  handleMessage(data) {
+    if (typeof data !== 'string') return;
+
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (e) {
+      console.warn('Ignoring invalid call socket message:', data);
+      return;
+    }
+
+    this.callbacks.onEvent(message);
+
+    switch (message.type) {
+      case 'pong':
+        clearTimeout(this.pongTimer);
+        this.pongTimer = null;
+        break;
+      case 'partial_transcript':
+        this.callbacks.onPartialTranscript(message.text || '');
+        break;
+      case 'transcript':
+        this.callbacks.onTranscript(message.text || '');
+        break;
+      case 'token':
+        this.callbacks.onToken(message.token || '');
+        break;
+      case 'complete':
+        this.callbacks.onComplete(message.message || '');
+        break;
+      case 'error':
+        this.callbacks.onError(new Error(message.detail || 'Call server error'));
+        break;
+      case 'ready':
+        break;
+      default:
+        this.callbacks.onAgentEvent(message);
+        break;
+    }
+  }
+
+  /**
+   * Send a control message
+   * @param {Object} message - Message to send
+   * @returns {boolean} True if the socket was open
+   */
+  sendJSON(message) {
+    if (this.socket?.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Send audio frames buffered while the socket was down
+   */
+  flushPendingFrames() {
+    while (this.pendingFrames.length > 0 && this.socket?.readyState === WebSocket.OPEN) {
+      this.socket.send(this.pendingFrames.shift());
+    }
+  }
+
+  /**
+   * Send a chunk of microphone audio
+   * @param {Blob} frame - Chunk from MediaRecorder's dataavailable event
+   */
+  sendAudio(frame) {
+    if (!this.initFrame) {
+      this.initFrame = frame;
+    }
+
+    if (this.socket?.readyState === WebSocket.OPEN) {
+      this.socket.send(frame);
+      return;
+    }
+
+    this.pendingFrames.push(frame);
+    if (this.pendingFrames.length > MAX_PENDING_FRAMES) {
+      this.pendingFrames.shift();
+    }
+  }
+
+  /**
+   * Tell the server the customer finished speaking
+   */
+  endUtterance() {
+    if (!this.sendJSON({ type: 'end_of_utterance' })) {
+      this.callbacks.onError(new Error('Call server is not connected'));
+    }
+  }
+
+  /**
+   * Answer with text instead of audio, e.g. a tapped quick reply
+   * @param {string} text - The customer's answer
+   */
+  sendText(text) {
+    if (!this.sendJSON({ type: 'text', text })) {
+      this.callbacks.onError(new Error('Call server is not connected'));
+    }
+  }
+
+  /**
+   * Close the socket for good
+   */
+  close() {
+    this.closedByClient = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.stopHeartbeat();
+    this.pendingFrames = [];
+    this.initFrame = null;
+
+    if (this.socket) {
+      this.sendJSON({ type: 'stop' });
+      this.socket.close(1000, 'Call ended');
+      this.socket = null;
+    }
+    this.setStatus(SOCKET_STATUS.CLOSED);
+  }
+
+  /**
+   * Update the connection status and notify listeners
+   * @param {string} status - One of SOCKET_STATUS
+   */
+  setStatus(status) {
+    if (this.status !== status) {
+      this.status = status;
+      this.callbacks.onStatusChange(status);
+    }
+  }
+
+  /**
+   * Check whether the socket is connected
+   * @returns {boolean}
+   */
+  get isOpen() {
+    return this.status === SOCKET_STATUS.OPEN;
+  }
+
+  /**
+   * Check if browser supports WebSockets
+   * @returns {boolean} True if supported
+   */
+  static isSupported() {
+    return typeof WebSocket !== 'undefined';
+  }
+}
+
+/**
+ * Create and connect a call socket
+ * @param {Array} history - Conversation so far
+ * @param {Object} options - CallSocket options and callbacks
+ * @returns {CallSocket}
+ */
+export function createCallSocket(history = [], options = {}) {
+  if (!CallSocket.isSupported()) {
+    throw new Error('WebSockets are not supported in this browser');
+  }
+
+  const callSocket = new CallSocket(options);
+  callSocket.connect(history);
+  return callSocket;
+}
+
+export default CallSocket;
@@ -0,0 +1,149 @@
+/**
+ * Shop catalog: the services and barbers customers can book.
+ *
+ * Loaded from the backend's /catalog endpoint. In mock mode the bundled
+ * lib/mock/catalog.json is used when the mock route is unavailable, e.g.
+ * on a static deployment.
+ */
+
+import { getCatalog } from './api';
+import { USE_MOCK_API } from './httpClient';
+import { isAbortError } from './errors';
+
+export const BOOKING_INTENT = 'book';
+
+function toList(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function normalizeService(service) {
+  return {
+    id: String(service.id ?? service.service_id ?? service.name),
+    name: service.name || 'Service',
+    category: service.category || null,
+    description: service.description || '',
+    duration: service.duration ?? service.duration_minutes ?? null,
+    price: service.price ?? null,
+    currency: service.currency || 'USD',
+  };
+}
+
+function normalizeBarber(barber) {
+  return {
+    id: String(barber.id ?? barber.barber_id ?? barber.name),
+    name: barber.name || 'Barber',
+    photo: barber.photo || barber.photo_url || barber.photoUrl || null,
+    specialties: toList(barber.specialties),
+    // IDs of the services they offer; empty means all of them
+    services: toList(barber.services ?? barber.service_ids).map(String),
+  };
+}
+
+/**
+ * Normalize a catalog response
+ * @param {Object} raw - `{ services, barbers }` from the backend
+ * @returns {{services: Array, barbers: Array}}
+ */
+export function normalizeCatalog(raw) {
+  return {
+    services: toList(raw?.services).map(normalizeService),
+    barbers: toList(raw?.barbers).map(normalizeBarber),
+  };
+}
+
+/**
+ * Load the catalog, falling back to the bundled one in mock mode
+ * @param {Object} options - API options (see lib/api)
+ * @returns {Promise<{services: Array, barbers: Array, source: string}>} -
+ *   `source` is 'api' or 'local'
+ */
+export async function loadCatalog(options = {}) {
+  try {
+    return { ...normalizeCatalog(await getCatalog(options)), source: 'api' };
+  } catch (err) {
+    if (!USE_MOCK_API || isAbortError(err)) {
+      throw err;
+    }
+    console.warn('Catalog endpoint unavailable, using the bundled catalog:', err);
+    const { default: local } = await import('./mock/catalog.json');
+    return { ...normalizeCatalog(local), source: 'local' };
+  }
+}
+
+/**
+ * Check whether a barber offers a service
+ * @param {Object} barber - Normalized barber
+ * @param {Object} service - Normalized service
+ * @returns {boolean}
+ */
+export function offersService(barber, service) {
+  return barber.services.length === 0 || barber.services.includes(service.id);
+}
+
+function matches(query, ...fields) {
+  const needle = query.trim().toLowerCase();
+  return !needle || fields.flat().some((field) => field && String(field).toLowerCase().includes(needle));
+}
+
+/**
+ * Services matching a search and filters
+ * @param {Object} catalog - Normalized catalog
+ * @param {Object} filters - `{ query, category, barberId }`
+ * @returns {Array} Matching services
+ */
+export function filterServices(catalog, { query = '', category = null, barberId = null } = {}) {
+  const barber = catalog.barbers.find((item) => item.id === barberId);
+  return catalog.services.filter((service) => (
+    (!category || service.category === category)
+    && (!barber || offersService(barber, service))
+    && matches(query, service.name, service.category, service.description)
+  ));
+}
+
+/**
+ * Barbers matching a search and filters
+ * @param {Object} catalog - Normalized catalog
+ * @param {Object} filters - `{ query, serviceId }`
+ * @returns {Array} Matching barbers
+ */
+export function filterBarbers(catalog, { query = '', serviceId = null } = {}) {
+  const service = catalog.services.find((item) => item.id === serviceId);
+  return catalog.barbers.filter((barber) => (
+    (!service || offersService(barber, service))
+    && matches(query, barber.name, barber.specialties)
+  ));
+}
+
+/**
+ * Service categories, in catalog order
+ * @param {Object} catalog - Normalized catalog
+ * @returns {Array<string>}
+ */
+export function getCategories(catalog) {
+  return [...new Set(catalog.services.map((service) => service.category).filter(Boolean))];
+}
+
+/**
+ * Structured booking intent sent with the chat message, so the agent gets
+ * catalog IDs rather than having to recognise names in free text
+ * @param {Object} selection - `{ service, barber }`, either may be null
+ * @returns {Object} Intent
+ */
+export function createBookingIntent({ service = null, barber = null }) {
+  return {
+    type: BOOKING_INTENT,
+    service_id: service?.id ?? null,
+    barber_id: barber?.id ?? null,
+  };
+}
+
+/**
+ * Word a booking intent as the customer's chat message
+ * @param {Object} selection - `{ service, barber }`, either may be null
+ * @returns {string} - e.g. "I'd like to book a Skin Fade with Jay."
+ */
+export function describeBookingIntent({ service = null, barber = null }) {
+  if (service && barber) return `I'd like to book a ${service.name} with ${barber.name}.`;
+  if (service) return `I'd like to book a ${service.name}.`;
+  return `I'd like to book an appointment with ${barber.name}.`;
+}
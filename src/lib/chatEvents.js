@@ -0,0 +1,356 @@
+/**
+ * Structured events streamed by the booking agent, and how they attach to
+ * an assistant message.
+ *
+ * Besides `token` and `complete`, the agent may send:
+ *   { type: 'tool_call', name, arguments }
+ *   { type: 'slots_offered', slots: [...] }
+ *   { type: 'booking_confirmed', booking: {...} }
+ *   { type: 'booking_cancelled', booking: {...} }
+ *   { type: 'suggestions', suggestions: [...] }   quick replies, as strings
+ *                                                 or { label, value }
+ *   { type: 'error', detail }
+ * Booking fields may be sent flat on the event or nested under `booking`,
+ * in snake_case or camelCase. Unknown event types are kept in
+ * `message.metadata.unknownEvents` rather than dropped.
+ *
+ * Agents without structured events can offer times in a fenced `slots` block
+ * inside the reply instead (see extractSlotBlocks); quick replies are then
+ * guessed from the question the reply ends with (see getSuggestions).
+ */
+
+import { MESSAGE_STATUS } from '../utils/messageList';
+
+export const CHAT_EVENT_TYPES = {
+  TOKEN: 'token',
+  COMPLETE: 'complete',
+  TRANSCRIPT: 'transcript',
+  TOOL_CALL: 'tool_call',
+  SLOTS_OFFERED: 'slots_offered',
+  BOOKING_CONFIRMED: 'booking_confirmed',
+  BOOKING_CANCELLED: 'booking_cancelled',
+  SUGGESTIONS: 'suggestions',
+  ERROR: 'error',
+};
+
+// Event types rendered as cards next to the reply
+export const CARD_EVENT_TYPES = [
+  CHAT_EVENT_TYPES.SLOTS_OFFERED,
+  CHAT_EVENT_TYPES.BOOKING_CONFIRMED,
+  CHAT_EVENT_TYPES.BOOKING_CANCELLED,
+];
+
+const MAX_SUGGESTIONS = 6;
+
+function pick(source, ...keys) {
+  for (const key of keys) {
+    if (source?.[key] !== undefined && source[key] !== null) {
+      return source[key];
+    }
+  }
+  return null;
+}
+
+function nameOf(value) {
+  if (value && typeof value === 'object') {
+    return value.name || null;
+  }
+  return value || null;
+}
+
+/**
+ * Normalize booking details from an event into one shape
+ * @param {Object} event - booking_confirmed or booking_cancelled event
+ * @returns {Object} Booking with bookingId, confirmationCode, service, barber,
+ *   start, date, time, duration, price, currency, location and customerName
+ */
+export function normalizeBooking(event) {
+  const source = event?.booking || event || {};
+  const service = source.service;
+
+  return {
+    bookingId: pick(source, 'booking_id', 'bookingId', 'id'),
+    confirmationCode: pick(source, 'confirmation_code', 'confirmationCode', 'code'),
+    service: nameOf(service),
+    barber: nameOf(source.barber),
+    start: pick(source, 'start', 'start_time', 'startTime', 'datetime'),
+    date: pick(source, 'date'),
+    time: pick(source, 'time'),
+    duration: pick(source, 'duration', 'duration_minutes') ?? pick(service, 'duration'),
+    price: pick(source, 'price') ?? pick(service, 'price'),
+    currency: pick(source, 'currency') || 'USD',
+    location: pick(source, 'location', 'address'),
+    customerName: pick(source, 'customer_name', 'customerName', 'name'),
+  };
+}
+
+/**
+ * Normalize an offered time slot
+ * @param {Object|string} slot - Slot from a slots_offered event, or an ISO start time
+ * @returns {Object} Slot with start, date, time, barber and available
+ */
+export function normalizeSlot(slot) {
+  if (typeof slot === 'string') {
+    return { start: slot, date: null, time: null, barber: null, available: true };
+  }
+
+  return {
+    start: pick(slot, 'start', 'start_time', 'startTime', 'datetime'),
+    date: pick(slot, 'date'),
+    time: pick(slot, 'time'),
+    barber: nameOf(slot?.barber),
+    available: slot?.available !== false && slot?.taken !== true,
+  };
+}
+
+/**
+ * Convert a card event into the card stored on the message
+ * @param {Object} event - Card event
+ * @returns {Object} Card
+ */
+export function toCard(event) {
+  if (event.type === CHAT_EVENT_TYPES.SLOTS_OFFERED) {
+    return {
+      type: event.type,
+      service: nameOf(event.service),
+      barber: nameOf(event.barber),
+      slots: (Array.isArray(event.slots) ? event.slots : []).map(normalizeSlot),
+    };
+  }
+
+  return { type: event.type, ...normalizeBooking(event) };
+}
+
+/**
+ * Normalize quick-reply suggestions
+ * @param {Array<string|Object>} suggestions - Strings, or `{ label, value }` objects
+ * @returns {Array<{label: string, value: string}>} Unique suggestions
+ */
+export function normalizeSuggestions(suggestions) {
+  const seen = new Set();
+  return (Array.isArray(suggestions) ? suggestions : [])
+    .map((item) => {
+      const label = typeof item === 'string' ? item : pick(item, 'label', 'text', 'value');
+      const value = typeof item === 'string' ? item : pick(item, 'value', 'text', 'label');
+      return label && value ? { label: String(label).trim(), value: String(value).trim() } : null;
+    })
+    .filter((item) => {
+      if (!item || !item.label || seen.has(item.value)) return false;
+      seen.add(item.value);
+      return true;
+    })
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Apply a stream event to an assistant message
+ * @param {Object} message - Current assistant message
+ * @param {Object} event - Stream event
+ * @returns {Object} Updated message (the input is not mutated)
+ */
+export function applyChatEvent(message, event) {
+  if (!event || typeof event !== 'object') {
+    return message;
+  }
+
+  switch (event.type) {
+    case CHAT_EVENT_TYPES.TOKEN:
+      return { ...message, content: (message.content || '') + (event.token || '') };
+
+    case CHAT_EVENT_TYPES.COMPLETE:
+      return { ...message, content: event.message ?? message.content };
+
+    case CHAT_EVENT_TYPES.TRANSCRIPT:
+      // Belongs to the user's turn; callers handle it
+      return message;
+
+    case CHAT_EVENT_TYPES.TOOL_CALL:
+      return {
+        ...message,
+        toolCalls: [
+          ...(message.toolCalls || []),
+          { name: event.name || event.tool || 'tool', arguments: event.arguments ?? event.args ?? null },
+        ],
+      };
+
+    case CHAT_EVENT_TYPES.SLOTS_OFFERED:
+    case CHAT_EVENT_TYPES.BOOKING_CONFIRMED:
+    case CHAT_EVENT_TYPES.BOOKING_CANCELLED:
+      return { ...message, cards: [...(message.cards || []), toCard(event)] };
+
+    case CHAT_EVENT_TYPES.SUGGESTIONS:
+      return { ...message, suggestions: normalizeSuggestions(event.suggestions ?? event.options) };
+
+    case CHAT_EVENT_TYPES.ERROR:
+      return { ...message, error: event.detail || event.message || 'The agent reported an error' };
+
+    default:
+      return {
+        ...message,
+        metadata: {
+          ...message.metadata,
+          unknownEvents: [...(message.metadata?.unknownEvents || []), event],
+        },
+      };
+  }
+}
+
+/**
+ * Apply a list of events, e.g. the `events` array of a JSON reply
+ * @param {Object} message - Assistant message
+ * @param {Array} events - Events to apply in order
+ * @returns {Object} Updated message
+ */
+export function applyChatEvents(message, events = []) {
+  return (Array.isArray(events) ? events : []).reduce(applyChatEvent, message);
+}
+
+/**
+ * Check whether an assistant message has anything to show yet
+ * @param {Object} message - Assistant message
+ * @returns {boolean}
+ */
+export function hasVisibleContent(message) {
+  return Boolean(message.content || message.cards?.length || message.toolCalls?.length || message.error);
+}
+
+const SLOT_BLOCK_PATTERN = /```slots[^\S\n]*(?:\n([\s\S]*?))?(?:```|$)/g;
+const SLOT_LINE_PATTERN = /^(\d{4}-\d{2}-\d{2})\s+(.+?)(?:\s*[-(]\s*(taken|booked|unavailable)\)?)?$/i;
+
+function parseSlotBlock(body) {
+  try {
+    const parsed = JSON.parse(body);
+    const event = Array.isArray(parsed) ? { slots: parsed } : parsed;
+    return toCard({ ...event, type: CHAT_EVENT_TYPES.SLOTS_OFFERED });
+  } catch (e) {
+    // Not JSON: one "YYYY-MM-DD 3:30 PM" per line, optionally marked "(taken)"
+  }
+
+  const slots = body.split('\n')
+    .map((line) => line.trim().replace(/^[-*]\s*/, '').match(SLOT_LINE_PATTERN))
+    .filter(Boolean)
+    .map(([, date, time, taken]) => ({ date, time, available: !taken }));
+
+  return toCard({ type: CHAT_EVENT_TYPES.SLOTS_OFFERED, slots });
+}
+
+/**
+ * Pull fenced `slots` blocks out of a markdown reply. A block holds JSON
+ * (a slots_offered event or just its slots array) or one slot per line:
+ *
+ *   ```slots
+ *   2025-03-04 10:00 AM
+ *   2025-03-04 11:00 AM (taken)
+ *   ```
+ *
+ * A block still streaming in (no closing fence yet) is hidden until complete.
+ * @param {string} content - Markdown reply
+ * @returns {{content: string, cards: Array}} Reply without the blocks, and
+ *   a slots_offered card per complete block
+ */
+export function extractSlotBlocks(content) {
+  if (!content || !content.includes('```slots')) {
+    return { content, cards: [] };
+  }
+
+  const cards = [];
+  const stripped = content.replace(SLOT_BLOCK_PATTERN, (block, body) => {
+    if (body !== undefined && block.endsWith('```')) {
+      const card = parseSlotBlock(body.trim());
+      if (card.slots.length > 0) {
+        cards.push(card);
+      }
+    }
+    return '';
+  });
+
+  return { content: stripped.replace(/\n{3,}/g, '\n\n').trim(), cards };
+}
+
+const MAX_OPTION_WORDS = 3;
+const MAX_LIST_ITEM_LENGTH = 40;
+const LIST_ITEM_PATTERN = /^\s*(?:[-*•]|\d+[.)])\s+(.+)$/;
+const CHOICE_QUESTION_PATTERN = /^(?:which|what|choose|pick|select)\b/i;
+const YES_NO_PATTERN = /^(?:shall|should|would you like|do you want|want me to|can i|is that|does that|are you)\b/i;
+// "Would you like a haircut or a beard trim?": drop everything up to the verb
+const LEAD_IN_PATTERN = /^.*\b(?:like|want|prefer|need|choose|book|get)\s+/i;
+
+function cleanOption(option) {
+  const cleaned = option.replace(/[*_`]/g, '').replace(/^(?:a|an|the)\s+/i, '').replace(/[?.!]+$/, '').trim();
+  return cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
+}
+
+// "Haircut, beard trim, or both?" and "Any preference: Marco, Sam, or Jay?"
+function parseOptionList(question) {
+  const text = question.slice(question.lastIndexOf(':') + 1).replace(/\?$/, '');
+  if (!/\bor\b/i.test(text)) return [];
+
+  const options = text.split(/\s*,\s*(?:or\s+)?|\s+or\s+/i).filter((option) => option.trim());
+  options[0] = options[0].replace(LEAD_IN_PATTERN, '');
+
+  const cleaned = options.map(cleanOption);
+  const usable = cleaned.length >= 2
+    && cleaned.length <= MAX_SUGGESTIONS
+    && cleaned.every((option) => option && option.split(/\s+/).length <= MAX_OPTION_WORDS);
+  return usable ? cleaned : [];
+}
+
+// A short bulleted or numbered list right before the question
+function parseListBefore(lines) {
+  const items = [];
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const line = lines[i].trim();
+    if (!line && items.length === 0) continue;
+    const match = line.match(LIST_ITEM_PATTERN);
+    if (!match) break;
+    items.unshift(cleanOption(match[1]));
+  }
+
+  const usable = items.length >= 2
+    && items.length <= MAX_SUGGESTIONS
+    && items.every((item) => item && item.length <= MAX_LIST_ITEM_LENGTH);
+  return usable ? items : [];
+}
+
+/**
+ * Quick replies for an assistant message: the agent's suggestions event, or
+ * options guessed from a multiple-choice question at the end of the reply
+ * ("Haircut, beard trim, or both?", a short list followed by a question, or
+ * a yes/no question)
+ * @param {Object} message - Assistant message
+ * @returns {Array<{label: string, value: string}>} Suggestions, possibly empty
+ */
+export function getSuggestions(message) {
+  if (Array.isArray(message.suggestions)) {
+    return message.suggestions;
+  }
+  if (message.error || message.status === MESSAGE_STATUS.TRUNCATED || !message.content) {
+    return [];
+  }
+
+  // Offered slots already have their own picker
+  if (message.cards?.some((card) => card.type === CHAT_EVENT_TYPES.SLOTS_OFFERED)) {
+    return [];
+  }
+
+  const { content } = extractSlotBlocks(message.content);
+  const end = content.lastIndexOf('?');
+  if (end === -1 || content.slice(end + 1).trim().length > MAX_LIST_ITEM_LENGTH) {
+    return [];
+  }
+
+  const lines = content.slice(0, end + 1).split('\n');
+  const lastLine = lines.pop();
+  const sentences = lastLine.match(/[^.!?]+[.!?]+/g) || [lastLine];
+  const question = sentences[sentences.length - 1].trim();
+
+  let options = parseOptionList(question);
+  if (options.length === 0 && sentences.length === 1 && CHOICE_QUESTION_PATTERN.test(question)) {
+    options = parseListBefore(lines);
+  }
+  if (options.length === 0 && YES_NO_PATTERN.test(question)) {
+    options = ['Yes', 'No'];
+  }
+
+  return normalizeSuggestions(options);
+}
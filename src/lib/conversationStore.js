@@ -0,0 +1,461 @@
+/**
+ * Local copy of each panel's messages, so a reload restores the text, voice
+ * and call conversations, including a booking in progress.
+ *
+ * Messages are saved per conversation and channel in IndexedDB, falling back
+ * to localStorage and then memory. Records carry a schema version and are
+ * migrated on read. Old records are dropped by an age-based retention policy
+ * (call transcripts grow fastest, so they are kept the shortest), and when
+ * storage runs low the oldest conversations are evicted first.
+ *
+ * Each conversation is also a thread in the history sidebar. Thread details
+ * (title, creation time) live in their own store; the title comes from the
+ * first user message unless the customer renames the thread.
+ */
+
+import { openDatabase, runInStore } from './indexedDb';
+import { CHANNELS, generateId, isValidId } from './session';
+import { summarizeThread, titleFromMessages } from '../utils/threads';
+import { MESSAGE_STATUS } from '../utils/messageList';
+
+const DB_NAME = 'barber-agent-conversations';
+const DB_VERSION = 2;
+
+const STORES = {
+  PANELS: 'panels',
+  THREADS: 'threads',
+};
+
+// localStorage key prefix per store
+const LOCAL_PREFIXES = {
+  [STORES.PANELS]: 'barber.history.',
+  [STORES.THREADS]: 'barber.threads.',
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// How long a panel's messages are kept after its last change
+export const RETENTION = {
+  [CHANNELS.TEXT]: 30 * DAY,
+  [CHANNELS.VOICE]: 30 * DAY,
+  [CHANNELS.CALL]: 7 * DAY,
+};
+
+// Evict old conversations once storage is this full
+const QUOTA_THRESHOLD = 0.8;
+const QUOTA_CHECK_INTERVAL = 60000;
+
+export const SCHEMA_VERSION = 3;
+
+// Delivery statuses used before messages had a full lifecycle
+const LEGACY_STATUSES = {
+  sent: MESSAGE_STATUS.DONE,
+  failed: MESSAGE_STATUS.ERROR,
+};
+
+// Give a message saved or exported by an older version an ID, a status and
+// timings, including the messages kept in its branches (see utils/branches)
+function upgradeMessage({ truncated, ...message }) {
+  const status = truncated ? MESSAGE_STATUS.TRUNCATED : LEGACY_STATUSES[message.status] ?? message.status;
+  return {
+    ...message,
+    id: message.id ?? generateId('msg'),
+    status: status ?? MESSAGE_STATUS.DONE,
+    timings: message.timings ?? {},
+    ...(message.branches && {
+      branches: message.branches.map((tail) => tail && tail.map(upgradeMessage)),
+    }),
+  };
+}
+
+// MIGRATIONS[n] upgrades a record from version n to n + 1. Bump
+// SCHEMA_VERSION and append a step whenever the stored shape changes.
+const MIGRATIONS = [
+  // 0 → 1: unversioned records; make sure messages is a list
+  (record) => ({ ...record, messages: Array.isArray(record.messages) ? record.messages : [] }),
+  // 1 → 2: messages carry the modality they belong to
+  (record) => ({
+    ...record,
+    messages: record.messages.map((message) => ({ modality: record.channel, ...message })),
+  }),
+  // 2 → 3: messages carry an ID, a status and timings; `truncated` became a status
+  (record) => ({ ...record, messages: record.messages.map(upgradeMessage) }),
+];
+
+/**
+ * Bring a stored record up to SCHEMA_VERSION
+ * @param {Object} record - Stored record
+ * @returns {Object|null} Migrated record, or null when it was written by a
+ *   newer version of the app and cannot be read
+ */
+export function migrateRecord(record) {
+  let migrated = record;
+  for (let version = record.schemaVersion ?? 0; version < SCHEMA_VERSION; version++) {
+    migrated = { ...MIGRATIONS[version](migrated), schemaVersion: version + 1 };
+  }
+  return migrated.schemaVersion === SCHEMA_VERSION ? migrated : null;
+}
+
+function recordKey(conversationId, channel) {
+  return `${conversationId}:${channel}`;
+}
+
+function isQuotaError(err) {
+  return err?.name === 'QuotaExceededError' || err?.code === 22;
+}
+
+function openConversationDatabase() {
+  return openDatabase({
+    name: DB_NAME,
+    version: DB_VERSION,
+    label: 'Conversation database',
+    upgrade: (db, event) => {
+      // Object store changes per database version
+      if (event.oldVersion < 1) {
+        const store = db.createObjectStore(STORES.PANELS, { keyPath: 'key' });
+        store.createIndex('updatedAt', 'updatedAt');
+      }
+      if (event.oldVersion < 2) {
+        db.createObjectStore(STORES.THREADS, { keyPath: 'conversationId' });
+      }
+    },
+  });
+}
+
+class IndexedDbBackend {
+  constructor(db) {
+    this.db = db;
+  }
+
+  withStore(storeName, mode, operation) {
+    return runInStore(this.db, storeName, mode, operation);
+  }
+
+  getAll(storeName) {
+    return this.withStore(storeName, 'readonly', (store) => store.getAll());
+  }
+
+  get(storeName, key) {
+    return this.withStore(storeName, 'readonly', (store) => store.get(key));
+  }
+
+  put(storeName, key, record) {
+    return this.withStore(storeName, 'readwrite', (store) => store.put(record));
+  }
+
+  delete(storeName, key) {
+    return this.withStore(storeName, 'readwrite', (store) => store.delete(key));
+  }
+}
+
+// Used when IndexedDB is unavailable; also falls back to memory
+class LocalStorageBackend {
+  constructor() {
+    // Per store, keyed like localStorage
+    this.memory = new Map(Object.values(STORES).map((storeName) => [storeName, new Map()]));
+  }
+
+  keys(storeName) {
+    try {
+      return Object.keys(window.localStorage).filter((key) => key.startsWith(LOCAL_PREFIXES[storeName]));
+    } catch (e) {
+      return [];
+    }
+  }
+
+  read(storageKey) {
+    try {
+      return JSON.parse(window.localStorage.getItem(storageKey));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async getAll(storeName) {
+    const memory = this.memory.get(storeName);
+    const stored = this.keys(storeName).filter((key) => !memory.has(key)).map((key) => this.read(key));
+    return [...stored.filter(Boolean), ...memory.values()];
+  }
+
+  async get(storeName, key) {
+    const storageKey = LOCAL_PREFIXES[storeName] + key;
+    return this.memory.get(storeName).get(storageKey) ?? this.read(storageKey);
+  }
+
+  async put(storeName, key, record) {
+    const storageKey = LOCAL_PREFIXES[storeName] + key;
+    try {
+      window.localStorage.setItem(storageKey, JSON.stringify(record));
+      this.memory.get(storeName).delete(storageKey);
+    } catch (err) {
+      if (isQuotaError(err)) throw err;
+      // Storage disabled (e.g. private mode): keep the copy for this page view
+      this.memory.get(storeName).set(storageKey, record);
+    }
+  }
+
+  async delete(storeName, key) {
+    const storageKey = LOCAL_PREFIXES[storeName] + key;
+    this.memory.get(storeName).delete(storageKey);
+    try {
+      window.localStorage.removeItem(storageKey);
+    } catch (e) {
+      // Nothing stored
+    }
+  }
+}
+
+class ConversationStore {
+  constructor() {
+    this.backendPromise = null;
+    this.lastQuotaCheck = 0;
+  }
+
+  /**
+   * Open storage once, dropping expired records
+   * @returns {Promise<IndexedDbBackend|LocalStorageBackend>}
+   */
+  open() {
+    if (!this.backendPromise) {
+      this.backendPromise = this.createBackend().then(async (backend) => {
+        await this.prune(backend).catch((err) => console.warn('Failed to prune saved conversations:', err));
+        return backend;
+      });
+    }
+    return this.backendPromise;
+  }
+
+  async createBackend() {
+    if (ConversationStore.isSupported()) {
+      try {
+        return new IndexedDbBackend(await openConversationDatabase());
+      } catch (err) {
+        console.warn('Conversation database unavailable, using localStorage:', err);
+      }
+    }
+    return new LocalStorageBackend();
+  }
+
+  /**
+   * Drop records past their channel's retention period, and the details of
+   * threads left without messages
+   * @param {Object} backend - Open storage
+   * @param {number} now - Current time in ms
+   * @returns {Promise<number>} Number of panel records dropped
+   */
+  async prune(backend, now = Date.now()) {
+    const panels = await backend.getAll(STORES.PANELS);
+    const expired = panels.filter((record) => (
+      now - record.updatedAt > (RETENTION[record.channel] ?? RETENTION[CHANNELS.TEXT])
+    ));
+    for (const record of expired) {
+      await backend.delete(STORES.PANELS, record.key);
+    }
+
+    const live = new Set(panels.filter((record) => !expired.includes(record)).map((record) => record.conversationId));
+    for (const thread of await backend.getAll(STORES.THREADS)) {
+      if (!live.has(thread.conversationId)) {
+        await backend.delete(STORES.THREADS, thread.conversationId);
+      }
+    }
+    return expired.length;
+  }
+
+  /**
+   * Load a conversation's messages for every panel
+   * @param {string} conversationId - Conversation to load
+   * @returns {Promise<Object>} Messages keyed by channel (see CHANNELS)
+   */
+  async load(conversationId) {
+    const backend = await this.open();
+    const panels = {};
+    for (const channel of Object.values(CHANNELS)) {
+      const stored = await backend.get(STORES.PANELS, recordKey(conversationId, channel));
+      panels[channel] = (stored && migrateRecord(stored)?.messages) || [];
+    }
+    return panels;
+  }
+
+  /**
+   * Save a panel's messages; an empty list removes the record. The thread is
+   * titled after its first user message.
+   * @param {string} conversationId - Conversation the messages belong to
+   * @param {string} channel - One of CHANNELS
+   * @param {Array} messages - The panel's messages
+   */
+  async save(conversationId, channel, messages) {
+    const backend = await this.open();
+    const key = recordKey(conversationId, channel);
+    if (messages.length === 0) {
+      await backend.delete(STORES.PANELS, key);
+      return;
+    }
+
+    const record = { key, conversationId, channel, schemaVersion: SCHEMA_VERSION, updatedAt: Date.now(), messages };
+    try {
+      await backend.put(STORES.PANELS, key, record);
+    } catch (err) {
+      if (!isQuotaError(err)) throw err;
+      // Full: make room by evicting other conversations, then try once more
+      await this.evict(backend, { keep: conversationId, all: true });
+      await backend.put(STORES.PANELS, key, record);
+    }
+
+    const thread = await backend.get(STORES.THREADS, conversationId);
+    if (!thread?.title) {
+      await backend.put(STORES.THREADS, conversationId, {
+        conversationId,
+        title: titleFromMessages(messages),
+        createdAt: thread?.createdAt ?? record.updatedAt,
+      });
+    }
+
+    await this.checkQuota(backend, conversationId);
+  }
+
+  /**
+   * Forget a panel's messages
+   * @param {string} conversationId - Conversation
+   * @param {string} channel - One of CHANNELS
+   */
+  async clear(conversationId, channel) {
+    const backend = await this.open();
+    await backend.delete(STORES.PANELS, recordKey(conversationId, channel));
+  }
+
+  /**
+   * Saved threads, most recently used first
+   * @returns {Promise<Array<Object>>} Summaries (see summarizeThread in utils/threads)
+   */
+  async listThreads() {
+    const backend = await this.open();
+    const panels = new Map();
+    for (const stored of await backend.getAll(STORES.PANELS)) {
+      const record = migrateRecord(stored);
+      if (!record || record.messages.length === 0) continue;
+      panels.set(record.conversationId, [...(panels.get(record.conversationId) ?? []), record]);
+    }
+
+    const threads = new Map((await backend.getAll(STORES.THREADS)).map((thread) => [thread.conversationId, thread]));
+    return [...panels.entries()]
+      .map(([conversationId, records]) => summarizeThread(conversationId, records, threads.get(conversationId)))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Every saved panel, e.g. to build the search index
+   * @returns {Promise<Array<Object>>} `{ conversationId, channel, updatedAt, messages }`
+   */
+  async listPanels() {
+    const backend = await this.open();
+    return (await backend.getAll(STORES.PANELS))
+      .map(migrateRecord)
+      .filter((record) => record && record.messages.length > 0);
+  }
+
+  /**
+   * Rename a thread; a blank title goes back to the automatic one
+   * @param {string} conversationId - Thread to rename
+   * @param {string} title - New title
+   */
+  async renameThread(conversationId, title) {
+    const backend = await this.open();
+    const thread = await backend.get(STORES.THREADS, conversationId);
+    const panels = await this.load(conversationId);
+    const automatic = Object.values(panels).map(titleFromMessages).find(Boolean) ?? null;
+
+    await backend.put(STORES.THREADS, conversationId, {
+      conversationId,
+      title: title.trim() || automatic,
+      createdAt: thread?.createdAt ?? Date.now(),
+    });
+  }
+
+  /**
+   * Delete a thread with every panel's messages
+   * @param {string} conversationId - Thread to delete
+   */
+  async deleteThread(conversationId) {
+    const backend = await this.open();
+    for (const channel of Object.values(CHANNELS)) {
+      await backend.delete(STORES.PANELS, recordKey(conversationId, channel));
+    }
+    await backend.delete(STORES.THREADS, conversationId);
+  }
+
+  /**
+   * Restore an imported transcript as a thread. It keeps its conversation ID
+   * so the backend's memory of it carries on; its panel replaces any saved
+   * copy.
+   * @param {Object} transcript - From parseTranscript (see utils/transcript)
+   * @returns {Promise<string>} Conversation ID to switch to
+   */
+  async importTranscript(transcript) {
+    const conversationId = isValidId(transcript.conversationId) ? transcript.conversationId : generateId('conv');
+    const messages = transcript.messages.map((message) => upgradeMessage({ modality: transcript.channel, ...message }));
+    await this.save(conversationId, transcript.channel, messages);
+    return conversationId;
+  }
+
+  /**
+   * Evict the oldest conversations when storage is nearly full. Checked at
+   * most once a minute; skipped where the Storage API is unavailable.
+   * @param {Object} backend - Open storage
+   * @param {string} keep - Conversation to keep, usually the current one
+   */
+  async checkQuota(backend, keep) {
+    const now = Date.now();
+    if (now - this.lastQuotaCheck < QUOTA_CHECK_INTERVAL || !navigator.storage?.estimate) return;
+    this.lastQuotaCheck = now;
+
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    if (quota > 0 && usage / quota > QUOTA_THRESHOLD) {
+      console.warn(`Storage ${Math.round((usage / quota) * 100)}% full, evicting old conversations`);
+      await this.evict(backend, { keep });
+    }
+  }
+
+  /**
+   * Drop the oldest conversations other than `keep`
+   * @param {Object} backend - Open storage
+   * @param {Object} options - `{ keep, all }`; without `all` only the oldest
+   *   half of the other conversations goes
+   */
+  async evict(backend, { keep, all = false }) {
+    const conversations = new Map();
+    for (const record of await backend.getAll(STORES.PANELS)) {
+      if (record.conversationId === keep) continue;
+      const entry = conversations.get(record.conversationId) || { conversationId: record.conversationId, updatedAt: 0, keys: [] };
+      entry.updatedAt = Math.max(entry.updatedAt, record.updatedAt);
+      entry.keys.push(record.key);
+      conversations.set(record.conversationId, entry);
+    }
+
+    const oldest = [...conversations.values()].sort((a, b) => a.updatedAt - b.updatedAt);
+    const evicted = all ? oldest : oldest.slice(0, Math.ceil(oldest.length / 2));
+    for (const { conversationId, keys } of evicted) {
+      for (const key of keys) {
+        await backend.delete(STORES.PANELS, key);
+      }
+      await backend.delete(STORES.THREADS, conversationId);
+    }
+  }
+
+  /**
+   * Check if the browser supports IndexedDB
+   * @returns {boolean} True if supported
+   */
+  static isSupported() {
+    return typeof window !== 'undefined' && 'indexedDB' in window;
+  }
+}
+
+/**
+ * Factory function to create a conversation store
+ * @returns {ConversationStore}
+ */
+export function createConversationStore() {
+  return new ConversationStore();
+}
+
+export default ConversationStore;
@@ -0,0 +1,212 @@
+/**
+ * Typed errors raised by the API client
+ */
+
+/**
+ * Base class for every error raised by the API client
+ */
+export class ApiError extends Error {
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = 'ApiError';
+  }
+}
+
+/**
+ * The backend could not be reached at all (DNS, refused connection, CORS, offline)
+ */
+export class NetworkError extends ApiError {
+  constructor(message = 'Backend unreachable', options = {}) {
+    super(message, options);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * The backend did not respond within the configured timeout
+ */
+export class TimeoutError extends ApiError {
+  constructor(timeout, options = {}) {
+    super(`Request timed out after ${Math.round(timeout / 1000)}s`, options);
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * The backend answered with a non-2xx status
+ */
+export class HttpError extends ApiError {
+  constructor(status, detail = null, options = {}) {
+    super(formatDetail(detail) || `HTTP error! status: ${status}`, options);
+    this.name = 'HttpError';
+    this.status = status;
+    this.detail = detail;
+    this.retryAfter = options.retryAfter ?? null;
+  }
+}
+
+/**
+ * The backend rejected the request payload (FastAPI answers these with 422)
+ */
+export class ValidationError extends HttpError {
+  constructor(status, detail = null, options = {}) {
+    super(status, detail, options);
+    this.name = 'ValidationError';
+    this.fields = Array.isArray(detail)
+      ? detail.map((item) => ({
+          field: Array.isArray(item.loc) ? item.loc.filter((part) => part !== 'body').join('.') : '',
+          message: item.msg || '',
+        }))
+      : [];
+  }
+}
+
+/**
+ * Speech recognition produced no usable transcript
+ */
+export class EmptyTranscriptError extends ApiError {
+  constructor(message = 'No speech was detected in the recording', options = {}) {
+    super(message, options);
+    this.name = 'EmptyTranscriptError';
+    this.status = options.status ?? null;
+  }
+}
+
+/**
+ * Flatten a FastAPI `detail` value into a readable message
+ * @param {string|Array|Object|null} detail - Parsed `detail` field
+ * @returns {string} Message, or an empty string if there is nothing usable
+ */
+export function formatDetail(detail) {
+  if (!detail) return '';
+  if (typeof detail === 'string') return detail;
+
+  if (Array.isArray(detail)) {
+    return detail
+      .map((item) => {
+        if (typeof item === 'string') return item;
+        const loc = Array.isArray(item.loc) ? item.loc.filter((part) => part !== 'body').join('.') : '';
+        return loc ? `${loc}: ${item.msg}` : item.msg;
+      })
+      .filter(Boolean)
+      .join('; ');
+  }
+
+  return detail.message || detail.msg || JSON.stringify(detail);
+}
+
+/**
+ * Parse a Retry-After header into milliseconds
+ * @param {string|null} value - Header value (seconds or HTTP date)
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Build the matching error for a non-2xx response
+ * @param {Response} response - Failed fetch response
+ * @returns {Promise<HttpError>}
+ */
+export async function errorFromResponse(response) {
+  let detail = null;
+
+  try {
+    const text = await response.text();
+    if (text) {
+      try {
+        const json = JSON.parse(text);
+        detail = json?.detail ?? json?.message ?? text;
+      } catch (e) {
+        detail = text;
+      }
+    }
+  } catch (e) {
+    // Body unreadable; fall back to the status code alone
+  }
+
+  const options = { retryAfter: parseRetryAfter(response.headers.get('retry-after')) };
+
+  if (response.status === 422) {
+    return new ValidationError(response.status, detail, options);
+  }
+  return new HttpError(response.status, detail, options);
+}
+
+/**
+ * Check whether an error came from an aborted request
+ * @param {Error} err - Caught error
+ * @returns {boolean}
+ */
+export function isAbortError(err) {
+  return err?.name === 'AbortError';
+}
+
+/**
+ * Normalize anything thrown by fetch or a body read into an ApiError.
+ * Aborts pass through untouched so callers can tell them apart.
+ * @param {Error} err - Caught error
+ * @returns {Error}
+ */
+export function toApiError(err) {
+  if (err instanceof ApiError || isAbortError(err)) {
+    return err;
+  }
+  // fetch rejects with a TypeError when the request never reaches the server
+  if (err instanceof TypeError) {
+    return new NetworkError('Backend unreachable', { cause: err });
+  }
+  return new ApiError(err?.message || 'Unexpected API error', { cause: err });
+}
+
+/**
+ * Turn an API error into a sentence suitable for the UI
+ * @param {Error} err - Caught error
+ * @param {string} fallback - Message used when nothing better is known
+ * @returns {string}
+ */
+export function describeError(err, fallback = 'Something went wrong') {
+  if (err instanceof EmptyTranscriptError) {
+    return 'I couldn\'t hear anything in that recording. Please try again.';
+  }
+  if (err instanceof NetworkError) {
+    return 'Backend unreachable. Check your connection and try again.';
+  }
+  if (err instanceof TimeoutError) {
+    return 'The server took too long to respond. Please try again.';
+  }
+  if (err instanceof ValidationError) {
+    return `Request rejected: ${err.message}`;
+  }
+  if (err instanceof HttpError) {
+    if (err.detail) return err.message;
+    return err.status >= 500
+      ? `The server had a problem (status ${err.status}). Please try again.`
+      : `Request failed (status ${err.status}).`;
+  }
+  return err?.message || fallback;
+}
+
+/**
+ * Describe a pending retry, e.g. "Backend unreachable, retrying in 4s (attempt 1 of 3)"
+ * @param {Object} retry - Payload passed to an onRetry callback
+ * @returns {string}
+ */
+export function describeRetry({ attempt, retries, delay, error }) {
+  let reason = 'Request failed';
+  if (error instanceof NetworkError) {
+    reason = 'Backend unreachable';
+  } else if (error instanceof TimeoutError) {
+    reason = 'Backend timed out';
+  } else if (error instanceof HttpError) {
+    reason = `Backend returned ${error.status}`;
+  }
+  return `${reason}, retrying in ${Math.max(1, Math.round(delay / 1000))}s (attempt ${attempt} of ${retries})`;
+}
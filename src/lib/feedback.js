@@ -0,0 +1,222 @@
+/**
+ * Feedback on agent replies: thumbs up or down plus an optional comment,
+ * given on any assistant message in any panel.
+ *
+ * Each rating is stored locally together with the messages around the
+ * rated reply, so it can be reviewed without the conversation at hand. The
+ * entries form a review queue: new entries wait until marked reviewed, and
+ * the whole queue can be exported as JSONL for prompt-tuning reviews.
+ *
+ * With NEXT_PUBLIC_FEEDBACK_UPLOAD=true each rating is also POSTed to the
+ * backend's /feedback endpoint. Persists in localStorage and notifies
+ * subscribers, so it can back a component through useSyncExternalStore.
+ */
+
+import { sendFeedback } from './api';
+
+export const FEEDBACK_RATINGS = {
+  UP: 'up',
+  DOWN: 'down',
+};
+
+export const FEEDBACK_UPLOAD = process.env.NEXT_PUBLIC_FEEDBACK_UPLOAD === 'true';
+
+// Messages kept around the rated reply
+const CONTEXT_BEFORE = 6;
+const CONTEXT_AFTER = 2;
+
+const STORAGE_KEY = 'barber.feedback';
+
+const listeners = new Set();
+let cache = null;
+const EMPTY = [];
+
+function load() {
+  if (cache) return cache;
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    cache = Array.isArray(stored) ? stored : [];
+  } catch (e) {
+    cache = [];
+  }
+  return cache;
+}
+
+function save(entries) {
+  cache = entries;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (e) {
+    console.warn('Could not persist feedback:', e);
+  }
+  listeners.forEach((listener) => listener());
+}
+
+function update(id, changes) {
+  save(load().map((entry) => (entry.id === id ? { ...entry, ...changes } : entry)));
+}
+
+function toContextMessage(message) {
+  return { role: message.role, content: message.content, modality: message.modality ?? null };
+}
+
+/**
+ * Key identifying a rated message within its panel
+ * @param {string} conversationId - Conversation the message belongs to
+ * @param {string} channel - One of CHANNELS (see lib/session)
+ * @param {Object} message - The message
+ * @param {number} index - Its position in the panel
+ * @returns {string}
+ */
+export function feedbackKey(conversationId, channel, message, index) {
+  return `${conversationId}:${channel}:${message.id ?? `#${index}`}`;
+}
+
+/**
+ * Get all feedback, oldest first
+ * @returns {Array<Object>}
+ */
+export function getFeedback() {
+  return typeof window === 'undefined' ? EMPTY : load();
+}
+
+/**
+ * Server snapshot for useSyncExternalStore
+ * @returns {Array<Object>}
+ */
+export function getServerFeedback() {
+  return EMPTY;
+}
+
+/**
+ * Listen for changes, including those made in other tabs
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToFeedback(listener) {
+  listeners.add(listener);
+
+  const onStorage = (event) => {
+    if (event.key === STORAGE_KEY) {
+      cache = null;
+      listener();
+    }
+  };
+  window.addEventListener('storage', onStorage);
+
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', onStorage);
+  };
+}
+
+/**
+ * Rate an assistant message, or change its rating or comment. The entry
+ * goes back into the review queue and, when enabled, is uploaded.
+ * @param {Object} details - `{ conversationId, channel, messages, index,
+ *   rating, comment }`; `messages` is the panel's list and `index` the
+ *   rated reply's position in it
+ * @returns {Object} Stored entry
+ */
+export function recordFeedback({ conversationId, channel, messages, index, rating, comment = '' }) {
+  const message = messages[index];
+  const key = feedbackKey(conversationId, channel, message, index);
+  const existing = load().find((entry) => entry.key === key);
+  const now = Date.now();
+
+  const entry = {
+    id: existing?.id ?? `${key}:${now}`,
+    key,
+    conversationId,
+    channel,
+    rating,
+    comment: comment.trim(),
+    message: {
+      id: message.id ?? null,
+      content: message.content,
+      cards: message.cards ?? [],
+      toolCalls: message.toolCalls ?? [],
+      createdAt: message.createdAt ?? null,
+    },
+    context: {
+      before: messages.slice(Math.max(0, index - CONTEXT_BEFORE), index).map(toContextMessage),
+      after: messages.slice(index + 1, index + 1 + CONTEXT_AFTER).map(toContextMessage),
+    },
+    createdAt: existing?.createdAt ?? now,
+    updatedAt: now,
+    reviewed: false,
+    uploaded: false,
+  };
+
+  save(existing
+    ? load().map((item) => (item.id === existing.id ? entry : item))
+    : [...load(), entry]);
+
+  if (FEEDBACK_UPLOAD) {
+    uploadFeedback(entry);
+  }
+  return entry;
+}
+
+/**
+ * POST an entry to the backend and mark it uploaded. Failures are logged
+ * and leave the entry local; changing it later tries again.
+ * @param {Object} entry - Stored entry
+ * @returns {Promise<boolean>} True when uploaded
+ */
+export async function uploadFeedback(entry) {
+  try {
+    await sendFeedback(entry);
+    // Skip entries changed or removed while the upload ran
+    if (load().some((item) => item.id === entry.id && item.updatedAt === entry.updatedAt)) {
+      update(entry.id, { uploaded: true });
+    }
+    return true;
+  } catch (err) {
+    console.warn('Could not upload feedback:', err);
+    return false;
+  }
+}
+
+/**
+ * Find the feedback given on a message
+ * @param {Array<Object>} entries - From getFeedback
+ * @param {string} key - From feedbackKey
+ * @returns {Object|null}
+ */
+export function findFeedback(entries, key) {
+  return entries.find((entry) => entry.key === key) ?? null;
+}
+
+/**
+ * Take an entry out of the review queue, or put it back
+ * @param {string} id - Entry ID
+ * @param {boolean} reviewed - New state
+ */
+export function markFeedbackReviewed(id, reviewed = true) {
+  update(id, { reviewed });
+}
+
+/**
+ * Forget an entry
+ * @param {string} id - Entry ID
+ */
+export function removeFeedback(id) {
+  save(load().filter((entry) => entry.id !== id));
+}
+
+/**
+ * Forget every reviewed entry
+ */
+export function clearReviewedFeedback() {
+  save(load().filter((entry) => !entry.reviewed));
+}
+
+/**
+ * Render entries as JSONL, one entry per line
+ * @param {Array<Object>} entries - Entries to export
+ * @returns {string}
+ */
+export function feedbackToJsonl(entries) {
+  return entries.map((entry) => JSON.stringify(entry)).join('\n') + (entries.length > 0 ? '\n' : '');
+}
@@ -0,0 +1,386 @@
+/**
+ * Keeps the history sent with each request within a token budget.
+ *
+ * Every request carries the conversation so far, and a long call can run to
+ * 50 exchanges. Once the history's estimated size is over the budget, the
+ * most recent turns (a user message and the replies to it) are kept
+ * verbatim and everything before them is collapsed into one summary
+ * message at the start of the history. The backend only accepts user and
+ * assistant messages, so the summary goes as an assistant note.
+ *
+ * The summary comes from the backend's /chat/summarize endpoint when
+ * NEXT_PUBLIC_HISTORY_SUMMARY=backend, otherwise (or when that call fails)
+ * from an extractive summary of the customer's own words. Either way it
+ * ends with the booking facts found in the collapsed messages (name,
+ * service, barber, date, time, confirmation), so the agent never loses
+ * them. The boundary moves in steps of whole turns, so one backend summary
+ * serves several requests.
+ */
+
+import { summarizeHistory } from './api';
+import { HttpError, isAbortError } from './errors';
+import { CHAT_EVENT_TYPES } from './chatEvents';
+import { formatDay, formatSlotTime } from '../utils/bookingFormat';
+import { extractPlainText } from '../utils/textProcessor';
+import { SUMMARY_MARKER } from '../utils/historySummary';
+
+export { SUMMARY_MARKER, isHistorySummary } from '../utils/historySummary';
+
+export const SUMMARY_SOURCES = {
+  BACKEND: 'backend',
+  EXTRACTIVE: 'extractive',
+};
+
+export const SUMMARY_SOURCE = process.env.NEXT_PUBLIC_HISTORY_SUMMARY === SUMMARY_SOURCES.BACKEND
+  ? SUMMARY_SOURCES.BACKEND
+  : SUMMARY_SOURCES.EXTRACTIVE;
+
+function readNumber(value, fallback) {
+  const number = Number(value);
+  return value && Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+export const DEFAULT_BUDGET = {
+  // Estimated tokens of history sent with a request
+  maxTokens: readNumber(process.env.NEXT_PUBLIC_HISTORY_TOKEN_BUDGET, 3000),
+  // Most recent turns always sent verbatim, budget permitting
+  keepTurns: readNumber(process.env.NEXT_PUBLIC_HISTORY_KEEP_TURNS, 6),
+};
+
+// Rough size of a message beyond its text (role, separators)
+const MESSAGE_OVERHEAD = 4;
+const CHARS_PER_TOKEN = 4;
+
+// Extractive summaries quote at most this much of the customer's words
+const SUMMARY_TOKEN_LIMIT = 300;
+const QUOTE_LENGTH = 120;
+const CACHE_SIZE = 20;
+
+const NAME_PATTERNS = [
+  // "my name is alex": a name in any case
+  /\b(?:my name is|name's|call me)\s+([a-z][a-z'-]+)/i,
+  // "I'm Alex"; lowercase only when nothing follows, as in "hi, i'm alex."
+  /\b(?:this is|I am|I'm)\s+([A-Z][a-z'-]+)/,
+  /\b(?:this is|i am|i'm)\s+([a-z][a-z'-]+)\s*(?:[,.!]|$)/i,
+];
+// "with Jay", "barber is jay", "I prefer Jay"
+const BARBER_PATTERN = /\b(?:with|barber(?: is)?|prefer|ask(?:ing)? for)\s+([a-z][a-z'-]+)/i;
+// Capitalised words other than the first of a sentence, e.g. the names in
+// "Do you have a barber preference: Marco, Jay, or Sam?"
+const OFFERED_NAME_PATTERN = /(?<!^|[.!?]\s)\b([A-Z][a-z]+)\b/g;
+// Words those patterns catch that are not names
+const NOT_NAMES = new Set([
+  'a', 'an', 'the', 'my', 'me', 'you', 'him', 'her', 'them', 'us', 'it', 'that', 'this',
+  'someone', 'anyone', 'anybody', 'whoever', 'any', 'no', 'one', 'beard', 'hair',
+  'good', 'fine', 'ok', 'okay', 'free', 'here', 'back', 'ready', 'done', 'sure', 'sorry',
+  'new', 'available', 'late', 'early', 'interested', 'looking', 'booked', 'thanks',
+]);
+const SERVICE_PATTERN = /\b(haircut (?:&|and) beard|skin fade|kids'? haircut|beard trim|hot towel shave|buzz cut|line[- ]?up|fade|shave|haircut|hair cut|trim)\b/i;
+const DAY_PATTERN = /\b(today|tomorrow|(?:mon|tues|wednes|thurs|fri|satur|sun)day|(?:january|february|march|april|may|june|july|august|september|october|november|december) \d{1,2}|\d{4}-\d{2}-\d{2})\b/i;
+const TIME_PATTERN = /\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/i;
+
+const FACT_LABELS = [
+  ['name', 'customer name'],
+  ['service', 'service'],
+  ['barber', 'barber'],
+  ['date', 'date'],
+  ['time', 'time'],
+  ['booking', 'booking'],
+];
+
+/**
+ * Estimate the number of tokens in a text or a list of messages, at about
+ * four characters per token
+ * @param {string|Array} input - Text, or `{ content }` messages
+ * @returns {number}
+ */
+export function estimateTokens(input) {
+  if (Array.isArray(input)) {
+    return input.reduce((total, message) => total + MESSAGE_OVERHEAD + estimateTokens(message.content || ''), 0);
+  }
+  return Math.ceil(input.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Split messages into turns, each starting at a user message
+ * @param {Array} messages - History, oldest first
+ * @returns {Array<Array>} Turns
+ */
+export function splitTurns(messages) {
+  const turns = [];
+  for (const message of messages) {
+    if (message.role === 'user' || turns.length === 0) {
+      turns.push([message]);
+    } else {
+      turns[turns.length - 1].push(message);
+    }
+  }
+  return turns;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+}
+
+function isName(word) {
+  return !NOT_NAMES.has(word.toLowerCase()) && !SERVICE_PATTERN.test(word) && !DAY_PATTERN.test(word);
+}
+
+function findName(content) {
+  for (const pattern of NAME_PATTERNS) {
+    const match = content.match(pattern);
+    if (match && isName(match[1])) return capitalize(match[1]);
+  }
+  return null;
+}
+
+// Names the agent listed when asking about a barber
+function offeredBarbers(content) {
+  const text = extractPlainText(content || '');
+  if (!/\bbarbers?\b/i.test(text)) return [];
+  return [...text.matchAll(OFFERED_NAME_PATTERN)].map((match) => match[1]).filter(isName);
+}
+
+// A barber named in the customer's words, or picked from the ones just offered
+function findBarber(content, offered) {
+  const match = content.match(BARBER_PATTERN);
+  if (match && isName(match[1])) return capitalize(match[1]);
+  const words = new Set(content.toLowerCase().match(/[a-z]+/g));
+  return offered.find((name) => words.has(name.toLowerCase())) ?? null;
+}
+
+function factsFromText(content, offered = []) {
+  const service = content.match(SERVICE_PATTERN);
+  const day = content.match(DAY_PATTERN);
+  const time = content.match(TIME_PATTERN);
+  return {
+    name: findName(content),
+    service: service ? capitalize(service[1]) : null,
+    barber: findBarber(content, offered),
+    date: day ? day[1].toLowerCase() : null,
+    time: time ? `${parseInt(time[1], 10)}:${time[2] || '00'} ${time[3].toUpperCase()}` : null,
+  };
+}
+
+function factsFromCard(card) {
+  const isBooking = card.type === CHAT_EVENT_TYPES.BOOKING_CONFIRMED || card.type === CHAT_EVENT_TYPES.BOOKING_CANCELLED;
+  if (!isBooking) {
+    return card.type === CHAT_EVENT_TYPES.SLOTS_OFFERED ? { service: card.service, barber: card.barber } : {};
+  }
+
+  const status = card.type === CHAT_EVENT_TYPES.BOOKING_CONFIRMED ? 'confirmed' : 'cancelled';
+  return {
+    name: card.customerName,
+    service: card.service,
+    barber: card.barber,
+    date: card.date || formatDay(card) || null,
+    time: card.time || (card.start ? formatSlotTime(card) : null),
+    booking: card.confirmationCode ? `${card.confirmationCode} ${status}` : status,
+  };
+}
+
+/**
+ * Collect the booking facts mentioned in a conversation. Booking cards are
+ * read as they are; the customer's own messages are scanned for a name,
+ * service, barber, day and time, in any case. A barber also counts when the
+ * customer answers with one of the names the agent just offered. Later
+ * mentions replace earlier ones.
+ * @param {Array} messages - Messages, oldest first
+ * @returns {Object} `{ name, service, barber, date, time, booking }`, each
+ *   null when never mentioned
+ */
+export function extractBookingFacts(messages) {
+  const facts = { name: null, service: null, barber: null, date: null, time: null, booking: null };
+  const merge = (found) => {
+    Object.entries(found).forEach(([key, value]) => {
+      if (value) facts[key] = value;
+    });
+  };
+
+  let offered = [];
+  for (const message of messages) {
+    if (message.role === 'user') {
+      merge(factsFromText(message.content || '', offered));
+      offered = [];
+    } else if (message.role === 'assistant') {
+      offered = offeredBarbers(message.content);
+    }
+    (message.cards || []).forEach((card) => merge(factsFromCard(card)));
+  }
+  return facts;
+}
+
+/**
+ * Word booking facts as one line, e.g. "Booking details so far: customer
+ * name Alex; service Haircut; time 3:30 PM."
+ * @param {Object} facts - From extractBookingFacts
+ * @returns {string} Empty when there are none
+ */
+export function describeBookingFacts(facts) {
+  const parts = FACT_LABELS
+    .filter(([key]) => facts[key])
+    .map(([key, label]) => `${label} ${facts[key]}`);
+  return parts.length > 0 ? `Booking details so far: ${parts.join('; ')}.` : '';
+}
+
+function quote(content) {
+  const text = extractPlainText(content || '').replace(/\s+/g, ' ').trim();
+  return text.length > QUOTE_LENGTH ? `${text.slice(0, QUOTE_LENGTH)}…` : text;
+}
+
+/**
+ * Summarize messages without the backend: the customer's messages, quoted
+ * briefly, newest kept when they do not all fit
+ * @param {Array} messages - Messages to summarize, oldest first
+ * @returns {string}
+ */
+export function summarizeExtractive(messages) {
+  const quotes = [];
+  let tokens = 0;
+  for (const message of [...messages].reverse()) {
+    if (message.role !== 'user') continue;
+    const line = `- ${quote(message.content)}`;
+    tokens += estimateTokens(line);
+    if (tokens > SUMMARY_TOKEN_LIMIT) break;
+    quotes.unshift(line);
+  }
+
+  const userCount = messages.filter((message) => message.role === 'user').length;
+  const omitted = userCount - quotes.length;
+  return [
+    quotes.length > 0 ? 'The customer said:' : 'The customer said nothing yet.',
+    ...(omitted > 0 ? [`- (${omitted} earlier message${omitted === 1 ? '' : 's'} left out)`] : []),
+    ...quotes,
+  ].join('\n');
+}
+
+/**
+ * Build the assistant note that stands in for collapsed history
+ * @param {Array} messages - Collapsed messages, oldest first
+ * @param {string|null} summary - Backend summary, or null for an extractive one
+ * @returns {{role: string, content: string}}
+ */
+export function createSummaryMessage(messages, summary = null) {
+  const content = [
+    `${SUMMARY_MARKER} (${messages.length} messages):`,
+    summary?.trim() || summarizeExtractive(messages),
+    describeBookingFacts(extractBookingFacts(messages)),
+  ].filter(Boolean).join('\n');
+  return { role: 'assistant', content };
+}
+
+function cacheKey(messages) {
+  let hash = 0;
+  for (const message of messages) {
+    const text = `${message.role}:${message.content}\n`;
+    for (let i = 0; i < text.length; i++) {
+      hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+    }
+  }
+  return `${messages.length}:${hash.toString(36)}`;
+}
+
+class HistoryBudget {
+  /**
+   * @param {Object} options - `{ maxTokens, keepTurns, source }`; defaults
+   *   from the environment (see DEFAULT_BUDGET and SUMMARY_SOURCE)
+   */
+  constructor({ maxTokens = DEFAULT_BUDGET.maxTokens, keepTurns = DEFAULT_BUDGET.keepTurns, source = SUMMARY_SOURCE } = {}) {
+    this.maxTokens = maxTokens;
+    this.keepTurns = keepTurns;
+    this.source = source;
+    // Backend summaries by the messages they summarize
+    this.summaries = new Map();
+    this.isBackendAvailable = true;
+  }
+
+  /**
+   * Decide which messages to collapse
+   * @param {Array} history - History, oldest first
+   * @returns {{older: Array, recent: Array}|null} Null when it fits as it is
+   */
+  plan(history) {
+    if (estimateTokens(history) <= this.maxTokens) return null;
+
+    const turns = splitTurns(history);
+    if (turns.length < 2) return null;
+
+    // Collapse a whole number of keepTurns-sized steps, so the collapsed
+    // part (and its summary) stays the same for a few requests
+    const step = Math.max(1, this.keepTurns);
+    let collapsed = Math.max(1, Math.floor((turns.length - this.keepTurns) / step) * step);
+    collapsed = Math.min(collapsed, turns.length - 1);
+
+    // Still too big: collapse more turns, down to the last one
+    const summaryAllowance = SUMMARY_TOKEN_LIMIT * 2;
+    while (collapsed < turns.length - 1
+      && estimateTokens(turns.slice(collapsed).flat()) + summaryAllowance > this.maxTokens) {
+      collapsed += 1;
+    }
+
+    return { older: turns.slice(0, collapsed).flat(), recent: turns.slice(collapsed).flat() };
+  }
+
+  /**
+   * Fit history into the budget right away, using a backend summary only
+   * if one is already known; for callers that cannot wait, like the call
+   * socket
+   * @param {Array} history - History, oldest first
+   * @returns {Array} History to send
+   */
+  fit(history) {
+    const plan = this.plan(history);
+    if (!plan) return history;
+    const summary = this.summaries.get(cacheKey(plan.older)) ?? null;
+    return [createSummaryMessage(plan.older, summary), ...plan.recent];
+  }
+
+  /**
+   * Fit history into the budget, asking the backend for a summary first
+   * when configured. The summary is asked for once, without retries, since
+   * the request it is for retries on its own; a failure falls back to an
+   * extractive summary, and a backend without the endpoint is not asked
+   * again.
+   * @param {Array} history - History, oldest first
+   * @param {Object} options - Request options for the summarize call (see
+   *   lib/api); its retry policy is ignored
+   * @returns {Promise<Array>} History to send
+   */
+  async prepare(history, options = {}) {
+    const plan = this.plan(history);
+    if (!plan || this.source !== SUMMARY_SOURCES.BACKEND || !this.isBackendAvailable) {
+      return this.fit(history);
+    }
+
+    const key = cacheKey(plan.older);
+    if (!this.summaries.has(key)) {
+      try {
+        const { summary } = await summarizeHistory(plan.older, { ...options, retry: null, onRetry: undefined });
+        if (typeof summary === 'string' && summary.trim()) {
+          this.summaries.set(key, summary);
+          if (this.summaries.size > CACHE_SIZE) {
+            this.summaries.delete(this.summaries.keys().next().value);
+          }
+        }
+      } catch (err) {
+        if (isAbortError(err)) throw err;
+        if (err instanceof HttpError && (err.status === 404 || err.status === 405)) {
+          this.isBackendAvailable = false;
+        }
+        console.warn('History summary failed, using an extractive one:', err);
+      }
+    }
+    return this.fit(history);
+  }
+}
+
+/**
+ * Create a history budget
+ * @param {Object} options - See the HistoryBudget constructor
+ * @returns {HistoryBudget}
+ */
+export function createHistoryBudget(options) {
+  return new HistoryBudget(options);
+}
+
+export default HistoryBudget;
@@ -0,0 +1,223 @@
+/**
+ * Shared request core for the backend API.
+ * Handles URL building, JSON bodies, timeouts, cancellation, typed errors and
+ * retries, and runs the middleware chain (see lib/middleware) around each attempt.
+ */
+
+import { TimeoutError, errorFromResponse, toApiError } from './errors';
+import { resolveRetryPolicy, withRetry } from './retry';
+import {
+  compose,
+  loggingMiddleware,
+  requestIdMiddleware,
+  sessionMiddleware,
+  tenantMiddleware,
+} from './middleware';
+
+// NEXT_PUBLIC_USE_MOCK_API=true points the client at the built-in mock backend (src/app/api/mock)
+export const USE_MOCK_API = process.env.NEXT_PUBLIC_USE_MOCK_API === 'true';
+
+export const API_URL = USE_MOCK_API
+  ? '/api/mock'
+  : process.env.NEXT_PUBLIC_API_URL || 'http://127.0.0.1:8000';
+
+const DEFAULT_TIMEOUT = 30000;
+
+// Registered middleware, outermost first: `{ name, middleware }`
+let middlewareStack = [];
+
+/**
+ * Register middleware for every request. Registering a name again replaces
+ * the earlier middleware in place.
+ * @param {Function} middleware - `async (ctx, next) => Response`
+ * @param {Object} options - Options
+ * @param {string} [options.name] - Name for later removal; defaults to the function name
+ * @param {boolean} [options.prepend] - Run before the middleware already registered
+ * @returns {Function} Removes this middleware
+ */
+export function addMiddleware(middleware, { name = middleware.name || 'anonymous', prepend = false } = {}) {
+  const entry = { name, middleware };
+  const index = middlewareStack.findIndex((item) => item.name === name);
+
+  if (index !== -1) {
+    middlewareStack = middlewareStack.map((item, i) => (i === index ? entry : item));
+  } else {
+    middlewareStack = prepend ? [entry, ...middlewareStack] : [...middlewareStack, entry];
+  }
+
+  return () => removeMiddleware(middleware);
+}
+
+/**
+ * Unregister middleware
+ * @param {string|Function} nameOrMiddleware - Name or the middleware function
+ * @returns {boolean} True if something was removed
+ */
+export function removeMiddleware(nameOrMiddleware) {
+  const before = middlewareStack.length;
+  middlewareStack = middlewareStack.filter((item) => (
+    item.name !== nameOrMiddleware && item.middleware !== nameOrMiddleware
+  ));
+  return middlewareStack.length !== before;
+}
+
+/**
+ * Names of the registered middleware, outermost first
+ * @returns {string[]}
+ */
+export function listMiddleware() {
+  return middlewareStack.map((item) => item.name);
+}
+
+addMiddleware(sessionMiddleware(), { name: 'session' });
+addMiddleware(requestIdMiddleware(), { name: 'requestId' });
+
+// NEXT_PUBLIC_TENANT_ID tags requests for multi-shop backends
+if (process.env.NEXT_PUBLIC_TENANT_ID) {
+  addMiddleware(tenantMiddleware(process.env.NEXT_PUBLIC_TENANT_ID), { name: 'tenant' });
+}
+
+// NEXT_PUBLIC_API_DEBUG=true logs every request with its timing
+if (process.env.NEXT_PUBLIC_API_DEBUG === 'true') {
+  addMiddleware(loggingMiddleware(), { name: 'logging' });
+}
+
+// Innermost step of the chain: the actual fetch
+async function sendRequest(ctx) {
+  const response = await fetch(`${API_URL}${ctx.path}`, {
+    method: ctx.method,
+    headers: ctx.headers,
+    body: ctx.body,
+    signal: ctx.signal,
+  });
+
+  if (!response.ok) {
+    throw await errorFromResponse(response);
+  }
+
+  return response;
+}
+
+/**
+ * Derive a signal that aborts when the caller aborts or the timeout expires
+ * @param {AbortSignal} [signal] - Caller's signal
+ * @param {number} timeout - Timeout in ms; 0 disables it
+ * @returns {{signal: AbortSignal, didTimeOut: Function, dispose: Function, release: Function}}
+ */
+function createAttemptSignal(signal, timeout) {
+  const controller = new AbortController();
+  let timedOut = false;
+  let timeoutId = null;
+
+  const onAbort = () => controller.abort(signal.reason);
+  const release = () => signal?.removeEventListener('abort', onAbort);
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  }
+
+  if (timeout > 0) {
+    timeoutId = setTimeout(() => {
+      timedOut = true;
+      controller.abort(new DOMException('Request timed out', 'AbortError'));
+    }, timeout);
+  }
+
+  return {
+    signal: controller.signal,
+    didTimeOut: () => timedOut,
+    // Stop the timer once headers are in; the caller's signal keeps working for the body
+    dispose: () => {
+      clearTimeout(timeoutId);
+    },
+    // Stop following the caller's signal once the attempt has failed, so
+    // retries and long-lived signals do not pile up listeners
+    release,
+  };
+}
+
+/**
+ * Send a request to the backend
+ * @param {string} path - Path relative to API_URL
+ * @param {Object} options - Request options
+ * @param {string} [options.method] - HTTP method, defaults to GET
+ * @param {Object} [options.headers] - Extra headers
+ * @param {Object} [options.json] - Body to send as JSON
+ * @param {BodyInit} [options.body] - Raw body (FormData, Blob, ...)
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {number} [options.timeout] - Ms to wait for response headers; 0 disables it
+ * @param {Object|boolean|number} [options.retry] - Retry policy, see resolveRetryPolicy
+ * @param {Function} [options.onRetry] - Called before each retry wait
+ * @param {Array<Function>} [options.middleware] - Extra middleware for this call, run inside the registered ones
+ * @returns {Promise<Response>} Successful response; failures throw typed errors
+ */
+export async function request(path, options = {}) {
+  const {
+    method = 'GET',
+    headers = {},
+    json,
+    body,
+    signal,
+    timeout = DEFAULT_TIMEOUT,
+    retry = null,
+    onRetry,
+    middleware = [],
+  } = options;
+
+  const requestHeaders = { ...headers };
+  let requestBody = body;
+  if (json !== undefined) {
+    requestHeaders['Content-Type'] = 'application/json';
+    requestBody = JSON.stringify(json);
+  }
+
+  const run = compose([...middlewareStack.map((item) => item.middleware), ...middleware]);
+  const meta = {};
+
+  const attempt = async (attemptNumber) => {
+    const attemptSignal = createAttemptSignal(signal, timeout);
+    const ctx = {
+      method,
+      path,
+      headers: { ...requestHeaders },
+      body: requestBody,
+      signal: attemptSignal.signal,
+      attempt: attemptNumber,
+      options,
+      meta,
+    };
+
+    try {
+      return await run(ctx, sendRequest);
+    } catch (err) {
+      attemptSignal.release();
+      if (attemptSignal.didTimeOut()) {
+        throw new TimeoutError(timeout, { cause: err });
+      }
+      throw toApiError(err);
+    } finally {
+      attemptSignal.dispose();
+    }
+  };
+
+  return withRetry(attempt, resolveRetryPolicy(retry), { signal, onRetry });
+}
+
+/**
+ * Send a request and parse the JSON response
+ * @param {string} path - Path relative to API_URL
+ * @param {Object} options - Same options as request()
+ * @returns {Promise<*>} Parsed response body
+ */
+export async function requestJSON(path, options = {}) {
+  const response = await request(path, options);
+
+  try {
+    return await response.json();
+  } catch (err) {
+    throw toApiError(err);
+  }
+}
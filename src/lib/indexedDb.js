@@ -0,0 +1,59 @@
+/**
+ * Small promise wrappers over IndexedDB, shared by the stores that keep
+ * data in it (lib/conversationStore, lib/outbox, lib/reminders)
+ */
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function promisifyTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Open a database, creating or upgrading its object stores as needed
+ * @param {Object} options - Database options
+ * @param {string} options.name - Database name
+ * @param {number} options.version - Schema version
+ * @param {Function} options.upgrade - Called with `(db, event)` when the
+ *   stored version is older; `event.oldVersion` tells which stores to add
+ * @param {string} [options.label] - What the database holds, for errors
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase({ name, version, upgrade, label = 'Database' }) {
+  return new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(name, version);
+    request.onupgradeneeded = (event) => upgrade(request.result, event);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error(`${label} is blocked by another tab`));
+  });
+}
+
+/**
+ * Run one request in its own transaction and wait for the transaction to
+ * commit
+ * @param {IDBDatabase} db - Open database
+ * @param {string} storeName - Object store to use
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Called with the object store; returns the request
+ * @returns {Promise<*>} The request's result
+ */
+export async function runInStore(db, storeName, mode, operation) {
+  const transaction = db.transaction(storeName, mode);
+  // Wait for both, so a failed request is not left unhandled while the
+  // transaction aborts
+  const [result] = await Promise.all([
+    promisifyRequest(operation(transaction.objectStore(storeName))),
+    promisifyTransaction(transaction),
+  ]);
+  return result;
+}
@@ -0,0 +1,188 @@
+/**
+ * Request middleware for the API client.
+ *
+ * A middleware is `async (ctx, next) => Response`. It may change the request
+ * on `ctx` before calling `next()`, and inspect, replace or transform the
+ * response (or catch the typed error) that `next()` produces. The chain runs
+ * around every fetch attempt, so it applies to JSON, streaming and multipart
+ * calls alike; retries run it again with `ctx.attempt` incremented.
+ *
+ * ctx:
+ *   method, path        request target, path relative to API_URL
+ *   headers             header object; mutate or replace it
+ *   body                request body (string, FormData, Blob, ...)
+ *   signal              the attempt's AbortSignal
+ *   attempt             0 for the first try
+ *   options             the options passed to request(), e.g. channel
+ *   meta                per-request scratch space shared across attempts
+ */
+
+import { generateId, getSessionHeaders } from './session';
+
+export const CLIENT_MESSAGE_ID_HEADER = 'X-Client-Message-Id';
+
+/**
+ * Combine middleware into one function
+ * @param {Array<Function>} middleware - Middleware, outermost first
+ * @returns {Function} `(ctx, core) => Promise<Response>`
+ */
+export function compose(middleware) {
+  return function run(ctx, core) {
+    let lastIndex = -1;
+
+    const dispatch = async (index) => {
+      if (index <= lastIndex) {
+        throw new Error('next() called more than once');
+      }
+      lastIndex = index;
+
+      if (index === middleware.length) {
+        return core(ctx);
+      }
+      return middleware[index](ctx, () => dispatch(index + 1));
+    };
+
+    return dispatch(0);
+  };
+}
+
+function resolveValue(value, ctx) {
+  return typeof value === 'function' ? value(ctx) : value;
+}
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+/**
+ * Session, conversation, channel and client message ID headers (see lib/session)
+ * @returns {Function} Middleware
+ */
+export function sessionMiddleware() {
+  return async function session(ctx, next) {
+    // Headers set by the caller win
+    ctx.headers = {
+      ...getSessionHeaders(ctx.options.channel),
+      ...(ctx.options.clientMessageId && { [CLIENT_MESSAGE_ID_HEADER]: ctx.options.clientMessageId }),
+      ...ctx.headers,
+    };
+    return next();
+  };
+}
+
+/**
+ * Tag each request with an ID, kept across retries so attempts correlate in logs
+ * @param {Object} options - Options
+ * @param {string} options.header - Header name
+ * @returns {Function} Middleware
+ */
+export function requestIdMiddleware({ header = 'X-Request-Id' } = {}) {
+  return async function requestId(ctx, next) {
+    ctx.meta.requestId = ctx.meta.requestId || generateId('req');
+    ctx.headers[header] = ctx.meta.requestId;
+    return next();
+  };
+}
+
+/**
+ * Bearer token authentication
+ * @param {string|Function} getToken - Token, or `(ctx) => token`; may return a promise
+ * @returns {Function} Middleware
+ */
+export function authMiddleware(getToken) {
+  return async function auth(ctx, next) {
+    const token = await resolveValue(getToken, ctx);
+    if (token) {
+      ctx.headers.Authorization = `Bearer ${token}`;
+    }
+    return next();
+  };
+}
+
+/**
+ * Preferred language for replies
+ * @param {string|Function} [getLocale] - Locale, or `(ctx) => locale`; defaults to the browser's
+ * @returns {Function} Middleware
+ */
+export function localeMiddleware(getLocale = () => (typeof navigator !== 'undefined' ? navigator.language : null)) {
+  return async function locale(ctx, next) {
+    const value = resolveValue(getLocale, ctx);
+    if (value) {
+      ctx.headers['Accept-Language'] = value;
+    }
+    return next();
+  };
+}
+
+/**
+ * Tenant header for multi-shop deployments
+ * @param {string|Function} tenantId - Tenant ID, or `(ctx) => tenantId`
+ * @param {Object} options - Options
+ * @param {string} options.header - Header name
+ * @returns {Function} Middleware
+ */
+export function tenantMiddleware(tenantId, { header = 'X-Tenant-Id' } = {}) {
+  return async function tenant(ctx, next) {
+    const value = resolveValue(tenantId, ctx);
+    if (value) {
+      ctx.headers[header] = value;
+    }
+    return next();
+  };
+}
+
+/**
+ * Measure time to response headers (streamed bodies keep arriving after this)
+ * @param {Function} onTiming - Called with `{ method, path, status, duration, attempt, requestId, error }`
+ * @returns {Function} Middleware
+ */
+export function timingMiddleware(onTiming) {
+  return async function timing(ctx, next) {
+    const start = now();
+    const report = (status, error = null) => onTiming({
+      method: ctx.method,
+      path: ctx.path,
+      status,
+      duration: Math.round(now() - start),
+      attempt: ctx.attempt,
+      requestId: ctx.meta.requestId || null,
+      error,
+    });
+
+    try {
+      const response = await next();
+      report(response.status);
+      return response;
+    } catch (err) {
+      report(err.status ?? null, err);
+      throw err;
+    }
+  };
+}
+
+/**
+ * Log each request and its outcome
+ * @param {Object} options - Options
+ * @param {Object} options.logger - Console-like logger
+ * @returns {Function} Middleware
+ */
+export function loggingMiddleware({ logger = console } = {}) {
+  return timingMiddleware(({ method, path, status, duration, attempt, requestId, error }) => {
+    const retry = attempt > 0 ? ` retry ${attempt}` : '';
+    const id = requestId ? ` [${requestId}]` : '';
+    if (error) {
+      logger.warn(`[api] ${method} ${path}${retry}${id} failed after ${duration} ms: ${error.message}`);
+    } else {
+      logger.debug(`[api] ${method} ${path}${retry}${id} → ${status} (${duration} ms)`);
+    }
+  });
+}
+
+/**
+ * Transform successful responses, e.g. to unwrap an envelope or rewrite headers
+ * @param {Function} transform - `(response, ctx) => Response`; may return a promise
+ * @returns {Function} Middleware
+ */
+export function responseTransformMiddleware(transform) {
+  return async function responseTransform(ctx, next) {
+    return transform(await next(), ctx);
+  };
+}
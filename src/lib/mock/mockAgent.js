@@ -0,0 +1,348 @@
+/**
+ * Scripted booking agent used by the mock backend (src/app/api/mock).
+ * Reconstructs what the customer has told it so far from the history and
+ * answers with the next step of a booking dialogue.
+ */
+
+// With its extension, for scripts/mock-call-server.mjs running under plain Node
+import { isHistorySummary } from '../../utils/historySummary.js';
+
+export const MOCK_SHOP = {
+  name: 'BarberFlow Studio',
+  address: '12 High Street',
+  hours: 'Tuesday to Saturday, 9:00 AM to 7:00 PM',
+};
+
+// Keep names, durations and prices in step with catalog.json
+export const MOCK_SERVICES = [
+  { id: 'combo', name: 'Haircut & Beard', duration: 50, price: 38, keywords: ['both', 'haircut and beard', 'haircut & beard', 'cut and beard', 'combo'] },
+  { id: 'fade', name: 'Skin Fade', duration: 40, price: 30, keywords: ['fade'] },
+  { id: 'kids', name: 'Kids\' Haircut', duration: 25, price: 18, keywords: ['kid', 'child', 'son', 'daughter'] },
+  { id: 'beard', name: 'Beard Trim', duration: 20, price: 15, keywords: ['beard', 'shave'] },
+  { id: 'haircut', name: 'Haircut', duration: 30, price: 25, keywords: ['haircut', 'hair cut', 'cut'] },
+];
+
+export const MOCK_BARBERS = [
+  { id: 'marco', name: 'Marco' },
+  { id: 'jay', name: 'Jay' },
+  { id: 'sam', name: 'Sam' },
+];
+
+const MOCK_TIMES = ['10:00 AM', '1:30 PM', '3:30 PM', '5:00 PM'];
+
+// Already booked; offered as taken so the slot list shows both states
+const MOCK_TAKEN_TIMES = ['11:00 AM'];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+
+const MONTH_DAY_PATTERN = new RegExp(`\\b(${MONTHS.join('|')}) (\\d{1,2})\\b`);
+
+// Lines the mock transcriber "hears", in the order a booking call would go
+const SCRIPTED_TRANSCRIPTS = [
+  'Hi, I\'d like to book a haircut.',
+  'Marco, please.',
+  'Tomorrow at 3:30 PM.',
+  'My name is Alex.',
+  'Yes, please confirm it.',
+];
+
+let transcriptCursor = 0;
+
+/**
+ * Pick the next scripted transcript
+ * @param {Array} history - Conversation history sent with the audio
+ * @returns {string}
+ */
+export function nextScriptedTranscript(history = []) {
+  const userTurns = history.filter((msg) => msg.role === 'user').length;
+  if (userTurns > 0) {
+    return SCRIPTED_TRANSCRIPTS[userTurns % SCRIPTED_TRANSCRIPTS.length];
+  }
+  const transcript = SCRIPTED_TRANSCRIPTS[transcriptCursor % SCRIPTED_TRANSCRIPTS.length];
+  transcriptCursor += 1;
+  return transcript;
+}
+
+function findService(text) {
+  return MOCK_SERVICES.find((service) => service.keywords.some((keyword) => text.includes(keyword))) || null;
+}
+
+function findBarber(text) {
+  const barber = MOCK_BARBERS.find((item) => new RegExp(`\\b${item.id}\\b`).test(text));
+  if (barber) return barber;
+  if (/\b(any|anyone|whoever|no preference|doesn't matter)\b/.test(text)) {
+    return MOCK_BARBERS[0];
+  }
+  return null;
+}
+
+function findDay(text) {
+  if (/\btoday\b/.test(text)) return 'today';
+  if (/\btomorrow\b/.test(text)) return 'tomorrow';
+  // "October 21", as sent by the slot picker, wins over the weekday before it
+  const monthDay = text.match(MONTH_DAY_PATTERN);
+  if (monthDay) return `${monthDay[1].charAt(0).toUpperCase()}${monthDay[1].slice(1)} ${parseInt(monthDay[2], 10)}`;
+  const weekday = WEEKDAYS.find((day) => text.includes(day));
+  if (weekday) return weekday.charAt(0).toUpperCase() + weekday.slice(1);
+  const date = text.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+  return date ? date[1] : null;
+}
+
+function findTime(text) {
+  const match = text.match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/);
+  if (!match) return null;
+  return `${parseInt(match[1], 10)}:${match[2] || '00'} ${match[3].toUpperCase()}`;
+}
+
+function findName(original) {
+  // "customer name" is how history summaries word it (see lib/historyBudget)
+  const match = original.match(/\b(?:[Mm]y name is|[Nn]ame's|[Tt]his is|I am|I'm|[Cc]ustomer name)\s+([A-Z][a-z]+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Collect booking facts from every user turn so far
+ * @param {Array} userTurns - User message contents, oldest first
+ * @returns {Object} `{ service, barber, day, time, name }`, each null when unknown
+ */
+export function extractBookingFacts(userTurns) {
+  const facts = { service: null, barber: null, day: null, time: null, name: null };
+
+  for (const content of userTurns) {
+    const text = content.toLowerCase();
+    facts.service = findService(text) || facts.service;
+    facts.barber = findBarber(text) || facts.barber;
+    facts.day = findDay(text) || facts.day;
+    facts.time = findTime(text) || facts.time;
+    facts.name = findName(content) || facts.name;
+  }
+
+  return facts;
+}
+
+function toIsoDate(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Turn a spoken day ("today", "tomorrow", "Friday", "October 21" or an ISO
+ * date) into a date
+ * @param {string|null} day - Day as extracted from the conversation
+ * @param {Date} now - Reference time
+ * @returns {string} - Date as YYYY-MM-DD
+ */
+export function resolveDay(day, now = new Date()) {
+  const date = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const value = (day || 'tomorrow').toLowerCase();
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  if (value === 'tomorrow') date.setDate(date.getDate() + 1);
+
+  const monthDay = value.match(MONTH_DAY_PATTERN);
+  if (monthDay) {
+    // The next such date, rolling over into next year once it has passed
+    const candidate = new Date(date.getFullYear(), MONTHS.indexOf(monthDay[1]), parseInt(monthDay[2], 10));
+    if (candidate < date) candidate.setFullYear(candidate.getFullYear() + 1);
+    return toIsoDate(candidate);
+  }
+
+  const weekday = WEEKDAYS.indexOf(value);
+  if (weekday !== -1) {
+    // The next such weekday, a week out when it is today
+    date.setDate(date.getDate() + ((weekday - date.getDay() + 7) % 7 || 7));
+  }
+
+  return toIsoDate(date);
+}
+
+function toBooking(facts, code) {
+  return {
+    confirmation_code: code,
+    service: facts.service ? { id: facts.service.id, name: facts.service.name } : null,
+    barber: facts.barber ? { id: facts.barber.id, name: facts.barber.name } : null,
+    date: facts.day ? resolveDay(facts.day) : null,
+    time: facts.time,
+    duration: facts.service?.duration ?? null,
+    price: facts.service?.price ?? null,
+    currency: 'USD',
+    location: `${MOCK_SHOP.name}, ${MOCK_SHOP.address}`,
+    customer_name: facts.name,
+  };
+}
+
+function offeredSlots(facts) {
+  const date = resolveDay(facts.day);
+  const toMinutes = (time) => {
+    const [, hours, minutes, meridiem] = time.match(/(\d+):(\d+) (AM|PM)/);
+    return (parseInt(hours, 10) % 12 + (meridiem === 'PM' ? 12 : 0)) * 60 + parseInt(minutes, 10);
+  };
+
+  return [
+    ...MOCK_TIMES.map((time) => ({ date, time, barber: facts.barber.name, available: true })),
+    ...MOCK_TAKEN_TIMES.map((time) => ({ date, time, barber: facts.barber.name, available: false })),
+  ].sort((a, b) => toMinutes(a.time) - toMinutes(b.time));
+}
+
+function confirmationCode(facts) {
+  const seed = [facts.service?.id, facts.barber?.id, facts.day, facts.time, facts.name].join('|');
+  let hash = 0;
+  for (let i = 0; i < seed.length; i++) {
+    hash = (hash * 31 + seed.charCodeAt(i)) >>> 0;
+  }
+  return `BF-${hash.toString(36).toUpperCase().slice(0, 5).padStart(5, '0')}`;
+}
+
+function priceList() {
+  const rows = MOCK_SERVICES
+    .map((service) => `| ${service.name} | ${service.duration} min | $${service.price} |`)
+    .join('\n');
+  return `Here are our prices:\n\n| Service | Duration | Price |\n| --- | --- | --- |\n${rows}\n\nWhat would you like to book?`;
+}
+
+/**
+ * Summarize history for the client's history budget, in one sentence
+ * @param {Array} history - `{ role, content }` messages to summarize
+ * @returns {string}
+ */
+export function getMockSummary(history = []) {
+  const facts = extractBookingFacts(history.filter((msg) => msg.role !== 'assistant').map((msg) => msg.content));
+  const details = [
+    facts.service && `a ${facts.service.name}`,
+    facts.barber && `with ${facts.barber.name}`,
+    facts.day && (/^to(day|morrow)$/.test(facts.day) ? facts.day : `on ${facts.day}`),
+    facts.time && `at ${facts.time}`,
+  ].filter(Boolean);
+
+  return [
+    details.length > 0 ? `The customer is booking ${details.join(' ')}.` : 'The customer has not chosen a service yet.',
+    facts.name && `Their name is ${facts.name}.`,
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Produce the agent reply for a message
+ * @param {string} message - Latest user message
+ * @param {Array} history - Previous `{ role, content }` messages
+ * @returns {{reply: string, facts: Object, stage: string, code: string|null,
+ *   toolCalls: Array, cards: Array}} - `toolCalls` are the agent's tool_call
+ *   events, sent before the reply; `cards` are booking and suggestions
+ *   events sent after it
+ */
+export function getMockReply(message, history = []) {
+  return { toolCalls: [], cards: [], ...buildReply(message, history) };
+}
+
+function buildReply(message, history) {
+  const text = message.toLowerCase();
+  // The assistant note summarizing collapsed history (see lib/historyBudget)
+  // carries the earlier facts
+  const userTurns = [
+    ...history.filter((msg) => msg.role === 'user' || isHistorySummary(msg)).map((msg) => msg.content),
+    message,
+  ];
+  const facts = extractBookingFacts(userTurns);
+  const lastAssistant = [...history].reverse().find((msg) => msg.role === 'assistant');
+  const awaitingConfirmation = lastAssistant?.content.includes('Shall I confirm');
+
+  if (/\bcancel\b/.test(text)) {
+    // "Cancel my Haircut ... (booking BF-1A2B3)" from the appointments panel
+    const code = message.match(/\bBF-[A-Z0-9]{5}\b/i)?.[0].toUpperCase() ?? null;
+    return {
+      stage: 'cancelled',
+      facts,
+      code,
+      toolCalls: [{
+        type: 'tool_call',
+        name: 'cancel_booking',
+        arguments: { customer_name: facts.name, ...(code && { confirmation_code: code }) },
+      }],
+      cards: facts.service || code ? [{ type: 'booking_cancelled', booking: toBooking(facts, code) }] : [],
+      reply: `No problem, your booking${code ? ` ${code}` : ''} has been **cancelled**. Is there anything else I can help you with?`,
+    };
+  }
+
+  if (/\b(price|prices|cost|how much)\b/.test(text)) {
+    return { stage: 'prices', facts, code: null, reply: priceList() };
+  }
+
+  if (/\b(hours|open|close)\b/.test(text)) {
+    return { stage: 'hours', facts, code: null, reply: `We're open ${MOCK_SHOP.hours} at ${MOCK_SHOP.address}.` };
+  }
+
+  if (!facts.service) {
+    const greeting = /^(hi|hello|hey)\b/.test(text) ? `Welcome to ${MOCK_SHOP.name}! ` : '';
+    return {
+      stage: 'service',
+      facts,
+      code: null,
+      cards: [{ type: 'suggestions', suggestions: MOCK_SERVICES.map((service) => service.name) }],
+      reply: `${greeting}What can I book for you today? Haircut, beard trim, or both?`,
+    };
+  }
+
+  if (!facts.barber) {
+    const names = MOCK_BARBERS.map((barber) => barber.name);
+    return {
+      stage: 'barber',
+      facts,
+      code: null,
+      reply: `A **${facts.service.name}** it is. Do you have a barber preference: ${names.slice(0, -1).join(', ')}, or ${names[names.length - 1]}?`,
+    };
+  }
+
+  if (!facts.day || !facts.time) {
+    const day = facts.day || 'tomorrow';
+    const times = MOCK_TIMES.map((time) => `- ${time}`).join('\n');
+    return {
+      stage: 'time',
+      facts,
+      code: null,
+      toolCalls: [{
+        type: 'tool_call',
+        name: 'check_availability',
+        arguments: { service: facts.service.id, barber: facts.barber.id, date: resolveDay(facts.day) },
+      }],
+      cards: [{ type: 'slots_offered', service: facts.service.name, barber: facts.barber.name, slots: offeredSlots(facts) }],
+      reply: `${facts.barber.name} has these openings ${day}:\n\n${times}\n\nWhich time works for you?`,
+    };
+  }
+
+  if (!facts.name) {
+    return {
+      stage: 'name',
+      facts,
+      code: null,
+      reply: 'Great. What name should I put the booking under?',
+    };
+  }
+
+  if (awaitingConfirmation && /\b(yes|yeah|yep|confirm|sure|correct|sounds good)\b/.test(text)) {
+    const code = confirmationCode(facts);
+    const booking = toBooking(facts, code);
+    return {
+      stage: 'confirmed',
+      facts,
+      code,
+      toolCalls: [{
+        type: 'tool_call',
+        name: 'create_booking',
+        arguments: { service: facts.service.id, barber: facts.barber.id, date: booking.date, time: facts.time, customer_name: facts.name },
+      }],
+      cards: [{ type: 'booking_confirmed', booking }],
+      reply: `You're all set, ${facts.name}! Your **${facts.service.name}** with ${facts.barber.name} is booked for ${facts.day} at ${facts.time}. Your confirmation code is **${code}**. See you then!`,
+    };
+  }
+
+  return {
+    stage: 'summary',
+    facts,
+    code: null,
+    reply: `Here's what I have:\n\n- **Service:** ${facts.service.name} ($${facts.service.price}, ${facts.service.duration} min)\n- **Barber:** ${facts.barber.name}\n- **When:** ${facts.day} at ${facts.time}\n- **Name:** ${facts.name}\n\nShall I confirm this booking?`,
+  };
+}
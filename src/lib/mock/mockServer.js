@@ -0,0 +1,228 @@
+/**
+ * Helpers shared by the mock backend route handlers.
+ *
+ * Behaviour is configured with server-side environment variables, and can be
+ * overridden per request with query parameters (handy with curl):
+ * - MOCK_LATENCY_MS / ?latency=    delay before the response starts (default 400)
+ * - MOCK_TOKEN_DELAY_MS / ?tokenDelay=  delay between streamed tokens (default 40)
+ * - MOCK_ERROR_RATE / ?errorRate=  probability (0-1) of failing a request (default 0)
+ * - MOCK_ERROR_STATUS / ?errorStatus=  status used for injected failures (default 503)
+ * - MOCK_STREAM_FORMAT / ?format=  `ndjson` (default) or `sse` for streamed endpoints
+ */
+
+import { SESSION_HEADERS } from '../session';
+
+const encoder = new TextEncoder();
+
+// Uploads smaller than this are treated as silence
+const MIN_AUDIO_BYTES = 1000;
+
+// Replies by client message ID, so a resent message gets the original answer
+const replyCache = new Map();
+const REPLY_CACHE_SIZE = 200;
+
+function readNumber(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== null && value !== '' && Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Resolve the mock configuration for a request
+ * @param {Request} request - Incoming request
+ * @returns {Object} Mock configuration
+ */
+export function getMockConfig(request) {
+  const params = new URL(request.url).searchParams;
+
+  return {
+    latency: readNumber(params.get('latency'), readNumber(process.env.MOCK_LATENCY_MS, 400)),
+    tokenDelay: readNumber(params.get('tokenDelay'), readNumber(process.env.MOCK_TOKEN_DELAY_MS, 40)),
+    errorRate: readNumber(params.get('errorRate'), readNumber(process.env.MOCK_ERROR_RATE, 0)),
+    errorStatus: readNumber(params.get('errorStatus'), readNumber(process.env.MOCK_ERROR_STATUS, 503)),
+    streamFormat: params.get('format') || process.env.MOCK_STREAM_FORMAT || 'ndjson',
+  };
+}
+
+export function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * JSON response in the shape FastAPI would send
+ * @param {*} body - Response body
+ * @param {number} status - HTTP status
+ * @returns {Response}
+ */
+export function jsonResponse(body, status = 200) {
+  return Response.json(body, { status });
+}
+
+/**
+ * FastAPI-style 422 response
+ * @param {Array<string>} loc - Location of the invalid field, e.g. ['body', 'message']
+ * @param {string} msg - Validation message
+ * @returns {Response}
+ */
+export function validationErrorResponse(loc, msg) {
+  return jsonResponse({ detail: [{ loc, msg, type: 'value_error' }] }, 422);
+}
+
+/**
+ * Stream events as NDJSON or SSE, pausing between token events
+ * @param {Array<Object>} events - Events to send
+ * @param {Object} config - Mock configuration
+ * @returns {Response}
+ */
+export function streamResponse(events, config) {
+  const sse = config.streamFormat === 'sse';
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      for (const event of events) {
+        const line = sse
+          ? `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`
+          : `${JSON.stringify(event)}\n`;
+        controller.enqueue(encoder.encode(line));
+        if (event.type === 'token' && config.tokenDelay > 0) {
+          await delay(config.tokenDelay);
+        }
+      }
+      controller.close();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': sse ? 'text/event-stream' : 'application/x-ndjson',
+      'Cache-Control': 'no-cache',
+    },
+  });
+}
+
+/**
+ * Split a reply into word-sized token events followed by a completion event
+ * @param {string} reply - Full reply text
+ * @returns {Array<Object>}
+ */
+export function toTokenEvents(reply) {
+  const tokens = reply.match(/\s*\S+/g) || [];
+  return [
+    ...tokens.map((token) => ({ type: 'token', token })),
+    { type: 'complete', message: reply },
+  ];
+}
+
+/**
+ * Order a mock agent reply as it would stream: tool calls, reply tokens,
+ * booking cards, then the completion event
+ * @param {Object} result - `{ reply, toolCalls, cards }` from getMockReply
+ * @returns {Array<Object>}
+ */
+export function toReplyEvents({ reply, toolCalls = [], cards = [] }) {
+  const tokenEvents = toTokenEvents(reply);
+  return [...toolCalls, ...tokenEvents.slice(0, -1), ...cards, tokenEvents[tokenEvents.length - 1]];
+}
+
+// Echo the client's identity headers so responses can be matched to a conversation
+function echoSessionHeaders(request, response) {
+  [SESSION_HEADERS.SESSION, SESSION_HEADERS.CONVERSATION].forEach((name) => {
+    const value = request.headers.get(name);
+    if (value) {
+      response.headers.set(name, value);
+    }
+  });
+  return response;
+}
+
+/**
+ * Wrap a route handler with the mock behaviour shared by every endpoint:
+ * disabled in production unless ENABLE_MOCK_API is set, simulated latency
+ * and random error injection
+ * @param {Function} handler - `(request, config) => Response`
+ * @returns {Function} Route handler
+ */
+export function withMock(handler) {
+  return async function mockHandler(request) {
+    if (process.env.NODE_ENV === 'production' && process.env.ENABLE_MOCK_API !== 'true') {
+      return jsonResponse({ detail: 'Mock API is disabled' }, 404);
+    }
+
+    const config = getMockConfig(request);
+
+    if (config.latency > 0) {
+      await delay(config.latency);
+    }
+
+    if (config.errorRate > 0 && Math.random() < config.errorRate) {
+      return echoSessionHeaders(
+        request,
+        jsonResponse({ detail: `Injected mock failure (${config.errorStatus})` }, config.errorStatus),
+      );
+    }
+
+    return echoSessionHeaders(request, await handler(request, config));
+  };
+}
+
+function readFormHistory(formData) {
+  const history = formData.get('history');
+  if (!history) return [];
+  try {
+    const parsed = JSON.parse(history);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Read and validate a `/chat` style JSON body
+ * @param {Request} request - Incoming request
+ * @returns {Promise<{message: string, history: Array, clientMessageId: string|null}|{error: Response}>}
+ */
+export async function readChatBody(request) {
+  const body = await request.json().catch(() => null);
+  if (!body || typeof body.message !== 'string' || !body.message.trim()) {
+    return { error: validationErrorResponse(['body', 'message'], 'field required') };
+  }
+  return {
+    message: body.message,
+    history: Array.isArray(body.history) ? body.history : [],
+    clientMessageId: body.client_message_id || request.headers.get('X-Client-Message-Id'),
+  };
+}
+
+/**
+ * Answer a message once per client message ID; duplicates replay the first reply
+ * @param {string|null} clientMessageId - ID sent by the client, if any
+ * @param {Function} produce - Builds the reply
+ * @returns {*} Reply
+ */
+export function dedupeReply(clientMessageId, produce) {
+  if (!clientMessageId) return produce();
+
+  if (!replyCache.has(clientMessageId)) {
+    replyCache.set(clientMessageId, produce());
+    if (replyCache.size > REPLY_CACHE_SIZE) {
+      replyCache.delete(replyCache.keys().next().value);
+    }
+  }
+  return replyCache.get(clientMessageId);
+}
+
+/**
+ * Read and validate a `/voice/*` multipart upload
+ * @param {Request} request - Incoming request
+ * @returns {Promise<{file: File, history: Array}|{error: Response}>}
+ */
+export async function readVoiceUpload(request) {
+  const formData = await request.formData().catch(() => null);
+  const file = formData?.get('file');
+  if (!file || typeof file === 'string') {
+    return { error: validationErrorResponse(['body', 'file'], 'field required') };
+  }
+  if (file.size < MIN_AUDIO_BYTES) {
+    return { error: jsonResponse({ detail: 'Could not understand audio' }, 400) };
+  }
+  return { file, history: readFormHistory(formData) };
+}
@@ -0,0 +1,191 @@
+/**
+ * Offline outbox for text chat messages.
+ *
+ * Messages that could not be sent (offline, backend down) are stored in
+ * IndexedDB with their client message ID and flushed in order once the
+ * backend is reachable again. The client message ID travels with every send
+ * attempt so the backend can drop duplicates. Falls back to memory when
+ * IndexedDB is unavailable.
+ */
+
+import { openDatabase, runInStore } from './indexedDb';
+import { isAbortError } from './errors';
+import { isTransientError } from './retry';
+
+const DB_NAME = 'barber-agent-outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'messages';
+
+function openOutboxDatabase() {
+  return openDatabase({
+    name: DB_NAME,
+    version: DB_VERSION,
+    label: 'Outbox database',
+    upgrade: (db) => {
+      const store = db.createObjectStore(STORE_NAME, { keyPath: 'clientMessageId' });
+      store.createIndex('createdAt', 'createdAt');
+    },
+  });
+}
+
+class Outbox {
+  constructor() {
+    this.dbPromise = null;
+    this.memory = new Map(); // used when IndexedDB is unavailable
+    this.flushPromise = null;
+  }
+
+  /**
+   * Open the database once; resolves to null when falling back to memory
+   * @returns {Promise<IDBDatabase|null>}
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = Outbox.isSupported()
+        ? openOutboxDatabase().catch((err) => {
+          console.warn('Outbox storage unavailable, keeping messages in memory:', err);
+          return null;
+        })
+        : Promise.resolve(null);
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request against the message store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - `(store) => IDBRequest`
+   * @returns {Promise<*>} Request result
+   */
+  async withStore(mode, operation) {
+    return runInStore(await this.open(), STORE_NAME, mode, operation);
+  }
+
+  /**
+   * Queue a message
+   * @param {Object} entry - `{ clientMessageId, content, intent, history }`
+   * @returns {Promise<Object>} Stored entry
+   */
+  async add(entry) {
+    const stored = { attempts: 0, createdAt: Date.now(), ...entry };
+    if (await this.open()) {
+      await this.withStore('readwrite', (store) => store.put(stored));
+    } else {
+      this.memory.set(stored.clientMessageId, stored);
+    }
+    return stored;
+  }
+
+  /**
+   * Get queued messages, oldest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async getAll() {
+    const entries = await this.open()
+      ? await this.withStore('readonly', (store) => store.index('createdAt').getAll())
+      : [...this.memory.values()];
+    return entries.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Update a queued message
+   * @param {string} clientMessageId - Message to update
+   * @param {Object} changes - Fields to merge
+   */
+  async update(clientMessageId, changes) {
+    if (await this.open()) {
+      const entry = await this.withStore('readonly', (store) => store.get(clientMessageId));
+      if (entry) {
+        await this.withStore('readwrite', (store) => store.put({ ...entry, ...changes }));
+      }
+    } else if (this.memory.has(clientMessageId)) {
+      this.memory.set(clientMessageId, { ...this.memory.get(clientMessageId), ...changes });
+    }
+  }
+
+  /**
+   * Remove a message from the queue
+   * @param {string} clientMessageId - Message to remove
+   */
+  async remove(clientMessageId) {
+    if (await this.open()) {
+      await this.withStore('readwrite', (store) => store.delete(clientMessageId));
+    } else {
+      this.memory.delete(clientMessageId);
+    }
+  }
+
+  /**
+   * Drop every queued message
+   */
+  async clear() {
+    if (await this.open()) {
+      await this.withStore('readwrite', (store) => store.clear());
+    } else {
+      this.memory.clear();
+    }
+  }
+
+  /**
+   * Send queued messages in order. Stops at the first transient failure
+   * (the backend is still unreachable) or abort, and keeps that message and
+   * the rest queued; other failures drop the message and are reported.
+   * Concurrent calls share one flush.
+   * @param {Function} send - `(entry) => Promise`, sends one message
+   * @param {Object} callbacks - onSending(entry), onSent(entry) and
+   *   onFailed(entry, error, { willRetry })
+   * @returns {Promise<boolean>} True when the queue was drained
+   */
+  flush(send, callbacks = {}) {
+    if (!this.flushPromise) {
+      this.flushPromise = this.drain(send, callbacks).finally(() => {
+        this.flushPromise = null;
+      });
+    }
+    return this.flushPromise;
+  }
+
+  async drain(send, { onSending = () => {}, onSent = () => {}, onFailed = () => {} }) {
+    // Re-read the queue each time so messages queued mid-flush go out too
+    for (let [entry] = await this.getAll(); entry; [entry] = await this.getAll()) {
+      const attempt = { ...entry, attempts: entry.attempts + 1 };
+      await this.update(entry.clientMessageId, { attempts: attempt.attempts, lastAttemptAt: Date.now() });
+      onSending(attempt);
+
+      try {
+        await send(attempt);
+      } catch (err) {
+        if (isTransientError(err) || isAbortError(err)) {
+          onFailed(attempt, err, { willRetry: true });
+          return false;
+        }
+        await this.remove(entry.clientMessageId);
+        onFailed(attempt, err, { willRetry: false });
+        continue;
+      }
+
+      await this.remove(entry.clientMessageId);
+      onSent(attempt);
+    }
+
+    return true;
+  }
+
+  /**
+   * Check if the browser supports IndexedDB
+   * @returns {boolean} True if supported
+   */
+  static isSupported() {
+    return typeof window !== 'undefined' && 'indexedDB' in window;
+  }
+}
+
+/**
+ * Factory function to create an outbox
+ * @returns {Outbox}
+ */
+export function createOutbox() {
+  return new Outbox();
+}
+
+export default Outbox;
@@ -0,0 +1,343 @@
+/**
+ * Opt-in browser reminders for upcoming appointments.
+ *
+ * Reminders (24 hours and 1 hour before each upcoming appointment) are kept
+ * in IndexedDB, where the service worker in public/reminder-sw.js reads them
+ * and shows the ones that are due. Service workers cannot hold timers while
+ * idle, so the page wakes the worker whenever the schedule changes and when
+ * the next reminder is due; browsers with periodic background sync also wake
+ * it while the app is closed. Notification actions open the text chat with
+ * a reschedule request.
+ *
+ * Without the Notification API, service workers or IndexedDB, or with
+ * notifications denied, reminders stay off and nothing else changes.
+ */
+
+import { APPOINTMENT_STATUS } from './appointments';
+import { openDatabase, runInStore } from './indexedDb';
+import { formatWhen, getStartDate } from '../utils/bookingFormat';
+
+export const REMINDER_STATUS = {
+  UNSUPPORTED: 'unsupported',
+  DENIED: 'denied',
+  OFF: 'off',
+  ON: 'on',
+};
+
+// Minutes before the appointment
+export const REMINDER_OFFSETS = [24 * 60, 60];
+
+// Messages exchanged with the service worker; keep in step with reminder-sw.js
+export const REMINDER_MESSAGES = {
+  CHECK: 'reminders:check',
+  ACTION: 'reminders:action',
+};
+
+export const RESCHEDULE_PARAM = 'reschedule';
+
+const WORKER_URL = '/reminder-sw.js';
+const DB_NAME = 'barber-agent-reminders';
+const DB_VERSION = 1;
+const STORE_NAME = 'reminders';
+const ENABLED_KEY = 'barber.remindersEnabled';
+const PERIODIC_SYNC_TAG = 'appointment-reminders';
+const PERIODIC_SYNC_INTERVAL = 60 * 60 * 1000;
+// setTimeout overflows past ~24.8 days
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+const listeners = new Set();
+let workerPromise = null;
+
+/**
+ * Check whether this browser can show scheduled reminders
+ * @returns {boolean}
+ */
+export function isReminderSupported() {
+  return typeof window !== 'undefined'
+    && 'Notification' in window
+    && 'serviceWorker' in navigator
+    && 'indexedDB' in window;
+}
+
+function isEnabled() {
+  try {
+    return window.localStorage.getItem(ENABLED_KEY) === 'true';
+  } catch (e) {
+    return false;
+  }
+}
+
+function setEnabled(enabled) {
+  try {
+    window.localStorage.setItem(ENABLED_KEY, String(enabled));
+  } catch (e) {
+    // Reminders then stay on for this page view only
+  }
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Current reminder status, one of REMINDER_STATUS
+ * @returns {string}
+ */
+export function getReminderStatus() {
+  if (!isReminderSupported()) return REMINDER_STATUS.UNSUPPORTED;
+  if (Notification.permission === 'denied') return REMINDER_STATUS.DENIED;
+  return Notification.permission === 'granted' && isEnabled() ? REMINDER_STATUS.ON : REMINDER_STATUS.OFF;
+}
+
+/**
+ * Server snapshot for useSyncExternalStore
+ * @returns {string}
+ */
+export function getServerReminderStatus() {
+  return REMINDER_STATUS.OFF;
+}
+
+/**
+ * Listen for status changes. Permission can change in the browser's site
+ * settings, so the status is also re-read when the window regains focus.
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToReminderStatus(listener) {
+  listeners.add(listener);
+  const onStorage = (event) => {
+    if (event.key === ENABLED_KEY) listener();
+  };
+  window.addEventListener('focus', listener);
+  window.addEventListener('storage', onStorage);
+
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('focus', listener);
+    window.removeEventListener('storage', onStorage);
+  };
+}
+
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = navigator.serviceWorker.register(WORKER_URL).catch((err) => {
+      workerPromise = null;
+      throw err;
+    });
+  }
+  return workerPromise;
+}
+
+async function postToWorker(message) {
+  const registration = await getWorker();
+  const worker = registration.active || registration.waiting || registration.installing;
+  // A worker still installing checks for due reminders once it activates
+  worker?.postMessage(message);
+}
+
+async function closeNotifications(appointmentIds = null) {
+  const registration = await getWorker();
+  const shown = await registration.getNotifications();
+  shown
+    .filter((notification) => !appointmentIds || appointmentIds.includes(notification.data?.appointmentId))
+    .forEach((notification) => notification.close());
+}
+
+/**
+ * Ask for notification permission and turn reminders on
+ * @returns {Promise<string>} Resulting status, one of REMINDER_STATUS
+ */
+export async function enableReminders() {
+  if (!isReminderSupported()) return REMINDER_STATUS.UNSUPPORTED;
+
+  const permission = Notification.permission === 'default'
+    ? await Notification.requestPermission()
+    : Notification.permission;
+
+  if (permission === 'granted') {
+    try {
+      const registration = await getWorker();
+      setEnabled(true);
+      // Optional: lets the worker check while the app is closed
+      await registration.periodicSync?.register(PERIODIC_SYNC_TAG, { minInterval: PERIODIC_SYNC_INTERVAL });
+    } catch (err) {
+      console.warn('Reminder setup incomplete:', err);
+    }
+  }
+
+  listeners.forEach((listener) => listener());
+  return getReminderStatus();
+}
+
+/**
+ * Turn reminders off; pending reminders are dropped by the scheduler's clear()
+ */
+export function disableReminders() {
+  setEnabled(false);
+}
+
+function describeLead(minutes) {
+  if (minutes === 24 * 60) return 'tomorrow';
+  if (minutes % 60 === 0) return `in ${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+  return `in ${minutes} minutes`;
+}
+
+/**
+ * Reminders for an appointment, one per REMINDER_OFFSETS entry
+ * @param {Object} appointment - Stored appointment (see lib/appointments)
+ * @returns {Array<Object>} Reminders; empty for cancelled appointments or
+ *   ones without a known start time
+ */
+export function buildReminders(appointment) {
+  const start = getStartDate(appointment);
+  if (!start || appointment.status === APPOINTMENT_STATUS.CANCELLED) return [];
+
+  const what = [appointment.service || 'Your appointment', appointment.barber && `with ${appointment.barber}`]
+    .filter(Boolean)
+    .join(' ');
+
+  return REMINDER_OFFSETS.map((minutes) => ({
+    id: `${appointment.id}|${minutes}`,
+    appointmentId: appointment.id,
+    startAt: start.getTime(),
+    fireAt: start.getTime() - minutes * 60000,
+    title: `Barber appointment ${describeLead(minutes)}`,
+    body: `${what}, ${formatWhen(appointment)}`,
+    delivered: false,
+  }));
+}
+
+function openReminderDatabase() {
+  return openDatabase({
+    name: DB_NAME,
+    version: DB_VERSION,
+    label: 'Reminder database',
+    upgrade: (db) => {
+      const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      store.createIndex('fireAt', 'fireAt');
+    },
+  });
+}
+
+class ReminderScheduler {
+  constructor() {
+    this.dbPromise = null;
+    this.timer = null;
+  }
+
+  async withStore(mode, operation) {
+    if (!this.dbPromise) {
+      this.dbPromise = openReminderDatabase();
+    }
+    return runInStore(await this.dbPromise, STORE_NAME, mode, operation);
+  }
+
+  /**
+   * Bring the stored reminders in line with the appointments: add reminders
+   * for new bookings, move them when a time changes, and drop (and close)
+   * those of cancelled or removed appointments
+   * @param {Array<Object>} appointments - Stored appointments
+   */
+  async sync(appointments) {
+    const now = Date.now();
+    const wanted = new Map(appointments
+      .flatMap(buildReminders)
+      .filter((reminder) => reminder.startAt > now)
+      .map((reminder) => [reminder.id, reminder]));
+    const existing = new Map((await this.withStore('readonly', (store) => store.getAll()))
+      .map((reminder) => [reminder.id, reminder]));
+
+    const stale = [...existing.values()].filter((reminder) => {
+      const next = wanted.get(reminder.id);
+      return !next || next.fireAt !== reminder.fireAt;
+    });
+    // Reminders that were due before the booking was known are skipped
+    const added = [...wanted.values()].filter((reminder) => (
+      (!existing.has(reminder.id) || stale.includes(existing.get(reminder.id))) && reminder.fireAt > now
+    ));
+
+    for (const reminder of stale) {
+      await this.withStore('readwrite', (store) => store.delete(reminder.id));
+    }
+    for (const reminder of added) {
+      await this.withStore('readwrite', (store) => store.put(reminder));
+    }
+    if (stale.length > 0) {
+      await closeNotifications(stale.map((reminder) => reminder.appointmentId));
+    }
+
+    await this.wake();
+  }
+
+  /**
+   * Have the worker show due reminders, then sleep until the next one
+   */
+  async wake() {
+    clearTimeout(this.timer);
+    await postToWorker({ type: REMINDER_MESSAGES.CHECK });
+
+    const pending = (await this.withStore('readonly', (store) => store.getAll()))
+      .filter((reminder) => !reminder.delivered && reminder.fireAt > Date.now());
+    if (pending.length === 0) return;
+
+    const next = Math.min(...pending.map((reminder) => reminder.fireAt));
+    this.timer = setTimeout(() => {
+      this.wake().catch((err) => console.warn('Reminder check failed:', err));
+    }, Math.min(next - Date.now() + 1000, MAX_TIMER_DELAY));
+  }
+
+  /**
+   * Drop every reminder and close any shown
+   */
+  async clear() {
+    this.stop();
+    await this.withStore('readwrite', (store) => store.clear());
+    await closeNotifications();
+  }
+
+  /**
+   * Stop waking the worker from this page
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+/**
+ * Factory function to create a reminder scheduler
+ * @returns {ReminderScheduler}
+ */
+export function createReminderScheduler() {
+  return new ReminderScheduler();
+}
+
+/**
+ * Listen for notification actions: clicks forwarded by the worker, and the
+ * `?reschedule=<appointmentId>` link it opens when no window is open
+ * @param {Function} callback - Called with `{ action, appointmentId }`
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToReminderActions(callback) {
+  if (!isReminderSupported()) return () => {};
+
+  const onMessage = (event) => {
+    if (event.data?.type === REMINDER_MESSAGES.ACTION) {
+      callback({ action: event.data.action, appointmentId: event.data.appointmentId });
+    }
+  };
+  navigator.serviceWorker.addEventListener('message', onMessage);
+
+  const url = new URL(window.location.href);
+  const linked = url.searchParams.get(RESCHEDULE_PARAM);
+  let timer = null;
+  if (linked) {
+    url.searchParams.delete(RESCHEDULE_PARAM);
+    window.history.replaceState(null, '', url);
+    timer = setTimeout(() => callback({ action: 'reschedule', appointmentId: linked }), 0);
+  }
+
+  return () => {
+    clearTimeout(timer);
+    navigator.serviceWorker.removeEventListener('message', onMessage);
+  };
+}
+
+export default ReminderScheduler;
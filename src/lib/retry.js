@@ -0,0 +1,133 @@
+/**
+ * Retry with exponential backoff and jitter for API requests
+ */
+
+import { HttpError, NetworkError, TimeoutError, isAbortError } from './errors';
+
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+
+/**
+ * Default policy for idempotent requests
+ */
+export const DEFAULT_RETRY_POLICY = {
+  retries: 3, // attempts after the first one
+  baseDelay: 1000, // ms before the first retry
+  maxDelay: 15000, // upper bound for a single wait
+  factor: 2, // growth per attempt
+  jitter: 0.5, // fraction of each delay that is randomized
+  retryOn: isTransientError,
+};
+
+/**
+ * Policy for requests that are not idempotent: only retried when the
+ * backend could not be reached, so the request cannot have been processed
+ */
+export const CONNECTION_RETRY_POLICY = {
+  ...DEFAULT_RETRY_POLICY,
+  retries: 2,
+  retryOn: (error) => error instanceof NetworkError,
+};
+
+/**
+ * Check whether an error is worth retrying under the default policy
+ * @param {Error} error - Error from a failed attempt
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+  if (error instanceof NetworkError || error instanceof TimeoutError) {
+    return true;
+  }
+  return error instanceof HttpError && RETRYABLE_STATUSES.includes(error.status);
+}
+
+/**
+ * Merge a user-supplied policy with the defaults
+ * @param {Object|boolean|number} retry - `true`, a retry count, or a partial policy
+ * @returns {Object|null} Full policy, or null when retries are disabled
+ */
+export function resolveRetryPolicy(retry) {
+  if (!retry) return null;
+  if (retry === true) return DEFAULT_RETRY_POLICY;
+  if (typeof retry === 'number') return { ...DEFAULT_RETRY_POLICY, retries: retry };
+  return { ...DEFAULT_RETRY_POLICY, ...retry };
+}
+
+/**
+ * Compute the wait before a retry
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {Object} policy - Resolved retry policy
+ * @param {Error} error - Error that triggered the retry
+ * @returns {number} Delay in ms
+ */
+export function computeBackoff(attempt, policy, error = null) {
+  // Honour Retry-After from 429/503 responses when the server sends it
+  if (error instanceof HttpError && error.retryAfter !== null) {
+    return Math.min(error.retryAfter, policy.maxDelay);
+  }
+
+  const exponential = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt - 1));
+  const jitter = Math.min(Math.max(policy.jitter, 0), 1);
+  return Math.round(exponential * (1 - jitter * Math.random()));
+}
+
+/**
+ * Wait for a delay, rejecting early if the signal aborts
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run an async operation, retrying transient failures
+ * @param {Function} operation - Receives the attempt number (0-based) and returns a promise
+ * @param {Object|null} policy - Resolved retry policy; null runs the operation once
+ * @param {Object} options - Retry options
+ * @param {AbortSignal} [options.signal] - Stops waiting between attempts
+ * @param {Function} [options.onRetry] - Called with `{ attempt, retries, delay, error }` before each wait
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+export async function withRetry(operation, policy, { signal, onRetry } = {}) {
+  let attempt = 0;
+
+  while (true) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      const canRetry = policy
+        && attempt < policy.retries
+        && !isAbortError(error)
+        && !signal?.aborted
+        && policy.retryOn(error);
+
+      if (!canRetry) {
+        throw error;
+      }
+
+      attempt += 1;
+      const delay = computeBackoff(attempt, policy, error);
+      if (onRetry) {
+        onRetry({ attempt, retries: policy.retries, delay, error });
+      }
+      await sleep(delay, signal);
+    }
+  }
+}
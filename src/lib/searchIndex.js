@@ -0,0 +1,262 @@
+/**
+ * Client-side full-text search over saved conversations.
+ *
+ * An inverted index maps each term to the messages containing it. Message
+ * text is reduced to plain text with extractPlainText, so markdown never
+ * matches. The index is built once from the conversation store and then
+ * kept current panel by panel as replies are saved; only messages whose
+ * text changed are re-indexed.
+ *
+ * Queries match every term (AND); the last term also matches as a prefix,
+ * so results show up while typing. Terms are lower-cased, stripped of
+ * accents and of a plural "s", so "kids' haircut prices" finds "kid haircut
+ * price".
+ */
+
+import { extractPlainText } from '../utils/textProcessor';
+
+const SNIPPET_LENGTH = 140;
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Normalize one word into an index term
+ * @param {string} word - Word from a message or query
+ * @returns {string} Term
+ */
+export function normalizeTerm(word) {
+  const term = word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+  return term.length > 3 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term;
+}
+
+/**
+ * Split text into index terms
+ * @param {string} text - Plain text
+ * @returns {Array<string>} Terms, in order, with repeats
+ */
+export function tokenize(text) {
+  return (text.match(/[\p{L}\p{N}]+/gu) || []).map(normalizeTerm);
+}
+
+/**
+ * Cut a snippet around the first hit and mark every hit in it
+ * @param {string} text - Plain message text
+ * @param {Array<string>} terms - Query terms (normalized)
+ * @param {string|null} prefix - Last query term, matched as a prefix
+ * @returns {Array<{text: string, hit: boolean}>} Snippet parts
+ */
+export function createSnippet(text, terms, prefix = null) {
+  const words = [...text.matchAll(/[\p{L}\p{N}]+/gu)];
+  const isHit = (word) => {
+    const term = normalizeTerm(word);
+    return terms.includes(term) || Boolean(prefix && term.startsWith(prefix));
+  };
+  const hits = words.filter((match) => isHit(match[0]));
+
+  const first = hits[0]?.index ?? 0;
+  const start = text.length <= SNIPPET_LENGTH ? 0 : Math.max(0, Math.min(first - 40, text.length - SNIPPET_LENGTH));
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  const parts = [];
+  let cursor = start;
+  for (const match of hits) {
+    const hitEnd = match.index + match[0].length;
+    if (match.index < start || hitEnd > end) continue;
+    if (match.index > cursor) parts.push({ text: text.slice(cursor, match.index), hit: false });
+    parts.push({ text: match[0], hit: true });
+    cursor = hitEnd;
+  }
+  if (cursor < end) parts.push({ text: text.slice(cursor, end), hit: false });
+
+  if (start > 0) parts.unshift({ text: '…', hit: false });
+  if (end < text.length) parts.push({ text: '…', hit: false });
+  return parts;
+}
+
+function panelKey(conversationId, channel) {
+  return `${conversationId}:${channel}`;
+}
+
+class SearchIndex {
+  constructor() {
+    this.postings = new Map(); // term -> Map(docId -> count)
+    this.docs = new Map(); // docId -> indexed message
+    this.panels = new Map(); // panel key -> docIds in message order
+    this.version = 0;
+    this.listeners = new Set();
+    this.subscribe = this.subscribe.bind(this);
+    this.getSnapshot = this.getSnapshot.bind(this);
+    this.snapshot = this.createSnapshot();
+  }
+
+  /**
+   * Listen for index changes, e.g. with useSyncExternalStore
+   * @param {Function} listener - Called after every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Snapshot for useSyncExternalStore: a new object whenever the index
+   * changes, so results computed from it know when to search again
+   * @returns {{version: number, search: Function}} `search` as on the index
+   */
+  getSnapshot() {
+    return this.snapshot;
+  }
+
+  createSnapshot() {
+    return Object.freeze({ version: this.version, search: (query, options) => this.search(query, options) });
+  }
+
+  changed() {
+    this.version += 1;
+    this.snapshot = this.createSnapshot();
+    this.listeners.forEach((listener) => listener());
+  }
+
+  addDoc(doc) {
+    this.docs.set(doc.id, doc);
+    for (const term of doc.terms) {
+      const posting = this.postings.get(term) || new Map();
+      posting.set(doc.id, (posting.get(doc.id) || 0) + 1);
+      this.postings.set(term, posting);
+    }
+  }
+
+  removeDoc(docId) {
+    const doc = this.docs.get(docId);
+    if (!doc) return;
+    for (const term of new Set(doc.terms)) {
+      const posting = this.postings.get(term);
+      posting?.delete(docId);
+      if (posting?.size === 0) this.postings.delete(term);
+    }
+    this.docs.delete(docId);
+  }
+
+  /**
+   * Index a panel's messages, replacing what was indexed for it before.
+   * Unchanged messages are kept as they are.
+   * @param {string} conversationId - Conversation the panel belongs to
+   * @param {string} channel - One of CHANNELS (see lib/session)
+   * @param {Array} messages - The panel's messages
+   * @param {number} updatedAt - Date for messages without their own timestamp
+   */
+  indexPanel(conversationId, channel, messages, updatedAt = Date.now()) {
+    const key = panelKey(conversationId, channel);
+    const previous = this.panels.get(key) || [];
+    const ids = [];
+
+    messages.forEach((message, index) => {
+      const id = `${key}:${index}`;
+      const text = extractPlainText(message.content);
+      const date = message.createdAt ?? message.timestamp ?? updatedAt;
+      const existing = this.docs.get(id);
+      ids.push(id);
+
+      if (existing && existing.text === text) {
+        existing.date = date;
+        return;
+      }
+      this.removeDoc(id);
+      if (text) {
+        this.addDoc({ id, conversationId, channel, index, role: message.role, text, date, terms: tokenize(text) });
+      }
+    });
+
+    previous.slice(messages.length).forEach((id) => this.removeDoc(id));
+    if (ids.length > 0) {
+      this.panels.set(key, ids);
+    } else {
+      this.panels.delete(key);
+    }
+    this.changed();
+  }
+
+  /**
+   * Drop a whole conversation from the index
+   * @param {string} conversationId - Conversation to drop
+   */
+  removeConversation(conversationId) {
+    for (const [key, ids] of this.panels) {
+      if (key.startsWith(`${conversationId}:`)) {
+        ids.forEach((id) => this.removeDoc(id));
+        this.panels.delete(key);
+      }
+    }
+    this.changed();
+  }
+
+  /**
+   * Find messages matching a query
+   * @param {string} query - Free text
+   * @param {Object} filters - `{ channels, from, to, limit }`: channels to
+   *   include (all when empty), and a date range in ms (either end optional)
+   * @returns {Array<Object>} Hits, best first: `{ id, conversationId, channel,
+   *   index, role, date, snippet }` (see createSnippet)
+   */
+  search(query, { channels = [], from = null, to = null, limit = DEFAULT_LIMIT } = {}) {
+    const terms = tokenize(query);
+    if (terms.length === 0) return [];
+
+    // The last term may still be being typed
+    const prefix = /[\p{L}\p{N}]$/u.test(query) ? terms.pop() : null;
+    const lists = terms.map((term) => this.postings.get(term) || new Map());
+    if (prefix) {
+      const matches = new Map();
+      for (const [term, posting] of this.postings) {
+        if (!term.startsWith(prefix)) continue;
+        for (const [docId, count] of posting) {
+          matches.set(docId, (matches.get(docId) || 0) + count);
+        }
+      }
+      lists.push(matches);
+    }
+
+    const [shortest, ...rest] = [...lists].sort((a, b) => a.size - b.size);
+    const hits = [];
+    for (const docId of shortest.keys()) {
+      if (!rest.every((list) => list.has(docId))) continue;
+      const doc = this.docs.get(docId);
+      if (channels.length > 0 && !channels.includes(doc.channel)) continue;
+      if ((from !== null && doc.date < from) || (to !== null && doc.date > to)) continue;
+
+      const score = lists.reduce((sum, list) => sum + list.get(docId), 0);
+      hits.push({ doc, score });
+    }
+
+    return hits
+      .sort((a, b) => b.score - a.score || b.doc.date - a.doc.date)
+      .slice(0, limit)
+      .map(({ doc }) => ({
+        id: doc.id,
+        conversationId: doc.conversationId,
+        channel: doc.channel,
+        index: doc.index,
+        role: doc.role,
+        date: doc.date,
+        snippet: createSnippet(doc.text, terms, prefix),
+      }));
+  }
+
+  /**
+   * Number of indexed messages
+   * @returns {number}
+   */
+  get size() {
+    return this.docs.size;
+  }
+}
+
+/**
+ * Factory function to create a search index
+ * @returns {SearchIndex}
+ */
+export function createSearchIndex() {
+  return new SearchIndex();
+}
+
+export default SearchIndex;
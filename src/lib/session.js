@@ -0,0 +1,269 @@
+/**
+ * Client session and conversation identity shared with the backend.
+ *
+ * - The session ID identifies this browser and never changes.
+ * - The conversation ID identifies the current conversation and is shared by
+ *   the text, voice and call panels. It rotates on "new conversation" and can
+ *   be set to resume an existing conversation.
+ *
+ * Both persist in localStorage and go out with every API request as headers,
+ * and in the call socket's start message, so the backend can keep
+ * server-side memory and logs can correlate a customer's channels.
+ *
+ * Each panel's context mode is kept here too: a shared panel sends the
+ * conversation's whole timeline as history, an isolated one only its own
+ * messages.
+ */
+
+export const SESSION_HEADERS = {
+  SESSION: 'X-Session-Id',
+  CONVERSATION: 'X-Conversation-Id',
+  CHANNEL: 'X-Channel',
+};
+
+export const CHANNELS = {
+  TEXT: 'text',
+  VOICE: 'voice',
+  CALL: 'call',
+};
+
+export const CONTEXT_MODES = {
+  SHARED: 'shared',
+  ISOLATED: 'isolated',
+};
+
+const STORAGE_KEYS = {
+  SESSION: 'barber.sessionId',
+  CONVERSATION: 'barber.conversationId',
+  CONTEXT_MODES: 'barber.contextModes',
+};
+
+const DEFAULT_CONTEXT_MODES = Object.freeze({
+  [CHANNELS.TEXT]: CONTEXT_MODES.SHARED,
+  [CHANNELS.VOICE]: CONTEXT_MODES.SHARED,
+  [CHANNELS.CALL]: CONTEXT_MODES.SHARED,
+});
+
+// Accept IDs we generated as well as the backend's own (UUIDs, slugs)
+const ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+// Fallback when storage is unavailable (SSR, private mode)
+const memory = {};
+const listeners = new Set();
+const contextModeListeners = new Set();
+// Parsed context modes, reused while the stored value is unchanged
+let contextModesCache = { raw: null, modes: DEFAULT_CONTEXT_MODES };
+
+function readStorage(key) {
+  try {
+    return window.localStorage.getItem(key) ?? memory[key] ?? null;
+  } catch (e) {
+    return memory[key] ?? null;
+  }
+}
+
+function writeStorage(key, value) {
+  memory[key] = value;
+  try {
+    window.localStorage.setItem(key, value);
+  } catch (e) {
+    // Keep the in-memory copy
+  }
+}
+
+/**
+ * Generate a random identifier
+ * @param {string} prefix - Readable prefix, e.g. "conv"
+ * @returns {string}
+ */
+export function generateId(prefix) {
+  const random = typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+  return `${prefix}_${random}`;
+}
+
+/**
+ * Check whether a string can be used as a session or conversation ID
+ * @param {string} id - Candidate ID
+ * @returns {boolean}
+ */
+export function isValidId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+function readOrCreate(key, prefix) {
+  const stored = readStorage(key);
+  if (isValidId(stored)) {
+    return stored;
+  }
+  const id = generateId(prefix);
+  writeStorage(key, id);
+  return id;
+}
+
+/**
+ * Get this browser's session ID, creating it on first use
+ * @returns {string}
+ */
+export function getSessionId() {
+  return readOrCreate(STORAGE_KEYS.SESSION, 'sess');
+}
+
+/**
+ * Get the current conversation ID, creating one on first use
+ * @returns {string}
+ */
+export function getConversationId() {
+  return readOrCreate(STORAGE_KEYS.CONVERSATION, 'conv');
+}
+
+function setConversationId(id) {
+  writeStorage(STORAGE_KEYS.CONVERSATION, id);
+  listeners.forEach((listener) => listener(id, { fromOtherTab: false }));
+}
+
+/**
+ * Rotate to a fresh conversation
+ * @returns {string} New conversation ID
+ */
+export function startNewConversation() {
+  const id = generateId('conv');
+  setConversationId(id);
+  return id;
+}
+
+/**
+ * Resume an existing conversation
+ * @param {string} id - Conversation ID to resume
+ * @returns {string} The resumed ID
+ * @throws {Error} When the ID is malformed
+ */
+export function resumeConversation(id) {
+  const trimmed = typeof id === 'string' ? id.trim() : id;
+  if (!isValidId(trimmed)) {
+    throw new Error('Invalid conversation ID');
+  }
+  if (trimmed !== readStorage(STORAGE_KEYS.CONVERSATION)) {
+    setConversationId(trimmed);
+  }
+  return trimmed;
+}
+
+/**
+ * Listen for conversation changes, including those made in other tabs.
+ * Every tab shares the stored ID, so a change in another tab also changes
+ * the ID this tab sends with its requests.
+ * @param {Function} listener - Called with the new conversation ID and
+ *   `{ fromOtherTab }`
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToConversation(listener) {
+  listeners.add(listener);
+
+  const onStorage = (event) => {
+    if (event.key === STORAGE_KEYS.CONVERSATION && isValidId(event.newValue)) {
+      memory[event.key] = event.newValue;
+      listener(event.newValue, { fromOtherTab: true });
+    }
+  };
+  if (typeof window !== 'undefined') {
+    window.addEventListener('storage', onStorage);
+  }
+
+  return () => {
+    listeners.delete(listener);
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('storage', onStorage);
+    }
+  };
+}
+
+function parseContextModes(raw) {
+  let stored = {};
+  try {
+    stored = JSON.parse(raw) || {};
+  } catch (e) {
+    // Unreadable: fall back to the defaults
+  }
+  const modes = { ...DEFAULT_CONTEXT_MODES };
+  for (const channel of Object.keys(modes)) {
+    if (Object.values(CONTEXT_MODES).includes(stored[channel])) {
+      modes[channel] = stored[channel];
+    }
+  }
+  return modes;
+}
+
+/**
+ * Get each panel's context mode
+ * @returns {Object} One of CONTEXT_MODES per channel; the same object until
+ *   a mode changes, as useSyncExternalStore needs
+ */
+export function getContextModes() {
+  const raw = readStorage(STORAGE_KEYS.CONTEXT_MODES);
+  if (raw !== contextModesCache.raw) {
+    contextModesCache = { raw, modes: parseContextModes(raw) };
+  }
+  return contextModesCache.modes;
+}
+
+/**
+ * Server snapshot for useSyncExternalStore: every panel shared
+ * @returns {Object}
+ */
+export function getServerContextModes() {
+  return DEFAULT_CONTEXT_MODES;
+}
+
+/**
+ * Set a panel's context mode
+ * @param {string} channel - One of CHANNELS
+ * @param {string} mode - One of CONTEXT_MODES
+ */
+export function setContextMode(channel, mode) {
+  writeStorage(STORAGE_KEYS.CONTEXT_MODES, JSON.stringify({ ...getContextModes(), [channel]: mode }));
+  contextModeListeners.forEach((listener) => listener());
+}
+
+/**
+ * Listen for context mode changes, including those made in other tabs
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToContextModes(listener) {
+  contextModeListeners.add(listener);
+
+  const onStorage = (event) => {
+    if (event.key === STORAGE_KEYS.CONTEXT_MODES) {
+      memory[event.key] = event.newValue;
+      listener();
+    }
+  };
+  window.addEventListener('storage', onStorage);
+
+  return () => {
+    contextModeListeners.delete(listener);
+    window.removeEventListener('storage', onStorage);
+  };
+}
+
+/**
+ * Identity headers for an API request
+ * @param {string} [channel] - One of CHANNELS
+ * @returns {Object} Headers; empty when rendering on the server
+ */
+export function getSessionHeaders(channel) {
+  if (typeof window === 'undefined') {
+    return {};
+  }
+
+  const headers = {
+    [SESSION_HEADERS.SESSION]: getSessionId(),
+    [SESSION_HEADERS.CONVERSATION]: getConversationId(),
+  };
+  if (channel) {
+    headers[SESSION_HEADERS.CHANNEL] = channel;
+  }
+  return headers;
+}
@@ -0,0 +1,244 @@
+/**
+ * Incremental parsers for streamed API responses.
+ *
+ * The backend streams chat replies either as newline-delimited JSON
+ * (`application/x-ndjson`) or as server-sent events (`text/event-stream`).
+ * Network reads do not respect line boundaries, so every parser here carries
+ * partial input between chunks and flushes whatever is left at end of stream,
+ * except a cut-off server-sent event.
+ */
+
+export const STREAM_FORMATS = {
+  NDJSON: 'ndjson',
+  SSE: 'sse',
+};
+
+/**
+ * Pick a stream format from a Content-Type header
+ * @param {string|null} contentType - Response Content-Type header
+ * @returns {string} One of STREAM_FORMATS
+ */
+export function detectStreamFormat(contentType) {
+  if (contentType && contentType.toLowerCase().includes('text/event-stream')) {
+    return STREAM_FORMATS.SSE;
+  }
+  return STREAM_FORMATS.NDJSON;
+}
+
+/**
+ * Turn a ReadableStream (or any async iterable of chunks) into an async iterator
+ * @param {ReadableStream|AsyncIterable} source - Byte or string source
+ * @returns {AsyncGenerator<Uint8Array|string>}
+ */
+export async function* readChunks(source) {
+  if (source && typeof source.getReader === 'function') {
+    const reader = source.getReader();
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        yield value;
+      }
+    } finally {
+      reader.releaseLock();
+    }
+    return;
+  }
+
+  for await (const chunk of source) {
+    yield chunk;
+  }
+}
+
+/**
+ * Split a chunk stream into lines, carrying partial lines between reads.
+ * Accepts `\n`, `\r\n` and bare `\r` terminators, as required for SSE.
+ * @param {AsyncIterable<Uint8Array|string>} chunks - Raw chunks
+ * @returns {AsyncGenerator<string>} Complete lines without terminators
+ */
+export async function* decodeLines(chunks) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  // A chunk ending in '\r' may be the first half of a '\r\n' pair
+  let pendingCR = false;
+
+  for await (const chunk of chunks) {
+    let text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    if (!text) continue;
+
+    if (pendingCR && text[0] === '\n') {
+      text = text.slice(1);
+    }
+    pendingCR = false;
+    buffer += text;
+
+    let match;
+    const lineBreak = /\r\n|\r|\n/g;
+    let start = 0;
+    while ((match = lineBreak.exec(buffer)) !== null) {
+      if (match[0] === '\r' && match.index === buffer.length - 1) {
+        pendingCR = true;
+      }
+      yield buffer.slice(start, match.index);
+      start = match.index + match[0].length;
+    }
+    buffer = buffer.slice(start);
+  }
+
+  // Flush any bytes held back by the decoder, then the final unterminated line
+  buffer += decoder.decode();
+  if (buffer) {
+    yield buffer;
+  }
+}
+
+/**
+ * Parse newline-delimited JSON
+ * @param {AsyncIterable<string>} lines - Decoded lines
+ * @returns {AsyncGenerator<Object>} Parsed JSON values; invalid lines are skipped
+ */
+export async function* parseNDJSON(lines) {
+  for await (const line of lines) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+
+    try {
+      yield JSON.parse(trimmed);
+    } catch (e) {
+      console.warn('Skipping invalid NDJSON line:', trimmed);
+    }
+  }
+}
+
+/**
+ * Parse server-sent event framing (https://html.spec.whatwg.org/#event-stream-interpretation).
+ * An event still missing its closing blank line at end of stream was cut
+ * off and is discarded, as the spec requires.
+ * @param {AsyncIterable<string>} lines - Decoded lines
+ * @returns {AsyncGenerator<{event: string, data: string, id: string|null, lastEventId: string|null,
+ *   retry: number|null}>} `id` is set only when the event itself has one;
+ *   `lastEventId` carries over between events, as for reconnecting
+ */
+export async function* parseSSE(lines) {
+  let event = '';
+  let dataLines = [];
+  let id = null;
+  let lastEventId = null;
+  let retry = null;
+
+  const dispatch = () => {
+    if (dataLines.length === 0) {
+      event = '';
+      id = null;
+      return null;
+    }
+    const message = {
+      event: event || 'message',
+      data: dataLines.join('\n'),
+      id,
+      lastEventId,
+      retry,
+    };
+    event = '';
+    dataLines = [];
+    id = null;
+    return message;
+  };
+
+  for await (const line of lines) {
+    if (line === '') {
+      const message = dispatch();
+      if (message) yield message;
+      continue;
+    }
+
+    // Comment line, used by servers as a keep-alive
+    if (line.startsWith(':')) continue;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    switch (field) {
+      case 'event':
+        event = value;
+        break;
+      case 'data':
+        dataLines.push(value);
+        break;
+      case 'id':
+        if (!value.includes('\0')) {
+          id = value;
+          lastEventId = value;
+        }
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) {
+          retry = parseInt(value, 10);
+        }
+        break;
+      default:
+        // Unknown fields are ignored per spec
+        break;
+    }
+  }
+}
+
+/**
+ * Convert an SSE message into the same event shape as an NDJSON line.
+ * JSON payloads are parsed; the SSE event name fills in a missing `type`,
+ * and an event's own SSE id goes in `eventId`, apart from the payload's fields.
+ * @param {Object} message - Message produced by parseSSE
+ * @returns {Object|null} Stream event, or null for the `[DONE]` sentinel
+ */
+export function sseMessageToEvent(message) {
+  if (message.data === '[DONE]') {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(message.data);
+  } catch (e) {
+    payload = { data: message.data };
+  }
+
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    payload = { data: payload };
+  }
+
+  if (!payload.type && message.event !== 'message') {
+    payload = { ...payload, type: message.event };
+  }
+  if (message.id !== null && message.id !== undefined && payload.eventId === undefined) {
+    payload = { ...payload, eventId: message.id };
+  }
+
+  return payload;
+}
+
+/**
+ * Parse a streamed response body into event objects, whatever its framing
+ * @param {ReadableStream|AsyncIterable} source - Response body or chunk iterable
+ * @param {Object} options - Parser options
+ * @param {string} [options.format] - One of STREAM_FORMATS
+ * @param {string} [options.contentType] - Used to detect the format when none is given
+ * @returns {AsyncGenerator<Object>} Stream events such as `{ type: 'token', token }`
+ */
+export async function* parseEventStream(source, options = {}) {
+  const format = options.format || detectStreamFormat(options.contentType);
+  const lines = decodeLines(readChunks(source));
+
+  if (format === STREAM_FORMATS.SSE) {
+    for await (const message of parseSSE(lines)) {
+      const event = sseMessageToEvent(message);
+      if (event) yield event;
+    }
+    return;
+  }
+
+  yield* parseNDJSON(lines);
+}
@@ -0,0 +1,111 @@
+// Run with `npm test` (node:test). Network reads can split a stream
+// anywhere, so every case is fed in every two-chunk split, one character at
+// a time, and as bytes split inside multi-byte characters.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { STREAM_FORMATS, decodeLines, parseEventStream } from './streamParser.js';
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+// Every way of cutting `text` into chunks that a test should survive
+function chunkings(text) {
+  const splits = [];
+  for (let i = 0; i <= text.length; i++) {
+    splits.push([text.slice(0, i), text.slice(i)]);
+  }
+  splits.push([...text]);
+
+  const bytes = new TextEncoder().encode(text);
+  for (let i = 1; i < bytes.length; i++) {
+    splits.push([bytes.slice(0, i), bytes.slice(i)]);
+  }
+  splits.push([...bytes].map((byte) => Uint8Array.of(byte)));
+  return splits;
+}
+
+async function assertEveryChunking(text, format, expected) {
+  for (const chunks of chunkings(text)) {
+    const events = await collect(parseEventStream(chunks, { format }));
+    assert.deepEqual(events, expected, `chunks: ${JSON.stringify(chunks.map((chunk) => String(chunk)))}`);
+  }
+}
+
+describe('decodeLines', () => {
+  it('treats CRLF split between chunks as one line break', async () => {
+    assert.deepEqual(await collect(decodeLines(['a\r', '\nb\r', '\n'])), ['a', 'b']);
+  });
+
+  it('accepts bare CR and LF terminators', async () => {
+    assert.deepEqual(await collect(decodeLines(['a\rb\nc'])), ['a', 'b', 'c']);
+  });
+
+  it('keeps an empty line after a CR that ends a chunk', async () => {
+    assert.deepEqual(await collect(decodeLines(['a\r', '\r', 'b'])), ['a', '', 'b']);
+  });
+});
+
+describe('NDJSON', () => {
+  const events = [
+    { type: 'token', token: 'Hé' },
+    { type: 'token', token: '✂️ done' },
+    { type: 'complete', message: 'Hé✂️ done' },
+  ];
+
+  it('parses lines split anywhere', async () => {
+    const text = `${events.map((event) => JSON.stringify(event)).join('\n')}\n`;
+    await assertEveryChunking(text, STREAM_FORMATS.NDJSON, events);
+  });
+
+  it('parses CRLF lines split anywhere, including a final unterminated one', async () => {
+    const text = events.map((event) => JSON.stringify(event)).join('\r\n');
+    await assertEveryChunking(text, STREAM_FORMATS.NDJSON, events);
+  });
+});
+
+describe('SSE', () => {
+  it('parses events split anywhere, with any line terminator', async () => {
+    const expected = [
+      { type: 'token', token: 'Hé' },
+      { type: 'booking_confirmed', code: 'BF-1A2B3' },
+      { data: 'line one\nline two' },
+    ];
+    const body = [
+      ': keep-alive',
+      '',
+      'data: {"type":"token","token":"Hé"}',
+      '',
+      'event: booking_confirmed',
+      'data: {"code":"BF-1A2B3"}',
+      '',
+      'data: line one',
+      'data: line two',
+      '',
+      'data: [DONE]',
+      '',
+      '',
+    ];
+    for (const terminator of ['\n', '\r\n', '\r']) {
+      await assertEveryChunking(body.join(terminator), STREAM_FORMATS.SSE, expected);
+    }
+  });
+
+  it('discards an event cut off before its closing blank line', async () => {
+    const text = 'data: {"type":"token","token":"a"}\r\n\r\ndata: {"type":"complete","message":"a';
+    await assertEveryChunking(text, STREAM_FORMATS.SSE, [{ type: 'token', token: 'a' }]);
+  });
+
+  it('reports an event id as eventId, only on the event that has one', async () => {
+    const text = 'id: 7\ndata: {"id":"msg-1","type":"token","token":"a"}\n\ndata: {"type":"token","token":"b"}\n\n';
+    await assertEveryChunking(text, STREAM_FORMATS.SSE, [
+      { id: 'msg-1', type: 'token', token: 'a', eventId: '7' },
+      { type: 'token', token: 'b' },
+    ]);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Display helpers for bookings and offered slots
+ */
+
+/**
+ * Parse a booking or slot start time
+ * @param {Object} item - Booking or slot with `start`, `date` and `time`
+ * @returns {Date|null} - Start time, or null when it cannot be determined
+ */
+export function getStartDate(item) {
+  if (!item) return null;
+
+  if (item.start) {
+    const start = new Date(item.start);
+    if (!Number.isNaN(start.getTime())) return start;
+  }
+
+  if (item.date && /^\d{4}-\d{2}-\d{2}$/.test(item.date)) {
+    const [hours, minutes] = parseClockTime(item.time) || [0, 0];
+    const [year, month, day] = item.date.split('-').map(Number);
+    return new Date(year, month - 1, day, hours, minutes);
+  }
+
+  return null;
+}
+
+/**
+ * Parse "3:30 PM", "15:30" or "3pm" into hours and minutes
+ * @param {string} time - Clock time
+ * @returns {number[]|null} - `[hours, minutes]` in 24-hour time
+ */
+export function parseClockTime(time) {
+  if (!time || typeof time !== 'string') return null;
+
+  const match = time.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3]?.toLowerCase();
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+
+  return hours < 24 && minutes < 60 ? [hours, minutes] : null;
+}
+
+/**
+ * Format a price for display
+ * @param {number|string|null} price - Price amount
+ * @param {string} currency - ISO currency code
+ * @returns {string} - Formatted price, or an empty string when unknown
+ */
+export function formatPrice(price, currency = 'USD') {
+  if (price === null || price === undefined || price === '') return '';
+
+  const amount = Number(String(price).replace(/[^0-9.]/g, ''));
+  if (Number.isNaN(amount)) return String(price);
+
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+  } catch (e) {
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+}
+
+/**
+ * Describe when a booking or slot takes place, e.g. "Tue, Mar 4, 3:30 PM"
+ * @param {Object} item - Booking or slot
+ * @returns {string} - Human-readable date and time
+ */
+export function formatWhen(item) {
+  const start = getStartDate(item);
+  if (start) {
+    return start.toLocaleString(undefined, {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+    });
+  }
+
+  return [item?.date, item?.time].filter(Boolean).join(' at ');
+}
+
+/**
+ * Format just the time of day of a slot, e.g. "3:30 PM"
+ * @param {Object} slot - Offered slot
+ * @returns {string} - Time label
+ */
+export function formatSlotTime(slot) {
+  const start = getStartDate(slot);
+  if (start && (slot.start || slot.time)) {
+    return start.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+  }
+  return slot?.time || formatWhen(slot);
+}
+
+/**
+ * Format the day of a booking or slot, e.g. "Tue, Mar 4"
+ * @param {Object} item - Booking or slot
+ * @returns {string} - Day label
+ */
+export function formatDay(item) {
+  const start = getStartDate(item);
+  if (start) {
+    return start.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+  }
+  return item?.date || '';
+}
+
+/**
+ * Key that groups slots by calendar day
+ * @param {Object} slot - Offered slot
+ * @returns {string} - YYYY-MM-DD, or the raw date label when unparseable
+ */
+export function getDayKey(slot) {
+  const start = getStartDate(slot);
+  if (!start) return slot?.date || '';
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}`;
+}
+
+/**
+ * Check whether a slot has already started
+ * @param {Object} slot - Offered slot
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+export function isSlotPast(slot, now) {
+  const start = getStartDate(slot);
+  return Boolean(start && (slot.start || slot.time) && start.getTime() <= now);
+}
+
+function describeLongWhen(item) {
+  const start = getStartDate(item);
+  const day = start
+    ? start.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })
+    : item.date;
+  const time = start && (item.start || item.time)
+    ? start.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
+    : item.time;
+  return [day, time].filter(Boolean).join(' at ');
+}
+
+/**
+ * Word a slot choice as a message to the agent
+ * @param {Object} slot - Chosen slot
+ * @param {Object} [offer] - The slots_offered card it came from
+ * @returns {string} - e.g. "I'll take Tuesday, March 4 at 3:30 PM with Marco, please."
+ */
+export function describeSlotChoice(slot, offer = {}) {
+  const barber = slot.barber || offer.barber;
+  const service = offer.service ? ` for the ${offer.service}` : '';
+
+  return `I'll take ${describeLongWhen(slot)}${barber ? ` with ${barber}` : ''}${service}, please.`;
+}
+
+/**
+ * Word a request to change an existing booking, referencing its code
+ * @param {string} action - 'reschedule' or 'cancel'
+ * @param {Object} booking - Stored appointment
+ * @returns {string} - e.g. "Please cancel my Haircut with Marco on Tuesday,
+ *   March 4 at 3:30 PM (booking BF-1A2B3)." Reschedule requests end open so
+ *   the customer can add the new time.
+ */
+export function describeBookingRequest(action, booking) {
+  const what = [
+    booking.service || 'appointment',
+    booking.barber && `with ${booking.barber}`,
+  ].filter(Boolean).join(' ');
+  const when = describeLongWhen(booking);
+  const code = booking.confirmationCode || booking.bookingId;
+  const summary = `my ${what}${when ? ` on ${when}` : ''}${code ? ` (booking ${code})` : ''}`;
+
+  return action === 'cancel'
+    ? `Please cancel ${summary}.`
+    : `I'd like to reschedule ${summary} to `;
+}
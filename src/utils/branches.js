@@ -0,0 +1,69 @@
+/**
+ * Pure helpers for conversation branches in a panel's message list.
+ *
+ * The list always holds the branch being shown. Editing a user message (or
+ * regenerating its reply) starts a new branch at that message: the old
+ * continuation, from the message to the end of the list, is kept on the new
+ * message as an alternate. Branch points record every continuation in
+ * `branches`, with `branch` the index of the one shown; its own slot is null
+ * because the list itself holds it.
+ */
+
+function withoutBranches({ branches, branch, ...message }) {
+  return message;
+}
+
+/**
+ * Number of branches at a message
+ * @param {Object} message - Chat message
+ * @returns {number} 1 when the message is not a branch point
+ */
+export function countBranches(message) {
+  return message.branches?.length ?? 1;
+}
+
+// Continuations at a branch point, with the one shown filled in from the list
+function collectBranches(messages, index) {
+  const point = messages[index];
+  const current = messages.slice(index).map((msg, i) => (i === 0 ? withoutBranches(msg) : msg));
+  const active = point.branch ?? 0;
+  return (point.branches ?? [null]).map((tail, i) => (i === active ? current : tail));
+}
+
+/**
+ * Start a new branch at a user message: the list is cut there and ends with
+ * the replacement, which keeps the old continuation as an alternate
+ * @param {Array} messages - Message list
+ * @param {number} index - Index of the user message being replaced
+ * @param {Object} message - The edited user message
+ * @returns {Array} Updated list; the reply to `message` still has to be added
+ */
+export function branchAt(messages, index, message) {
+  const branches = collectBranches(messages, index);
+  return [
+    ...messages.slice(0, index),
+    { ...withoutBranches(message), branches: [...branches, null], branch: branches.length },
+  ];
+}
+
+/**
+ * Show another branch at a branch point
+ * @param {Array} messages - Message list
+ * @param {number} index - Index of the branch point
+ * @param {number} target - Branch to show
+ * @returns {Array} Updated list
+ */
+export function switchBranch(messages, index, target) {
+  const point = messages[index];
+  if (!point?.branches || target === point.branch || !point.branches[target]) {
+    return messages;
+  }
+
+  const branches = collectBranches(messages, index);
+  const [head, ...rest] = branches[target];
+  return [
+    ...messages.slice(0, index),
+    { ...head, branches: branches.map((tail, i) => (i === target ? null : tail)), branch: target },
+    ...rest,
+  ];
+}
@@ -0,0 +1,16 @@
+/**
+ * Save content as a file in the browser
+ * @param {string} content - File content
+ * @param {string} fileName - Download file name
+ * @param {string} type - MIME type
+ */
+export function downloadFile(content, fileName, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,17 @@
+/**
+ * How a summary of collapsed history is marked (see lib/historyBudget).
+ * Kept free of imports so the mock backend can use it under plain Node too.
+ */
+
+// Opens every summary message, so a backend (or the mock) can tell it apart
+export const SUMMARY_MARKER = 'Summary of earlier messages in this conversation';
+
+/**
+ * Check whether a message is a summary of collapsed history
+ * @param {Object} message - `{ role, content }` message
+ * @returns {boolean}
+ */
+export function isHistorySummary(message) {
+  return message.role === 'assistant' && typeof message.content === 'string'
+    && message.content.startsWith(SUMMARY_MARKER);
+}
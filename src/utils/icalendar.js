@@ -0,0 +1,323 @@
+/**
+ * iCalendar (RFC 5545) export for bookings
+ */
+
+import { formatPrice, getStartDate } from './bookingFormat';
+import { downloadFile } from './download';
+
+const CRLF = '\r\n';
+const PRODUCT_ID = '-//Barber Booking Agent//Appointments//EN';
+const UID_DOMAIN = 'barber-booking-agent';
+const DEFAULT_DURATION = 30; // minutes, when the booking does not say
+const DEFAULT_ALARM = 60; // minutes before the appointment
+const DAY = 24 * 60 * 60 * 1000;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+function utf8Length(char) {
+  const codePoint = char.codePointAt(0);
+  if (codePoint < 0x80) return 1;
+  if (codePoint < 0x800) return 2;
+  if (codePoint < 0x10000) return 3;
+  return 4;
+}
+
+/**
+ * Escape a TEXT property value: backslashes, semicolons, commas and newlines
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into lines of at most 75 octets, continuation lines
+ * starting with a space. Never splits a multi-byte UTF-8 character.
+ * @param {string} line - Unfolded content line
+ * @returns {string} - Folded line, joined with CRLF
+ */
+export function foldLine(line) {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = utf8Length(char);
+    // Continuation lines spend one octet on the leading space
+    const limit = lines.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      lines.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+
+  return lines.join(`${CRLF} `);
+}
+
+/**
+ * Format an instant as a UTC date-time, e.g. "20250304T153000Z"
+ * @param {Date} date - Instant
+ * @returns {string}
+ */
+export function formatUtcDateTime(date) {
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`
+    + `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+const formatters = new Map();
+
+function getZonedParts(date, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+
+  const parts = {};
+  formatters.get(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  return parts;
+}
+
+function getOffsetMinutes(date, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Format an instant as wall-clock time in a time zone, e.g. "20250304T153000"
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string}
+ */
+export function formatLocalDateTime(date, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  return `${pad(year, 4)}${pad(month)}${pad(day)}T${pad(hour)}${pad(minute)}${pad(second)}`;
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}`;
+}
+
+/**
+ * The browser's time zone, or UTC when it cannot be determined
+ * @returns {string} - IANA time zone
+ */
+export function getLocalTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (e) {
+    return 'UTC';
+  }
+}
+
+function isSupportedTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Offset changes (DST) in a year, found day by day and then to the minute
+function findTransitions(year, timeZone) {
+  const transitions = [];
+  let previous = Date.UTC(year, 0, 1);
+  let previousOffset = getOffsetMinutes(new Date(previous), timeZone);
+
+  for (let time = previous + DAY; time <= Date.UTC(year + 1, 0, 1); time += DAY) {
+    const offset = getOffsetMinutes(new Date(time), timeZone);
+    if (offset !== previousOffset) {
+      let low = previous;
+      let high = time;
+      while (high - low > 60000) {
+        const middle = low + Math.floor((high - low) / 120000) * 60000;
+        if (getOffsetMinutes(new Date(middle), timeZone) === previousOffset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      transitions.push({ at: high, from: previousOffset, to: offset });
+    }
+    previous = time;
+    previousOffset = offset;
+  }
+
+  return transitions;
+}
+
+function observance(start, from, to, isDaylight) {
+  const type = isDaylight ? 'DAYLIGHT' : 'STANDARD';
+  return [
+    `BEGIN:${type}`,
+    // Observance start is local time in the offset in use before it
+    `DTSTART:${formatUtcDateTime(new Date(start + from * 60000)).slice(0, -1)}`,
+    `TZOFFSETFROM:${formatOffset(from)}`,
+    `TZOFFSETTO:${formatOffset(to)}`,
+    `END:${type}`,
+  ];
+}
+
+/**
+ * VTIMEZONE component covering the years of the given dates
+ * @param {string} timeZone - IANA time zone
+ * @param {Array<Date>} dates - Event start and end times
+ * @returns {Array<string>} - Content lines
+ */
+export function buildTimeZone(timeZone, dates) {
+  const years = dates.map((date) => getZonedParts(date, timeZone).year);
+  const firstYear = Math.min(...years);
+  const lastYear = Math.max(...years);
+
+  const transitions = [];
+  for (let year = firstYear; year <= lastYear; year++) {
+    transitions.push(...findTransitions(year, timeZone));
+  }
+
+  const yearStart = Date.UTC(firstYear, 0, 1);
+  const baseOffset = getOffsetMinutes(new Date(yearStart), timeZone);
+  const standardOffset = Math.min(baseOffset, ...transitions.map((transition) => transition.to));
+
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    // Offset in effect from local midnight on January 1st
+    ...observance(yearStart - baseOffset * 60000, baseOffset, baseOffset, baseOffset > standardOffset),
+    ...transitions.flatMap(({ at, from, to }) => observance(at, from, to, to > standardOffset)),
+    'END:VTIMEZONE',
+  ];
+}
+
+function eventTimes(booking) {
+  const start = getStartDate(booking);
+  if (!start) return null;
+  const duration = Number(booking.duration) || DEFAULT_DURATION;
+  return { start, end: new Date(start.getTime() + duration * 60000) };
+}
+
+function describeBooking(booking) {
+  return [
+    booking.service && `Service: ${booking.service}`,
+    booking.barber && `Barber: ${booking.barber}`,
+    booking.duration && `Duration: ${booking.duration} min`,
+    booking.price !== null && booking.price !== undefined && `Price: ${formatPrice(booking.price, booking.currency)}`,
+    (booking.confirmationCode || booking.bookingId) && `Confirmation code: ${booking.confirmationCode || booking.bookingId}`,
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * VEVENT component for a booking
+ * @param {Object} booking - Booking card or stored appointment
+ * @param {Object} options - `{ timeZone, alarmMinutes, now }`
+ * @returns {Array<string>|null} - Content lines, or null when the start time is unknown
+ */
+export function buildEvent(booking, { timeZone = 'UTC', alarmMinutes = DEFAULT_ALARM, now = new Date() } = {}) {
+  const times = eventTimes(booking);
+  if (!times) return null;
+
+  const id = booking.confirmationCode || booking.bookingId || booking.id
+    || `${formatUtcDateTime(times.start)}-${booking.service || 'appointment'}`.replace(/\s+/g, '-');
+  const cancelled = booking.status === 'cancelled' || booking.type === 'booking_cancelled';
+  const summary = [booking.service || 'Barber appointment', booking.barber && `with ${booking.barber}`]
+    .filter(Boolean)
+    .join(' ');
+  const dateTime = (name, date) => (timeZone === 'UTC'
+    ? `${name}:${formatUtcDateTime(date)}`
+    : `${name};TZID=${timeZone}:${formatLocalDateTime(date, timeZone)}`);
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${escapeText(id)}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtcDateTime(now)}`,
+    dateTime('DTSTART', times.start),
+    dateTime('DTEND', times.end),
+    `SUMMARY:${escapeText(summary)}`,
+    booking.location && `LOCATION:${escapeText(booking.location)}`,
+    `DESCRIPTION:${escapeText(describeBooking(booking))}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    ...(cancelled || !alarmMinutes ? [] : [
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `TRIGGER:-PT${alarmMinutes}M`,
+      `DESCRIPTION:${escapeText(`Reminder: ${summary}`)}`,
+      'END:VALARM',
+    ]),
+    'END:VEVENT',
+  ].filter(Boolean);
+}
+
+/**
+ * Build an iCalendar file for one or more bookings
+ * @param {Array<Object>} bookings - Booking cards or stored appointments
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - IANA time zone for event times; defaults to the browser's
+ * @param {number} options.alarmMinutes - Reminder lead time; 0 for no reminder
+ * @param {string} options.name - Calendar name shown by some clients
+ * @param {Date} options.now - Timestamp for DTSTAMP
+ * @returns {string} - .ics content with CRLF line endings
+ */
+export function createCalendar(bookings, { timeZone = getLocalTimeZone(), name, ...options } = {}) {
+  const zone = isSupportedTimeZone(timeZone) ? timeZone : 'UTC';
+  const events = bookings
+    .map((booking) => ({ booking, times: eventTimes(booking) }))
+    .filter(({ times }) => times);
+
+  if (events.length === 0) {
+    throw new Error('No appointments with a known time to export');
+  }
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    name && `X-WR-CALNAME:${escapeText(name)}`,
+    ...(zone === 'UTC' ? [] : buildTimeZone(zone, events.flatMap(({ times }) => [times.start, times.end]))),
+    ...events.flatMap(({ booking }) => buildEvent(booking, { ...options, timeZone: zone })),
+    'END:VCALENDAR',
+  ].filter(Boolean);
+
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+/**
+ * File name for a booking's calendar file
+ * @param {Object} booking - Booking card or stored appointment
+ * @returns {string} - e.g. "appointment-BF-1A2B3.ics"
+ */
+export function calendarFileName(booking) {
+  const id = booking.confirmationCode || booking.bookingId;
+  return id ? `appointment-${id.replace(/[^A-Za-z0-9_-]/g, '')}.ics` : 'appointment.ics';
+}
+
+/**
+ * Save iCalendar content as a file in the browser
+ * @param {string} content - .ics content
+ * @param {string} fileName - Download file name
+ */
+export function downloadCalendar(content, fileName) {
+  downloadFile(content, fileName, 'text/calendar;charset=utf-8');
+}
@@ -0,0 +1,181 @@
+/**
+ * Pure helpers for updating a panel's message list, and for merging the
+ * panels into the conversation's shared timeline.
+ *
+ * A message is `{ id, role, content, modality, createdAt, status, timings }`
+ * plus whatever the agent's events add (cards, tool calls, suggestions).
+ * Only `role` and `content` are ever sent to the backend. `timings` holds
+ * the times (ms since the epoch) a reply's request started, its audio was
+ * transcribed, its first token arrived and it completed; each is set as it
+ * happens and may be missing.
+ */
+
+import { CONTEXT_MODES, generateId } from '../lib/session';
+
+export const MESSAGE_STATUS = {
+  PENDING: 'pending', // queued in the outbox until the backend is reachable
+  SENDING: 'sending',
+  STREAMING: 'streaming',
+  DONE: 'done',
+  ERROR: 'error',
+  TRUNCATED: 'truncated', // stopped by the user before the reply finished
+};
+
+const UNSENT_STATUSES = [MESSAGE_STATUS.PENDING, MESSAGE_STATUS.SENDING, MESSAGE_STATUS.ERROR];
+
+/**
+ * Create a chat message tagged with the modality it was sent or received in
+ * @param {string} role - 'user' or 'assistant'
+ * @param {string} content - Message text
+ * @param {string} modality - One of CHANNELS (see lib/session)
+ * @param {Object} fields - Extra fields, e.g. `clientMessageId`, or a
+ *   `status` other than done
+ * @returns {Object} Message
+ */
+export function createMessage(role, content, modality, fields = {}) {
+  return {
+    id: generateId('msg'),
+    role,
+    content,
+    modality,
+    createdAt: Date.now(),
+    status: MESSAGE_STATUS.DONE,
+    timings: {},
+    ...fields,
+  };
+}
+
+/**
+ * Record when something happened to a message
+ * @param {Object} message - Chat message
+ * @param {string} name - `requestStart`, `transcribed`, `firstToken` or `completed`
+ * @param {number} [time] - Defaults to now
+ * @returns {Object} Updated message
+ */
+export function withTiming(message, name, time = Date.now()) {
+  return { ...message, timings: { ...message.timings, [name]: time } };
+}
+
+/**
+ * Mark a reply as finished: done, unless the agent reported an error
+ * @param {Object} message - Assistant message
+ * @param {string} [status] - ERROR or TRUNCATED when it did not finish normally
+ * @returns {Object} Updated message
+ */
+export function finishMessage(message, status = MESSAGE_STATUS.DONE) {
+  const finished = withTiming(message, 'completed');
+  return { ...finished, status: status === MESSAGE_STATUS.DONE && message.error ? MESSAGE_STATUS.ERROR : status };
+}
+
+/**
+ * Check whether a user message has not reached the backend yet
+ * @param {Object} message - Chat message
+ * @returns {boolean}
+ */
+export function isUnsent(message) {
+  return message.role === 'user' && UNSENT_STATUSES.includes(message.status);
+}
+
+/**
+ * Set the status of the user message with a client message ID
+ * @param {Array} messages - Message list
+ * @param {string} clientMessageId - Message to update
+ * @param {string} status - One of MESSAGE_STATUS
+ * @returns {Array} Updated list
+ */
+export function updateMessageStatus(messages, clientMessageId, status) {
+  return messages.map((msg) => (
+    msg.role === 'user' && msg.clientMessageId === clientMessageId ? { ...msg, status } : msg
+  ));
+}
+
+/**
+ * Set the status of a message by ID
+ * @param {Array} messages - Message list
+ * @param {string} id - Message to update
+ * @param {string} status - One of MESSAGE_STATUS
+ * @returns {Array} Updated list
+ */
+export function setStatusById(messages, id, status) {
+  return messages.map((msg) => (msg.id === id ? { ...msg, status } : msg));
+}
+
+/**
+ * Insert or replace the assistant reply right after the user message it
+ * answers, so replies to queued messages land in the right place
+ * @param {Array} messages - Message list
+ * @param {string} clientMessageId - ID of the user message being answered
+ * @param {Object} reply - Assistant message with `replyTo` set
+ * @returns {Array} Updated list
+ */
+export function upsertReply(messages, clientMessageId, reply) {
+  const index = messages.findIndex((msg) => msg.role === 'user' && msg.clientMessageId === clientMessageId);
+  if (index === -1) {
+    return [...messages.filter((msg) => msg.replyTo !== clientMessageId), reply];
+  }
+
+  const replaces = messages[index + 1]?.replyTo === clientMessageId ? 1 : 0;
+  return [...messages.slice(0, index + 1), reply, ...messages.slice(index + 1 + replaces)];
+}
+
+/**
+ * Remove the reply to a user message
+ * @param {Array} messages - Message list
+ * @param {string} clientMessageId - ID of the user message
+ * @returns {Array} Updated list
+ */
+export function removeReply(messages, clientMessageId) {
+  return messages.filter((msg) => msg.replyTo !== clientMessageId);
+}
+
+/**
+ * Conversation history preceding a message, leaving out messages that have
+ * not been sent yet
+ * @param {Array} messages - Message list
+ * @param {string} [clientMessageId] - Message to stop at; the whole list when omitted
+ * @returns {Array} History to send with the message
+ */
+export function historyBefore(messages, clientMessageId) {
+  const index = clientMessageId
+    ? messages.findIndex((msg) => msg.clientMessageId === clientMessageId)
+    : -1;
+  return (index === -1 ? messages : messages.slice(0, index)).filter((msg) => !isUnsent(msg));
+}
+
+/**
+ * Merge panels into one timeline ordered by creation time. Messages saved
+ * before they carried a time keep their place after the one before them.
+ * @param {Object} panels - Message lists keyed by channel
+ * @returns {Array} Messages, each tagged with its modality
+ */
+export function mergeTimeline(panels) {
+  const entries = Object.entries(panels).flatMap(([channel, messages], panelIndex) => {
+    let time = 0;
+    return messages.map((message, index) => {
+      time = message.createdAt ?? time;
+      return { message: message.modality ? message : { ...message, modality: channel }, time, panelIndex, index };
+    });
+  });
+
+  return entries
+    .sort((a, b) => a.time - b.time || a.panelIndex - b.panelIndex || a.index - b.index)
+    .map((entry) => entry.message);
+}
+
+/**
+ * The messages a panel remembers: the shared timeline of every shared
+ * panel, or only its own messages when it is isolated
+ * @param {string} channel - The panel, one of CHANNELS
+ * @param {Object} panels - Message lists keyed by channel
+ * @param {Object} modes - Context mode per channel (see lib/session)
+ * @returns {Array} Messages
+ */
+export function contextFor(channel, panels, modes) {
+  if (modes[channel] === CONTEXT_MODES.ISOLATED) {
+    return panels[channel];
+  }
+  const shared = Object.fromEntries(
+    Object.entries(panels).filter(([key]) => modes[key] !== CONTEXT_MODES.ISOLATED)
+  );
+  return mergeTimeline(shared);
+}
@@ -0,0 +1,75 @@
+/**
+ * Pure helpers for showing when a message was sent and how long its reply
+ * took (see the message shape in utils/messageList)
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+function isSameDay(a, b) {
+  return a.toDateString() === b.toDateString();
+}
+
+/**
+ * Describe a time relative to now: "just now", "5 min ago", "2 h ago",
+ * then "Yesterday 3:10 PM" or "Oct 3, 3:10 PM"
+ * @param {number} timestamp - Time in ms since the epoch
+ * @param {number} now - Current time in ms since the epoch
+ * @returns {string} Empty when there is no timestamp
+ */
+export function formatRelativeTime(timestamp, now) {
+  if (!timestamp) return '';
+  const elapsed = Math.max(0, now - timestamp);
+  const date = new Date(timestamp);
+  const today = new Date(now);
+
+  if (elapsed < MINUTE) return 'just now';
+  if (elapsed < HOUR) return `${Math.floor(elapsed / MINUTE)} min ago`;
+  if (isSameDay(date, today)) return `${Math.floor(elapsed / HOUR)} h ago`;
+
+  const time = date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+  const yesterday = new Date(now - 24 * HOUR);
+  if (isSameDay(date, yesterday)) return `Yesterday ${time}`;
+  return `${date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}, ${time}`;
+}
+
+/**
+ * Format a duration: "850 ms", "1.2 s", "14 s"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+  if (ms < 1000) return `${Math.round(ms)} ms`;
+  if (ms < 10000) return `${(ms / 1000).toFixed(1)} s`;
+  return `${Math.round(ms / 1000)} s`;
+}
+
+/**
+ * Durations measured from a message's timings, each null when a time is missing
+ * @param {Object} message - Chat message
+ * @returns {{transcription: number|null, firstToken: number|null, total: number|null}}
+ */
+export function getLatency(message) {
+  const { requestStart, transcribed, firstToken, completed } = message.timings ?? {};
+  const since = (time) => (requestStart && time ? time - requestStart : null);
+  return {
+    transcription: since(transcribed),
+    firstToken: since(firstToken),
+    total: since(completed),
+  };
+}
+
+/**
+ * Spell out a message's latency, e.g. "First token after 820 ms · complete
+ * after 2.4 s"
+ * @param {Object} message - Chat message
+ * @returns {string} Empty when nothing was measured
+ */
+export function describeLatency(message) {
+  const { transcription, firstToken, total } = getLatency(message);
+  return [
+    transcription !== null && `Transcribed in ${formatDuration(transcription)}`,
+    firstToken !== null && `First token after ${formatDuration(firstToken)}`,
+    total !== null && `Complete after ${formatDuration(total)}`,
+  ].filter(Boolean).join(' · ');
+}
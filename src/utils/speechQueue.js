@@ -0,0 +1,202 @@
+/**
+ * Sentence-by-sentence text-to-speech queue built on the Web Speech API.
+ * Lets a streamed reply start speaking as soon as its first sentence is complete.
+ */
+
+import { cleanMarkdownForSpeech, formatForSpeech } from './textProcessor';
+
+/**
+ * Clean markdown and format text for natural speech
+ * @param {string} text - Markdown text
+ * @returns {string} - Text ready for speech synthesis
+ */
+export function prepareSpeechText(text) {
+  if (!text || typeof text !== 'string') {
+    return '';
+  }
+
+  const cleanedText = cleanMarkdownForSpeech(text);
+  const speechFormattedText = formatForSpeech(cleanedText);
+  return speechFormattedText || cleanedText || text;
+}
+
+/**
+ * Pick a natural-sounding English voice when one is available
+ * @returns {SpeechSynthesisVoice|null}
+ */
+export function pickPreferredVoice() {
+  const voices = window.speechSynthesis.getVoices();
+  return voices.find(voice =>
+    voice.lang.includes('en') && (voice.name.includes('Natural') || voice.name.includes('Neural'))
+  ) || voices.find(voice => voice.lang.includes('en')) || voices[0] || null;
+}
+
+class SpeechQueue {
+  constructor(options = {}) {
+    // Voice settings
+    this.config = {
+      rate: options.rate || 1.0,
+      pitch: options.pitch || 1.0,
+      volume: options.volume || 1.0,
+    };
+
+    // State variables
+    this.queue = [];
+    this.current = null;
+    this.isOpen = false; // more text may still arrive
+    this.isActive = false; // between onStart and onEnd
+
+    // Event callbacks
+    this.callbacks = {
+      onStart: options.onStart || (() => {}),
+      onEnd: options.onEnd || (() => {}),
+      onError: options.onError || (() => {}),
+    };
+  }
+
+  /**
+   * Mark the start of a streamed reply. Speech keeps the queue active
+   * between sentences until end() is called.
+   */
+  begin() {
+    this.isOpen = true;
+  }
+
+  /**
+   * Queue a sentence for speaking
+   * @param {string} text - Markdown text
+   */
+  enqueue(text) {
+    const prepared = prepareSpeechText(text);
+    if (!prepared) return;
+
+    this.queue.push(prepared);
+    if (!this.current) {
+      this.speakNext();
+    }
+  }
+
+  /**
+   * Mark the end of a streamed reply; onEnd fires once the queue drains
+   */
+  end() {
+    this.isOpen = false;
+    if (!this.current && this.queue.length === 0) {
+      this.finish();
+    }
+  }
+
+  /**
+   * Speak a complete text, replacing anything queued
+   * @param {string} text - Markdown text
+   */
+  speak(text) {
+    this.cancel();
+    this.begin();
+    this.enqueue(text);
+    this.end();
+  }
+
+  /**
+   * Speak the next queued sentence
+   */
+  speakNext() {
+    const text = this.queue.shift();
+    if (!text) {
+      if (!this.isOpen) {
+        this.finish();
+      }
+      return;
+    }
+
+    if (!this.isActive) {
+      this.isActive = true;
+      this.callbacks.onStart();
+    }
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.rate = this.config.rate;
+    utterance.pitch = this.config.pitch;
+    utterance.volume = this.config.volume;
+
+    const preferredVoice = pickPreferredVoice();
+    if (preferredVoice) {
+      utterance.voice = preferredVoice;
+    }
+
+    utterance.onend = () => {
+      if (this.current !== utterance) return;
+      this.current = null;
+      this.speakNext();
+    };
+
+    utterance.onerror = (event) => {
+      if (this.current !== utterance) return;
+      this.current = null;
+
+      // Another queue or the user cancelled speech synthesis
+      if (event.error === 'interrupted' || event.error === 'canceled') {
+        this.queue = [];
+        this.isOpen = false;
+        this.finish();
+        return;
+      }
+
+      console.error('Speech synthesis error:', event);
+      this.callbacks.onError(event);
+      this.speakNext();
+    };
+
+    this.current = utterance;
+    window.speechSynthesis.speak(utterance);
+  }
+
+  /**
+   * Notify listeners that speaking has finished
+   */
+  finish() {
+    if (this.isActive) {
+      this.isActive = false;
+      this.callbacks.onEnd();
+    }
+  }
+
+  /**
+   * Stop speaking and drop anything queued. Does not call onEnd; callers
+   * that cancel update their own state.
+   */
+  cancel() {
+    const wasSpeaking = this.current !== null;
+    this.queue = [];
+    this.isOpen = false;
+    this.current = null;
+    this.isActive = false;
+
+    if (wasSpeaking) {
+      window.speechSynthesis.cancel();
+    }
+  }
+
+  /**
+   * Check if browser supports speech synthesis
+   * @returns {boolean} True if supported
+   */
+  static isSupported() {
+    return typeof window !== 'undefined' && 'speechSynthesis' in window;
+  }
+}
+
+/**
+ * Factory function to create a speech queue
+ * @param {Object} options - Voice settings and onStart/onEnd/onError callbacks
+ * @returns {SpeechQueue|null} Queue, or null when speech synthesis is unavailable
+ */
+export function createSpeechQueue(options = {}) {
+  if (!SpeechQueue.isSupported()) {
+    console.warn('Speech synthesis not supported');
+    return null;
+  }
+  return new SpeechQueue(options);
+}
+
+export default SpeechQueue;
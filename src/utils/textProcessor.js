@@ -174,4 +174,75 @@ export function hasMarkdownSyntax(text) {
   ];
 
   return markdownPatterns.some(pattern => pattern.test(text));
-}
\ No newline at end of file
+}
+// Words ending in a period that do not end a sentence
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'st', 'jr', 'sr', 'vs', 'etc', 'e.g', 'i.e', 'a.m', 'p.m', 'approx', 'no',
+]);
+
+/**
+ * Split streamed text into the sentences that are already complete.
+ * A sentence ends at `.`, `!` or `?` followed by whitespace and a word that
+ * does not start in lowercase, or at a line break. The final, possibly
+ * unfinished sentence is returned as the remainder.
+ * @param {string} text - Text received so far
+ * @returns {{sentences: string[], remainder: string}} - Complete sentences and leftover text
+ */
+export function splitSentences(text) {
+  if (!text || typeof text !== 'string') {
+    return { sentences: [], remainder: '' };
+  }
+
+  const sentences = [];
+  const boundary = /[.!?]+["'”’)\]*_]*(?=\s+\S)|\n+/g;
+  let start = 0;
+  let match;
+
+  while ((match = boundary.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    const candidate = text.slice(start, end).trim();
+
+    if (match[0][0] !== '\n') {
+      const nextChar = text.slice(end).trimStart()[0];
+      const lastWord = (candidate.split(/\s+/).pop() || '')
+        .replace(/[.!?"'”’)\]*_]+$/, '')
+        .toLowerCase();
+
+      // "we open at 9 a.m. tomorrow", "Dr. Smith", "1. Haircut"
+      if (nextChar !== nextChar.toUpperCase()
+        || ABBREVIATIONS.has(lastWord)
+        || /^\d+$/.test(candidate.replace(/[.)]+$/, ''))) {
+        continue;
+      }
+    }
+
+    if (candidate) {
+      sentences.push(candidate);
+    }
+    start = end;
+  }
+
+  return { sentences, remainder: text.slice(start) };
+}
+
+/**
+ * Create a buffer that turns a token stream into complete sentences
+ * @returns {{push: Function, flush: Function}} - `push(token)` returns newly completed sentences, `flush()` returns the rest
+ */
+export function createSentenceBuffer() {
+  let buffer = '';
+
+  return {
+    push(token) {
+      buffer += token || '';
+      const { sentences, remainder } = splitSentences(buffer);
+      buffer = remainder;
+      return sentences;
+    },
+    flush() {
+      const rest = buffer.trim();
+      buffer = '';
+      return rest ? [rest] : [];
+    },
+  };
+}
@@ -0,0 +1,68 @@
+/**
+ * Pure helpers for the conversation thread list: titles, previews and the
+ * summary shown in the history sidebar
+ */
+
+import { extractPlainText } from './textProcessor';
+
+const TITLE_LENGTH = 40;
+const PREVIEW_LENGTH = 80;
+
+function truncate(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  // Cut at a word boundary where there is one
+  const cut = text.slice(0, maxLength).replace(/\s+\S*$/, '');
+  return `${cut || text.slice(0, maxLength)}…`;
+}
+
+/**
+ * Title a thread after a user message: its first sentence, shortened
+ * @param {string} content - Message content (markdown allowed)
+ * @returns {string|null} - e.g. "I'd like to book a Skin Fade with Jay",
+ *   or null when there is no text
+ */
+export function createThreadTitle(content) {
+  const plain = extractPlainText(content);
+  if (!plain) return null;
+
+  const [sentence] = plain.split(/(?<=[.!?])\s/);
+  const title = truncate(sentence.replace(/[.!]+$/, ''), TITLE_LENGTH);
+  return title.charAt(0).toUpperCase() + title.slice(1);
+}
+
+/**
+ * Title from the first user message in a list
+ * @param {Array} messages - Panel messages
+ * @returns {string|null}
+ */
+export function titleFromMessages(messages) {
+  const first = messages.find((msg) => msg.role === 'user' && msg.content);
+  return first ? createThreadTitle(first.content) : null;
+}
+
+/**
+ * Summarize a thread for the sidebar
+ * @param {string} conversationId - Thread's conversation ID
+ * @param {Array<Object>} panels - Its saved panel records, `{ channel, updatedAt, messages }`
+ * @param {Object|null} thread - Saved thread details, `{ title, createdAt }`
+ * @returns {Object} `{ id, title, preview, modality, modalities, messageCount,
+ *   createdAt, updatedAt }`; `modality` is the channel used last
+ */
+export function summarizeThread(conversationId, panels, thread = null) {
+  const latest = panels.reduce((a, b) => (b.updatedAt > a.updatedAt ? b : a), panels[0]);
+  const last = latest ? latest.messages.findLast((msg) => msg.content) : null;
+  const preview = last ? truncate(extractPlainText(last.content), PREVIEW_LENGTH) : '';
+
+  return {
+    id: conversationId,
+    title: thread?.title
+      || panels.map((panel) => titleFromMessages(panel.messages)).find(Boolean)
+      || 'New conversation',
+    preview: last?.role === 'user' && preview ? `You: ${preview}` : preview,
+    modality: latest?.channel ?? null,
+    modalities: panels.filter((panel) => panel.messages.length > 0).map((panel) => panel.channel),
+    messageCount: panels.reduce((count, panel) => count + panel.messages.length, 0),
+    createdAt: thread?.createdAt ?? latest?.updatedAt ?? null,
+    updatedAt: latest?.updatedAt ?? thread?.createdAt ?? null,
+  };
+}
@@ -0,0 +1,277 @@
+/**
+ * Transcript export and import for a panel's messages.
+ *
+ * A transcript is a versioned JSON document holding the full message
+ * objects plus export metadata; Markdown and printable HTML are rendered
+ * from it. Importing the JSON restores the messages as a thread.
+ */
+
+import { CHAT_EVENT_TYPES } from '../lib/chatEvents';
+import { CHANNELS } from '../lib/session';
+import { formatSlotTime, formatWhen } from './bookingFormat';
+import { downloadFile } from './download';
+
+export const TRANSCRIPT_FORMAT = 'barber-agent-transcript';
+export const TRANSCRIPT_VERSION = 1;
+
+// Shown at the top of Markdown and printed transcripts
+export const SHOP = {
+  name: process.env.NEXT_PUBLIC_SHOP_NAME || 'Barber Booking Agent',
+  address: process.env.NEXT_PUBLIC_SHOP_ADDRESS || '',
+};
+
+const CHANNEL_LABELS = {
+  [CHANNELS.TEXT]: 'Text chat',
+  [CHANNELS.VOICE]: 'Voice chat',
+  [CHANNELS.CALL]: 'Call',
+};
+
+const ROLE_LABELS = {
+  user: 'Customer',
+  assistant: 'Agent',
+};
+
+/**
+ * Format a duration, e.g. "4 min 12 s"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds} s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes} min ${seconds % 60} s`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+/**
+ * Call figures for a transcript, from useConversationState's getStats():
+ * the live session while a call is on, otherwise the last one that ended
+ * @param {Object|null} stats - getStats() result
+ * @returns {{duration: number, exchangeCount: number}|null}
+ */
+export function callStatsFrom(stats) {
+  if (!stats) return null;
+  if (stats.isActive) {
+    return { duration: stats.duration, exchangeCount: stats.exchangeCount };
+  }
+  return stats.lastSession
+    ? { duration: stats.lastSession.duration, exchangeCount: stats.lastSession.exchangeCount }
+    : null;
+}
+
+/**
+ * Build a transcript
+ * @param {Object} details - `{ messages, channel, conversationId, title, stats }`;
+ *   `stats` is a callStatsFrom() result for calls
+ * @param {Date} now - Export time
+ * @returns {Object} Transcript
+ */
+export function createTranscript({ messages, channel, conversationId = null, title = null, stats = null }, now = new Date()) {
+  return {
+    format: TRANSCRIPT_FORMAT,
+    version: TRANSCRIPT_VERSION,
+    exportedAt: now.toISOString(),
+    shop: SHOP.name,
+    conversationId,
+    channel,
+    title,
+    stats,
+    messages,
+  };
+}
+
+function describeCard(card) {
+  if (card.type === CHAT_EVENT_TYPES.SLOTS_OFFERED) {
+    const times = card.slots.filter((slot) => slot.available).map(formatSlotTime).filter(Boolean);
+    return times.length > 0 ? `Offered times: ${times.join(', ')}` : null;
+  }
+
+  const who = [card.service, card.barber && `with ${card.barber}`].filter(Boolean).join(' ');
+  const what = [who, formatWhen(card)].filter(Boolean).join(', ');
+  const code = card.confirmationCode || card.bookingId;
+  const label = card.type === CHAT_EVENT_TYPES.BOOKING_CANCELLED ? 'Booking cancelled' : 'Booking confirmed';
+  return `${label}: ${what}${code ? ` (code ${code})` : ''}`;
+}
+
+function describeTime(message) {
+  const timestamp = message.createdAt ?? message.timestamp;
+  return timestamp ? new Date(timestamp).toLocaleString() : null;
+}
+
+function describeHeader(transcript) {
+  const { stats } = transcript;
+  return [
+    ['Conversation', transcript.conversationId],
+    ['Channel', CHANNEL_LABELS[transcript.channel] || transcript.channel],
+    ['Exported', new Date(transcript.exportedAt).toLocaleString()],
+    stats && ['Call duration', formatDuration(stats.duration)],
+    stats && ['Exchanges', String(stats.exchangeCount)],
+  ].filter((row) => row && row[1]);
+}
+
+function describeTitle(transcript) {
+  return transcript.title || `${CHANNEL_LABELS[transcript.channel] || 'Chat'} transcript`;
+}
+
+/**
+ * Render a transcript as pretty-printed JSON
+ * @param {Object} transcript - From createTranscript
+ * @returns {string}
+ */
+export function transcriptToJson(transcript) {
+  return JSON.stringify(transcript, null, 2);
+}
+
+/**
+ * Render a transcript as Markdown, one role-labelled section per message
+ * @param {Object} transcript - From createTranscript
+ * @returns {string}
+ */
+export function transcriptToMarkdown(transcript) {
+  const lines = [
+    `# ${SHOP.name}`,
+    ...(SHOP.address ? ['', SHOP.address] : []),
+    '',
+    `## ${describeTitle(transcript)}`,
+    '',
+    ...describeHeader(transcript).map(([label, value]) => `- **${label}:** ${value}`),
+  ];
+
+  for (const message of transcript.messages) {
+    const time = describeTime(message);
+    lines.push('', `**${ROLE_LABELS[message.role] || message.role}:**${time ? ` _${time}_` : ''}`, '');
+    if (message.content) lines.push(message.content);
+    for (const card of message.cards || []) {
+      const described = describeCard(card);
+      if (described) lines.push('', `> ${described}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a transcript as a standalone, print-ready HTML page with the shop
+ * header. Message text is shown as written; markdown is not rendered.
+ * @param {Object} transcript - From createTranscript
+ * @returns {string}
+ */
+export function transcriptToHtml(transcript) {
+  const header = describeHeader(transcript)
+    .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`)
+    .join('');
+
+  const messages = transcript.messages.map((message) => {
+    const time = describeTime(message);
+    const cards = (message.cards || []).map(describeCard).filter(Boolean)
+      .map((card) => `<p class="card">${escapeHtml(card)}</p>`)
+      .join('');
+    return `<section class="message ${escapeHtml(message.role)}">
+  <h3>${escapeHtml(ROLE_LABELS[message.role] || message.role)}${time ? ` <time>${escapeHtml(time)}</time>` : ''}</h3>
+  ${message.content ? `<p class="content">${escapeHtml(message.content)}</p>` : ''}${cards}
+</section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(`${SHOP.name} – ${describeTitle(transcript)}`)}</title>
+<style>
+  body { font: 14px/1.5 system-ui, sans-serif; color: #111; max-width: 720px; margin: 2rem auto; padding: 0 1rem; }
+  header { border-bottom: 2px solid #111; margin-bottom: 1rem; }
+  header h1 { margin: 0; font-size: 1.5rem; }
+  header p { margin: 0.25rem 0 0.75rem; color: #555; }
+  h2 { font-size: 1.15rem; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.15rem 1rem; margin: 0 0 1.5rem; }
+  dt { font-weight: 600; }
+  dd { margin: 0; }
+  .message { border-top: 1px solid #ddd; padding: 0.5rem 0; break-inside: avoid; }
+  .message h3 { font-size: 0.9rem; margin: 0; }
+  .message.user h3 { color: #1d4ed8; }
+  time { font-weight: normal; color: #777; margin-left: 0.5rem; }
+  .content { white-space: pre-wrap; margin: 0.25rem 0; }
+  .card { margin: 0.25rem 0; padding: 0.25rem 0.5rem; border-left: 3px solid #16a34a; background: #f0fdf4; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(SHOP.name)}</h1>
+  ${SHOP.address ? `<p>${escapeHtml(SHOP.address)}</p>` : ''}
+</header>
+<h2>${escapeHtml(describeTitle(transcript))}</h2>
+<dl>${header}</dl>
+${messages}
+</body>
+</html>
+`;
+}
+
+/**
+ * Parse and check an exported JSON transcript
+ * @param {string} text - File content
+ * @returns {Object} Transcript
+ * @throws {Error} When the file is not a transcript this version can read
+ */
+export function parseTranscript(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (data?.format !== TRANSCRIPT_FORMAT) {
+    throw new Error('The file is not a transcript exported from this app');
+  }
+  if (data.version > TRANSCRIPT_VERSION) {
+    throw new Error('The transcript was exported by a newer version of the app');
+  }
+  if (!Array.isArray(data.messages) || data.messages.length === 0
+    || !data.messages.every((msg) => msg && typeof msg.role === 'string')) {
+    throw new Error('The transcript has no readable messages');
+  }
+  if (!(data.channel in CHANNEL_LABELS)) {
+    throw new Error(`Unknown transcript channel: ${data.channel}`);
+  }
+
+  return data;
+}
+
+/**
+ * File name for an exported transcript
+ * @param {Object} transcript - From createTranscript
+ * @param {string} extension - 'json', 'md' or 'html'
+ * @returns {string} - e.g. "transcript-text-2026-10-19.md"
+ */
+export function transcriptFileName(transcript, extension) {
+  return `transcript-${transcript.channel}-${transcript.exportedAt.slice(0, 10)}.${extension}`;
+}
+
+/**
+ * Open a transcript's HTML in a new tab and bring up the print dialog;
+ * downloads the file instead when pop-ups are blocked
+ * @param {string} html - From transcriptToHtml
+ * @param {string} fileName - Fallback download name
+ */
+export function printTranscript(html, fileName) {
+  const view = window.open('', '_blank');
+  if (!view) {
+    downloadFile(html, fileName, 'text/html;charset=utf-8');
+    return;
+  }
+  view.document.write(html);
+  view.document.close();
+  view.focus();
+  view.print();
+}